@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+const log = require('loglevel');
+const yargs = require('yargs');
+const Logger = require('../src/classes/Logger.js');
+const Cli = require('../src/cli/Cli.js');
+
+yargs
+	.scriptName('evm-cache')
+	.usage('$0 <command> [options]')
+	.command(require('../src/cli/commands/blockchain.js'))
+	.command(require('../src/cli/commands/contract.js'))
+	.command(require('../src/cli/commands/metadata.js'))
+	.command(require('../src/cli/commands/verify.js'))
+	.command(require('../src/cli/commands/backfill.js'))
+	.command(require('../src/cli/commands/delete.js'))
+	.command(require('../src/cli/commands/migrate.js'))
+	.option('blockchain', {
+		describe : 'Blockchain ID or name to work on, needed when there is more than one',
+		type     : 'string',
+		global   : true
+	})
+	.option('json', {
+		describe : 'Print the result as JSON on stdout, only warnings and errors are logged, as JSON lines',
+		type     : 'boolean',
+		global   : true
+	})
+	.middleware((argv) => {
+		if (argv.json) {
+			Logger.setFormat('json');
+			log.setLevel('warn', false);
+		}
+	})
+	.demandCommand(1, 'Pick a command')
+	.strict()
+	// Handlers catch their own errors, anything reaching here is a bad argument or a failed check
+	.fail((message, err, yargs) => {
+		yargs.showHelp();
+		process.stderr.write(`\n${message || err.message}\n`);
+		process.exit(Cli.EXIT_USAGE);
+	})
+	.epilogue(`Exit codes: ${Cli.EXIT_OK} on success, ${Cli.EXIT_FAILURE} when the command failed or found problems, ${Cli.EXIT_USAGE} for bad arguments or configuration`)
+	.help()
+	.alias('help', 'h')
+	.wrap(Math.min(120, yargs.terminalWidth()))
+	.parse();
@@ -1,21 +1,42 @@
 const argv = require('yargs').argv;
 const log = require('loglevel');
 const db = require('./src/database/Database.js');
+const Lifecycle = require('./src/classes/Lifecycle.js');
+const Health = require('./src/classes/Health.js');
+const config = require('./src/config/config.js');
+const StatusServer = require('./src/server/StatusServer.js');
+const endpointHost = require('./src/util/endpointHost.js');
 const BlockchainQueries = require('./src/database/queries/BlockchainQueries.js');
 const Web3Client = require('./src/classes/Web3Client.js');
+const ChainVerifier = require('./src/classes/ChainVerifier.js');
 const CacheMonitor = require('./src/monitor/CacheMonitor.js');
+const ContractLogMonitor = require('./src/monitor/ContractLogMonitor.js');
+const FinalityTracker = require('./src/monitor/FinalityTracker.js');
+const GapFiller = require('./src/monitor/GapFiller.js');
+
+// Let in-flight blocks commit or roll back on SIGINT and SIGTERM
+Lifecycle.install();
+
+// Allow the user to override the configured status port
+let statusPort = argv.hasOwnProperty('statusPort') ? parseInt(argv.statusPort, 10) : parseInt(config.STATUS_PORT, 10);
+if (statusPort) {
+	const status = new StatusServer({ port : statusPort });
+	status.start();
+
+	Lifecycle.onShutdown(() => status.stop());
+}
 
 let pool = db.getPool();
 pool.connect((err, client, release) => {
 	if (err) {
-		log.error('Error acquiring client', err.stack);
+		log.error('Error acquiring client:', err);
 		process.exit(1);
 	}
 
 	client.query(BlockchainQueries.getBlockchainsAndNodes(), (err, result) => {
 		release();
 		if (err) {
-			log.error('Error executing query', err.stack);
+			log.error('Error executing query:', err);
 			process.exit(1);
 		}
 
@@ -25,49 +46,130 @@ pool.connect((err, client, release) => {
 		}
 
 		// Get all of the endpoint nodes for this blockchain
-		let nodeSetups = {};
+		let nodeSetups = {}, blockchains = {};
 		for (let row of result.rows) {
 			if (!nodeSetups.hasOwnProperty(row.blockchain_id)) {
 				nodeSetups[row.blockchain_id] = [];
+				blockchains[row.blockchain_id] = row;
 			}
 
 			if (row.hasOwnProperty('skip') && row.skip === true) {
-				console.log(`Skipping ${row.endpoint}`)
+				log.info('Skipping node', { blockchain_id : row.blockchain_id, endpoint : endpointHost(row.endpoint) });
 				continue;
 			}
 
-			nodeSetups[row.blockchain_id].push(row.endpoint);
+			nodeSetups[row.blockchain_id].push(row);
 		}
 
 		for (let blockchain_id in nodeSetups) {
-			// Create a new monitor instance
-			let client = new Web3Client({
-				"endpoints" : nodeSetups[blockchain_id]
+			// Nodes serving another chain are left out, the monitors don't start without any
+			let verifier = new ChainVerifier({
+				blockchain_id : blockchain_id,
+				name : blockchains[blockchain_id].name,
+				chain_id : blockchains[blockchain_id].chain_id
 			});
 
-			// Allow the user to set overrides
-			let startBlockOverride = argv.hasOwnProperty('start') && parseInt(argv.start, 10);
-			let endBlockOverride   = argv.hasOwnProperty('end')   && parseInt(argv.end, 10);
-			let rewriteBlocks      = argv.hasOwnProperty('rewriteBlocks');
+			verifier.verify(nodeSetups[blockchain_id]).then((nodes) => startMonitors(blockchains[blockchain_id], nodes), (ex) => {
+				log.error('Could not verify the nodes of blockchain:', ex, { blockchain_id });
+				Lifecycle.shutdown(1);
+			});
+		}
 
-			if (rewriteBlocks) {
-				log.info("Will be force-rewriting all blocks encountered.");
-			}
+		log.debug("Verifying nodes before starting client monitors.");
+	});
+});
 
-			// Start the monitor
-			let cm = new CacheMonitor({
-				blockchain_id : blockchain_id,
-				client,
-				startBlockOverride,
-				endBlockOverride,
-				rewriteBlocks
-			});
+// Starts the monitors of a blockchain on its verified nodes
+function startMonitors(blockchain, nodes) {
+	let blockchain_id = blockchain.blockchain_id;
 
-			cm.start();
+	// Shutdown started while the nodes were being asked
+	if (Lifecycle.isStopping()) {
+		return;
+	}
 
-			log.debug(`Spun up client monitor for blockchain ID: ${blockchain_id}`);
-		}
+	// Create a new monitor instance
+	let client = new Web3Client({
+		"endpoints" : nodes,
+		"blockReceipts" : blockchain.features.block_receipts
+	});
+
+	// Readiness needs at least one of its nodes reachable
+	Health.watchClient(blockchain_id, client);
 
-		log.debug("Started client monitors.");
+	// Allow the user to set overrides
+	let startBlockOverride = argv.hasOwnProperty('start') && parseInt(argv.start, 10);
+	let endBlockOverride   = argv.hasOwnProperty('end')   && parseInt(argv.end, 10);
+	let rewriteBlocks      = argv.hasOwnProperty('rewriteBlocks');
+	let bulkThreshold      = argv.hasOwnProperty('bulk') && (parseInt(argv.bulk, 10) || 1000);
+	let contractsOnly      = argv.hasOwnProperty('contractsOnly');
+	let quorum             = argv.hasOwnProperty('quorum') && parseInt(argv.quorum, 10);
+	let quorumReceipts     = argv.hasOwnProperty('quorumReceipts');
+	let fillGaps           = argv.hasOwnProperty('fillGaps');
+
+	if (rewriteBlocks) {
+		log.info("Will be force-rewriting all blocks encountered.");
+	}
+
+	// Keep the safe and finalized watermarks up to date
+	let ft = new FinalityTracker({
+		blockchain_id : blockchain_id,
+		client
 	});
-});
+
+	ft.start();
+
+	// Only follow the logs of the contracts in contract_meta
+	if (contractsOnly) {
+		let clm = new ContractLogMonitor({
+			blockchain_id : blockchain_id,
+			client,
+			startBlockOverride,
+			endBlockOverride,
+			startNumber : parseInt(blockchain.start_number, 10) || 0,
+			confirmations : blockchain.confirmations
+		});
+
+		// Stopping on its own means the end block override was reached
+		clm.start().then(() => Lifecycle.shutdown(0), (ex) => {
+			log.error('Contract log monitor failed:', ex, { blockchain_id });
+			Lifecycle.shutdown(1);
+		});
+
+		log.debug('Spun up contract log monitor', { blockchain_id });
+		return;
+	}
+
+	// Start the monitor
+	let cm = new CacheMonitor({
+		blockchain_id : blockchain_id,
+		client,
+		startBlockOverride,
+		endBlockOverride,
+		startNumber : parseInt(blockchain.start_number, 10) || 0,
+		rewriteBlocks,
+		bulkThreshold,
+		quorum,
+		quorumReceipts
+	});
+
+	// Stopping on its own means the end block override was reached
+	cm.start().then(() => Lifecycle.shutdown(0), (ex) => {
+		log.error('Client monitor failed:', ex, { blockchain_id });
+		Lifecycle.shutdown(1);
+	});
+
+	log.debug('Spun up client monitor', { blockchain_id });
+
+	// Re-ingest blocks below the head that were never fully stored
+	if (fillGaps) {
+		let gf = new GapFiller({
+			blockchain_id : blockchain_id,
+			client
+		});
+
+		gf.start();
+
+		log.debug('Spun up gap filler', { blockchain_id });
+	}
+}
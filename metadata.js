@@ -1,16 +1,32 @@
 const argv = require('yargs').argv;
 const log = require('loglevel');
 const Web3Client = require('./src/classes/Web3Client.js');
+const ChainVerifier = require('./src/classes/ChainVerifier.js');
 const Database = require('./src/database/Database.js');
+const Lifecycle = require('./src/classes/Lifecycle.js');
+const Health = require('./src/classes/Health.js');
+const config = require('./src/config/config.js');
+const StatusServer = require('./src/server/StatusServer.js');
 const BlockchainQueries = require('./src/database/queries/BlockchainQueries.js');
 const ContractController = require('./src/controller/ContractController.js');
 
 const LIMIT = 50;
 
+Lifecycle.install();
+
+// Allow the user to override the configured status port
+let statusPort = argv.hasOwnProperty('statusPort') ? parseInt(argv.statusPort, 10) : parseInt(config.METADATA_STATUS_PORT, 10);
+if (statusPort) {
+	const status = new StatusServer({ port : statusPort });
+	status.start();
+
+	Lifecycle.onShutdown(() => status.stop());
+}
+
 Database.connect(async (Client) => {
 
 	// Kick it off
-	Client.query(BlockchainQueries.getBlockchainsAndNodes(), (result) => {
+	return Client.query(BlockchainQueries.getBlockchainsAndNodes(), (result) => {
 		// Kill the client
 		Client.release();
 
@@ -20,39 +36,81 @@ Database.connect(async (Client) => {
 		}
 
 		// Get all of the endpoint nodes for this blockchain
-		let nodeSetups = {};
+		let nodeSetups = {}, blockchains = {};
 		for (let row of result.rows) {
 			if (!nodeSetups.hasOwnProperty(row.blockchain_id)) {
 				nodeSetups[row.blockchain_id] = [];
+				blockchains[row.blockchain_id] = row;
 			}
 
-			nodeSetups[row.blockchain_id].push(row.endpoint);
+			if (row.skip === true) {
+				continue;
+			}
+
+			nodeSetups[row.blockchain_id].push(row);
 		}
 
 		for (let blockchain_id in nodeSetups) {
-			// Create a new monitor instance
-			const evmClient = new Web3Client({
-				"endpoints" : nodeSetups[blockchain_id]
+			// Contracts are only called on nodes serving the blockchain's chain
+			let verifier = new ChainVerifier({
+				blockchain_id : blockchain_id,
+				name : blockchains[blockchain_id].name,
+				chain_id : blockchains[blockchain_id].chain_id
 			});
 
-			// Now do the whole thing
-			const cc = new ContractController(evmClient);
-			cc.iterateMetadataUpdates(LIMIT, callback);
-
-			function callback(numUpdated) {
-				if (numUpdated > 0) {
-					console.log("More metadata to update:", numUpdated);
-					cc.iterateMetadataUpdates(LIMIT, callback);
-				} else {
-					console.log("No metadata to update, waiting...");
-					setTimeout(cc.iterateMetadataUpdates.bind(cc, LIMIT, callback), 5000);
-				}
-			}
-
-			log.debug(`Spun up metadata monitor for blockchain ID: ${blockchain_id}`);
+			verifier.verify(nodeSetups[blockchain_id]).then((nodes) => startMonitor(blockchains[blockchain_id], nodes), (ex) => {
+				log.error('Could not verify the nodes of blockchain:', ex, { blockchain_id });
+				Lifecycle.shutdown(1);
+			});
 		}
 
-		log.debug("Started metadata monitors.");
+		log.debug("Verifying nodes before starting metadata monitors.");
 	});
 
+}).catch((ex) => {
+	log.error('Could not load the blockchain nodes:', ex);
+	Lifecycle.shutdown(1);
 });
+
+// Starts the metadata monitor of a blockchain on its verified nodes
+function startMonitor(blockchain, nodes) {
+	let blockchain_id = blockchain.blockchain_id;
+
+	// Shutdown started while the nodes were being asked
+	if (Lifecycle.isStopping()) {
+		return;
+	}
+
+	// Create a new monitor instance
+	const evmClient = new Web3Client({
+		"endpoints" : nodes,
+		"blockReceipts" : blockchain.features.block_receipts
+	});
+
+	// Readiness needs at least one of its nodes reachable
+	Health.watchClient(blockchain_id, evmClient);
+
+	// Now do the whole thing
+	const cc = new ContractController(evmClient, parseInt(blockchain_id, 10));
+	cc.iterateMetadataUpdates(LIMIT, callback);
+
+	function callback(numUpdated) {
+		// Liveness fails once the loop stops coming back here
+		Health.heartbeat(`metadata ${blockchain_id}`);
+
+		// Nothing more to pick up once shutdown has started
+		if (Lifecycle.isStopping()) {
+			return;
+		}
+
+		if (numUpdated > 0) {
+			log.info('More metadata to update', { blockchain_id, updated : numUpdated });
+			cc.iterateMetadataUpdates(LIMIT, callback);
+		} else {
+			log.info('No metadata to update, waiting', { blockchain_id });
+			setTimeout(cc.iterateMetadataUpdates.bind(cc, LIMIT, callback), 5000);
+		}
+	}
+
+	log.debug('Spun up metadata monitor', { blockchain_id });
+}
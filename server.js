@@ -0,0 +1,14 @@
+const argv = require('yargs').argv;
+const config = require('./src/config/config.js');
+const Lifecycle = require('./src/classes/Lifecycle.js');
+const ApiServer = require('./src/server/ApiServer.js');
+
+// Allow the user to override the configured port
+let port = argv.hasOwnProperty('port') ? parseInt(argv.port, 10) : config.SERVER_PORT;
+
+const server = new ApiServer({ port });
+server.start();
+
+// Finish the requests in progress before closing the database pool
+Lifecycle.install();
+Lifecycle.onShutdown(() => server.stop());
@@ -2,7 +2,6 @@ CREATE TYPE BLOCKCHAIN_TYPE as ENUM(
 	'ethereum',
 	'matic'
 );
--- ALTER TYPE BLOCKCHAIN_TYPE ADD VALUE 'matic';
 
 CREATE TABLE blockchain (
 	"blockchain_id" BIGSERIAL PRIMARY KEY,
@@ -16,5 +15,3 @@ CREATE TABLE blockchain_node (
 	"endpoint"           TEXT NOT NULL,
 	"skip"               BOOLEAN DEFAULT FALSE
 );
-
--- alter table blockchain_node add column skip boolean default false;
\ No newline at end of file
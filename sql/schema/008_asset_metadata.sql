@@ -10,10 +10,3 @@ CREATE TABLE asset_metadata (
 
 CREATE INDEX asset_metadata_contract_address_idx ON "asset_metadata" ("contract_address");
 CREATE INDEX asset_metadata_contract_address_id_idx ON "asset_metadata" ("contract_address", "id");
-
---ALTER TABLE "contract_meta" ADD COLUMN "token_uri_json_interface" JSONB;
---ALTER TABLE "contract_meta" ADD COLUMN "token_uri_json_interface_parameters" JSONB;
---ALTER TABLE "contract_meta" ADD COLUMN "custom_token_uri" TEXT;
---ALTER TABLE "contract_meta" ADD COLUMN "custom_token_uri_headers" JSONB;
-
---ALTER TABLE "asset_metadata" ADD COLUMN "needs_update" BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,12 @@
+-- Columns added to 001_blockchain and 008_asset_metadata after they were first
+-- released, for databases created before them. A no-op on anything newer.
+ALTER TYPE BLOCKCHAIN_TYPE ADD VALUE IF NOT EXISTS 'matic';
+
+ALTER TABLE "blockchain_node" ADD COLUMN IF NOT EXISTS "skip" BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE "contract_meta" ADD COLUMN IF NOT EXISTS "token_uri_json_interface"            JSONB;
+ALTER TABLE "contract_meta" ADD COLUMN IF NOT EXISTS "token_uri_json_interface_parameters" JSONB;
+ALTER TABLE "contract_meta" ADD COLUMN IF NOT EXISTS "custom_token_uri"                    TEXT;
+ALTER TABLE "contract_meta" ADD COLUMN IF NOT EXISTS "custom_token_uri_headers"            JSONB;
+
+ALTER TABLE "asset_metadata" ADD COLUMN IF NOT EXISTS "needs_update" BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,13 @@
+-- Audit log of every chain reorganization handled by the monitor
+CREATE TABLE reorg (
+	"reorg_id"               BIGSERIAL PRIMARY KEY,
+	"blockchain_id"          BIGINT REFERENCES "blockchain" (blockchain_id) NOT NULL,
+	"detected_number"        BIGINT NOT NULL, -- Number of the block whose parent did not match
+	"common_ancestor_number" BIGINT NOT NULL,
+	"depth"                  BIGINT NOT NULL, -- Number of orphaned block heights rolled back
+	"old_head_hash"          BYTEA,
+	"new_block_hash"         BYTEA,
+	"created_time"           TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX reorg_blockchain_id_idx ON "reorg" ("blockchain_id");
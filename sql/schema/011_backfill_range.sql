@@ -0,0 +1,16 @@
+-- Block ranges to be ingested by parallel backfill workers
+-- A range is claimed by setting a lease; if the worker dies the lease expires
+-- and another worker picks the range back up from next_number
+CREATE TABLE backfill_range (
+	"backfill_range_id"  BIGSERIAL PRIMARY KEY,
+	"blockchain_id"      BIGINT REFERENCES "blockchain" (blockchain_id) NOT NULL,
+	"start_number"       BIGINT NOT NULL,
+	"end_number"         BIGINT NOT NULL, -- Exclusive
+	"next_number"        BIGINT NOT NULL, -- First block not yet ingested
+	"leased_by"          TEXT DEFAULT NULL,
+	"lease_expires_time" TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+	"completed_time"     TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+	UNIQUE ("blockchain_id", "start_number", "end_number")
+);
+
+CREATE INDEX backfill_range_pending_idx ON "backfill_range" ("blockchain_id", "start_number") WHERE completed_time IS NULL;
@@ -0,0 +1,13 @@
+-- Typed transaction (EIP-2718), access list (EIP-2930) and fee market (EIP-1559) fields
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "type"                     SMALLINT;
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "chain_id"                 BIGINT;
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "max_fee_per_gas"          NUMERIC;
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "max_priority_fee_per_gas" NUMERIC;
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "access_list"              JSONB;
+
+-- From the receipt
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "effective_gas_price"      NUMERIC;
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "gas_used"                 BIGINT;
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "cumulative_gas_used"      BIGINT;
+
+ALTER TABLE "block" ADD COLUMN IF NOT EXISTS "base_fee_per_gas" NUMERIC;
@@ -0,0 +1,35 @@
+-- Shanghai (EIP-4895) and Dencun (EIP-4844, EIP-4788) block header fields
+ALTER TABLE "block" ADD COLUMN IF NOT EXISTS "withdrawals_root"         BYTEA;
+ALTER TABLE "block" ADD COLUMN IF NOT EXISTS "blob_gas_used"            BIGINT;
+ALTER TABLE "block" ADD COLUMN IF NOT EXISTS "excess_blob_gas"          BIGINT;
+ALTER TABLE "block" ADD COLUMN IF NOT EXISTS "parent_beacon_block_root" BYTEA;
+
+-- Blob (type 3) transaction fields, the last two from the receipt
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "max_fee_per_blob_gas" NUMERIC;
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "blob_gas_used"        BIGINT;
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "blob_gas_price"       NUMERIC;
+
+-- Validator withdrawals from the beacon chain, removed along with their block
+CREATE TABLE IF NOT EXISTS withdrawal (
+	"withdrawal_id"   BIGSERIAL PRIMARY KEY,
+	"block_hash"      BYTEA REFERENCES "block" (hash) ON DELETE CASCADE NOT NULL,
+	"index"           BIGINT NOT NULL,
+	"validator_index" BIGINT NOT NULL,
+	"address"         BYTEA NOT NULL,
+	"amount"          NUMERIC NOT NULL, -- In Gwei
+	UNIQUE ("block_hash", "index")
+);
+
+CREATE INDEX IF NOT EXISTS withdrawal_address_idx ON "withdrawal" ("address");
+CREATE INDEX IF NOT EXISTS withdrawal_validator_index_idx ON "withdrawal" ("validator_index");
+
+-- Versioned hashes of the blobs committed to by a transaction, in order
+CREATE TABLE IF NOT EXISTS blob_hash (
+	"blob_hash_id"     BIGSERIAL PRIMARY KEY,
+	"transaction_hash" BYTEA REFERENCES "transaction" (hash) ON DELETE CASCADE NOT NULL,
+	"index"            INTEGER NOT NULL,
+	"versioned_hash"   BYTEA NOT NULL,
+	UNIQUE ("transaction_hash", "index")
+);
+
+CREATE INDEX IF NOT EXISTS blob_hash_versioned_hash_idx ON "blob_hash" ("versioned_hash");
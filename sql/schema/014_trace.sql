@@ -0,0 +1,25 @@
+-- Which tracing API a node exposes, if any:
+--   'debug' => debug_traceBlockByNumber with the callTracer (Geth and most clients)
+--   'trace' => trace_block (Erigon, Nethermind)
+ALTER TABLE "blockchain_node" ADD COLUMN IF NOT EXISTS "trace_api" TEXT CHECK ("trace_api" IN ('debug', 'trace'));
+
+-- Flattened call tree of each transaction, including internal calls that move value
+CREATE TABLE IF NOT EXISTS trace (
+	"trace_id"         BIGSERIAL PRIMARY KEY,
+	"transaction_hash" BYTEA REFERENCES "transaction" (hash) ON DELETE CASCADE NOT NULL,
+	"trace_address"    INTEGER[] NOT NULL, -- Path from the top-level call, which is {}
+	"type"             TEXT NOT NULL, -- CALL, DELEGATECALL, STATICCALL, CREATE, CREATE2, SELFDESTRUCT, ...
+	"from"             BYTEA,
+	"to"               BYTEA,
+	"value"            NUMERIC,
+	"gas"              BIGINT,
+	"gas_used"         BIGINT,
+	"input"            BYTEA,
+	"output"           BYTEA,
+	"error"            TEXT,
+	"subtraces"        INTEGER NOT NULL DEFAULT 0,
+	UNIQUE ("transaction_hash", "trace_address")
+);
+
+CREATE INDEX IF NOT EXISTS trace_from_idx ON "trace" ("from");
+CREATE INDEX IF NOT EXISTS trace_to_idx ON "trace" ("to");
@@ -0,0 +1,24 @@
+-- How settled a block is:
+--   'latest'    => may still be reorged
+--   'safe'      => at or below the node's safe head
+--   'finalized' => at or below the node's finalized head, will not be reorged
+CREATE TYPE BLOCK_FINALITY as ENUM(
+	'latest',
+	'safe',
+	'finalized'
+);
+
+ALTER TABLE "block" ADD COLUMN IF NOT EXISTS "finality" BLOCK_FINALITY NOT NULL DEFAULT 'latest';
+
+-- Finalized blocks are never revisited, so only index the ones still moving
+CREATE INDEX IF NOT EXISTS block_unfinalized_idx ON "block" ("blockchain_id", "number") WHERE "finality" <> 'finalized';
+
+-- Watermarks tracked from the node's block tags
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "latest_number"    BIGINT;
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "safe_number"      BIGINT;
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "finalized_number" BIGINT;
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "finality_time"    TIMESTAMP WITH TIME ZONE;
+
+-- Confirmation depths used instead, on chains whose nodes don't serve the safe/finalized tags
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "safe_depth"       INTEGER;
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "finalized_depth"  INTEGER;
@@ -0,0 +1,13 @@
+-- Blocks on which another node contradicted the one being ingested from, kept for investigation
+CREATE TABLE IF NOT EXISTS node_disagreement (
+	"node_disagreement_id" BIGSERIAL PRIMARY KEY,
+	"blockchain_id"        BIGINT REFERENCES "blockchain" (blockchain_id) NOT NULL,
+	"number"               BIGINT NOT NULL,
+	"field"                TEXT NOT NULL, -- 'hash' or 'receipts'
+	"expected_endpoint"    TEXT NOT NULL, -- Node the block was being ingested from
+	"expected_value"       BYTEA,
+	"endpoint"             TEXT NOT NULL, -- Node that disagreed
+	"value"                BYTEA,
+	"created_time"         TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- When first seen, retries aren't recorded again
+	UNIQUE ("blockchain_id", "number", "field", "expected_endpoint", "endpoint", "value")
+);
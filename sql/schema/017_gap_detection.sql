@@ -0,0 +1,8 @@
+-- Whether a transaction was written with the receipt fields of 012_transaction_fee_fields.
+-- Rows from before them stay NULL, their receipt was stored without those fields and
+-- can't be told apart from a missing one. The default only applies to new rows.
+ALTER TABLE "transaction" ADD COLUMN IF NOT EXISTS "receipt_fields" BOOLEAN;
+ALTER TABLE "transaction" ALTER COLUMN "receipt_fields" SET DEFAULT TRUE;
+
+-- Transactions stored without their receipt, looked up by the gap scanner
+CREATE INDEX IF NOT EXISTS transaction_missing_receipt_idx ON "transaction" ("block_hash") WHERE "receipt_fields" AND "gas_used" IS NULL;
@@ -0,0 +1,17 @@
+-- Progress of each ingestion job, so a restarted run resumes where it stopped:
+--   'head'                          => the monitor following the chain head
+--   'blocks:<start>-<end>'          => the monitor run with --start/--end, end left empty without --end
+--   'contract_logs[:<start>-<end>]' => the contracts-only monitor
+--   'bulk:<start>-<end>'            => the bulkIngest tool
+--   'backfill:<start>-<end>'        => a backfill range, kept between lease renewals
+--   'contract_backfill:<address>'   => backfillContractLogsByLogs, by log ID rather than block number
+CREATE TABLE IF NOT EXISTS sync_checkpoint (
+	"sync_checkpoint_id" BIGSERIAL PRIMARY KEY,
+	"blockchain_id"      BIGINT REFERENCES "blockchain" (blockchain_id) NOT NULL,
+	"job"                TEXT NOT NULL,
+	"next_position"      BIGINT NOT NULL, -- First block number (or log ID) not yet processed
+	"end_position"       BIGINT,          -- Exclusive, NULL for jobs without an end
+	"completed_time"     TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+	"updated_time"       TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+	UNIQUE ("blockchain_id", "job")
+);
@@ -0,0 +1,2 @@
+-- Assets waiting for a metadata update, read by the metadata worker and counted for its queue depth metric
+CREATE INDEX IF NOT EXISTS asset_metadata_needs_update_idx ON "asset_metadata" ("contract_address", "id") WHERE "needs_update";
@@ -0,0 +1,259 @@
+-- Contracts, transfers, ownership and metadata are keyed by blockchain: the
+-- same address can be an unrelated contract on another chain. Existing rows
+-- go to the blockchain their logs were stored on, and otherwise to the first
+-- blockchain, whose node every contract was identified through until now.
+
+-- Transfers, from the block of the log each one was decoded from
+ALTER TABLE "event_transfer" ADD COLUMN IF NOT EXISTS "blockchain_id" BIGINT REFERENCES "blockchain" (blockchain_id);
+
+UPDATE event_transfer et
+SET blockchain_id = b.blockchain_id
+FROM event e, log l, transaction t, block b
+WHERE
+	e.event_id = et.event_id AND
+	l.log_id = e.log_id AND
+	t.hash = l.transaction_hash AND
+	b.hash = t.block_hash;
+
+UPDATE event_transfer SET blockchain_id = (SELECT MIN(blockchain_id) FROM blockchain) WHERE blockchain_id IS NULL;
+
+ALTER TABLE "event_transfer" ALTER COLUMN "blockchain_id" SET NOT NULL;
+
+DROP INDEX IF EXISTS event_transfer_contract_address_idx;
+DROP INDEX IF EXISTS event_transfer_asset_idx;
+DROP INDEX IF EXISTS event_transfer_contract_to_idx;
+DROP INDEX IF EXISTS event_transfer_contract_from_idx;
+DROP INDEX IF EXISTS event_transfer_contract_id_to_idx;
+DROP INDEX IF EXISTS event_transfer_contract_id_from_idx;
+
+CREATE INDEX event_transfer_contract_address_idx ON "event_transfer" ("blockchain_id", "contract_address");
+CREATE INDEX event_transfer_asset_idx ON "event_transfer" ("blockchain_id", "contract_address", "id");
+CREATE INDEX event_transfer_contract_to_idx ON "event_transfer" ("blockchain_id", "contract_address", "to");
+CREATE INDEX event_transfer_contract_from_idx ON "event_transfer" ("blockchain_id", "contract_address", "from");
+CREATE INDEX event_transfer_contract_id_to_idx ON "event_transfer" ("blockchain_id", "contract_address", "id", "to");
+CREATE INDEX event_transfer_contract_id_from_idx ON "event_transfer" ("blockchain_id", "contract_address", "id", "from");
+
+-- Contracts: one row per blockchain the contract has decoded events on, copied
+-- from the existing row, or the blockchain it was created on
+CREATE TEMP TABLE contract_meta_blockchain ON COMMIT DROP AS
+SELECT DISTINCT
+	b.blockchain_id,
+	l.address
+FROM
+	event e
+JOIN
+	log l ON l.log_id = e.log_id
+JOIN
+	transaction t ON t.hash = l.transaction_hash
+JOIN
+	block b ON b.hash = t.block_hash;
+
+ALTER TABLE "contract_meta" ADD COLUMN IF NOT EXISTS "blockchain_id" BIGINT REFERENCES "blockchain" (blockchain_id);
+
+UPDATE contract_meta cm
+SET blockchain_id = COALESCE(
+	(SELECT MIN(cmb.blockchain_id) FROM contract_meta_blockchain cmb WHERE cmb.address = cm.address),
+	(SELECT MIN(b.blockchain_id) FROM transaction t JOIN block b ON b.hash = t.block_hash WHERE t.contract_address = cm.address),
+	(SELECT MIN(blockchain_id) FROM blockchain)
+);
+
+ALTER TABLE "contract_meta" ALTER COLUMN "blockchain_id" SET NOT NULL;
+ALTER TABLE "contract_meta" DROP CONSTRAINT IF EXISTS contract_meta_address_key;
+ALTER TABLE "contract_meta" ADD CONSTRAINT contract_meta_blockchain_id_address_key UNIQUE ("blockchain_id", "address");
+
+INSERT INTO
+	contract_meta (
+		blockchain_id,
+		address,
+		standard,
+		abi,
+		name,
+		symbol,
+		custom_name,
+		token_uri_json_interface,
+		token_uri_json_interface_parameters,
+		custom_token_uri,
+		custom_token_uri_headers
+	)
+SELECT
+	cmb.blockchain_id,
+	cm.address,
+	cm.standard,
+	cm.abi,
+	cm.name,
+	cm.symbol,
+	cm.custom_name,
+	cm.token_uri_json_interface,
+	cm.token_uri_json_interface_parameters,
+	cm.custom_token_uri,
+	cm.custom_token_uri_headers
+FROM
+	contract_meta cm
+JOIN
+	contract_meta_blockchain cmb ON
+		cmb.address = cm.address AND
+		cmb.blockchain_id <> cm.blockchain_id
+ON CONFLICT DO NOTHING;
+
+-- Metadata: the blockchain the token was transferred on, tokens transferred on
+-- more than one get a row per blockchain, queued for the metadata worker
+ALTER TABLE "asset_metadata" ADD COLUMN IF NOT EXISTS "blockchain_id" BIGINT REFERENCES "blockchain" (blockchain_id);
+
+UPDATE asset_metadata am
+SET blockchain_id = COALESCE(
+	(SELECT MIN(et.blockchain_id) FROM event_transfer et WHERE et.contract_address = am.contract_address AND et.id = am.id),
+	(SELECT MIN(cm.blockchain_id) FROM contract_meta cm WHERE cm.address = am.contract_address),
+	(SELECT MIN(blockchain_id) FROM blockchain)
+);
+
+ALTER TABLE "asset_metadata" ALTER COLUMN "blockchain_id" SET NOT NULL;
+ALTER TABLE "asset_metadata" DROP CONSTRAINT IF EXISTS asset_metadata_pkey;
+ALTER TABLE "asset_metadata" ADD PRIMARY KEY ("blockchain_id", "contract_address", "id");
+
+DROP INDEX IF EXISTS asset_metadata_contract_address_idx;
+DROP INDEX IF EXISTS asset_metadata_contract_address_id_idx;
+DROP INDEX IF EXISTS asset_metadata_needs_update_idx;
+
+CREATE INDEX asset_metadata_contract_address_idx ON "asset_metadata" ("blockchain_id", "contract_address");
+CREATE INDEX asset_metadata_needs_update_idx ON "asset_metadata" ("blockchain_id", "contract_address", "id") WHERE "needs_update";
+
+INSERT INTO
+	asset_metadata (
+		blockchain_id,
+		contract_address,
+		id,
+		needs_update
+	)
+SELECT DISTINCT
+	et.blockchain_id,
+	et.contract_address,
+	et.id,
+	TRUE
+FROM
+	event_transfer et
+JOIN
+	asset_metadata am ON
+		am.contract_address = et.contract_address AND
+		am.id = et.id AND
+		am.blockchain_id <> et.blockchain_id
+ON CONFLICT DO NOTHING;
+
+-- Balances, per blockchain
+DROP VIEW IF EXISTS event_transfer_owner;
+DROP VIEW IF EXISTS event_transfer_count;
+
+CREATE VIEW event_transfer_owner AS
+SELECT DISTINCT ON (et.blockchain_id, et.contract_address, a.address, et.id)
+	et.blockchain_id,
+	et.contract_address,
+	a.address,
+	et.id,
+	SUM(CASE WHEN a.address = et.to OR a.address = et.from THEN 1 ELSE 0 END) AS transfers,
+	SUM(CASE WHEN a.address = et.to   THEN CASE WHEN et.value IS NOT NULL THEN et.value ELSE 1 END END) AS input,
+	SUM(CASE WHEN a.address = et.from THEN CASE WHEN et.value IS NOT NULL THEN et.value ELSE 1 END END) AS output
+FROM
+	event_transfer et,
+	address a
+WHERE
+	et.to = a.address OR
+	et.from = a.address
+GROUP BY
+	et.blockchain_id,
+	et.contract_address,
+	a.address,
+	et.id;
+
+CREATE VIEW event_transfer_count AS
+SELECT DISTINCT ON (et.blockchain_id, et.contract_address, a.address)
+	et.blockchain_id,
+	et.contract_address,
+	a.address,
+	SUM(CASE WHEN a.address = et.to OR a.address = et.from THEN 1 ELSE 0 END) AS transfers,
+	SUM(CASE WHEN a.address = et.to   THEN CASE WHEN et.value IS NOT NULL THEN et.value ELSE 1 END END) AS input,
+	SUM(CASE WHEN a.address = et.from THEN CASE WHEN et.value IS NOT NULL THEN et.value ELSE 1 END END) AS output
+FROM
+	event_transfer et,
+	address a
+WHERE
+	et.to = a.address OR
+	et.from = a.address
+GROUP BY
+	et.blockchain_id,
+	et.contract_address,
+	a.address;
+
+-- Ownership: rebuilt from the transfers, the balances can't be split by blockchain
+ALTER TABLE "asset_owner" ADD COLUMN IF NOT EXISTS "blockchain_id" BIGINT REFERENCES "blockchain" (blockchain_id);
+
+DELETE FROM asset_owner;
+
+DROP INDEX IF EXISTS asset_owner_contract_address_owner_null_id_idx;
+DROP INDEX IF EXISTS asset_owner_contract_address_owner_id_idx;
+DROP INDEX IF EXISTS asset_owner_contract_address_idx;
+DROP INDEX IF EXISTS asset_owner_contract_address_id_idx;
+DROP INDEX IF EXISTS asset_owner_contract_address_owner_idx;
+
+ALTER TABLE "asset_owner" ALTER COLUMN "blockchain_id" SET NOT NULL;
+
+CREATE UNIQUE INDEX asset_owner_contract_address_owner_null_id_idx ON asset_owner (blockchain_id, contract_address, owner, (id IS NULL)) WHERE id IS NULL;
+CREATE UNIQUE INDEX asset_owner_contract_address_owner_id_idx ON asset_owner (blockchain_id, contract_address, owner, id) WHERE id IS NOT NULL;
+
+CREATE INDEX asset_owner_contract_address_idx ON "asset_owner" ("blockchain_id", "contract_address");
+CREATE INDEX asset_owner_contract_address_id_idx ON "asset_owner" ("blockchain_id", "contract_address", "id");
+CREATE INDEX asset_owner_contract_address_owner_idx ON "asset_owner" ("blockchain_id", "contract_address", "owner");
+
+INSERT INTO asset_owner (blockchain_id, contract_address, owner, id, value)
+SELECT blockchain_id, contract_address, address AS owner, id, SUM(COALESCE(input, 0) - COALESCE(output, 0)) AS value
+FROM event_transfer_owner
+GROUP BY blockchain_id, contract_address, address, id;
+
+CREATE OR REPLACE FUNCTION f_update_asset_owner() RETURNS TRIGGER AS
+$BODY$
+DECLARE
+	transfer event_transfer%ROWTYPE;
+	holder BYTEA;
+	amount NUMERIC;
+BEGIN
+	IF TG_OP = 'INSERT' THEN
+		transfer := NEW;
+	ELSE
+		transfer := OLD;
+	END IF;
+
+	FOREACH holder IN ARRAY ARRAY[transfer."from", transfer."to"] LOOP
+		-- Insert the holder's record into asset_owner
+		IF NOT EXISTS (
+				SELECT * FROM asset_owner
+				WHERE blockchain_id = transfer.blockchain_id AND
+					contract_address = transfer.contract_address AND
+					owner = holder AND
+					(id = transfer.id OR (id IS NULL AND transfer.id IS NULL))
+		) THEN
+			INSERT INTO asset_owner (blockchain_id, contract_address, owner, id)
+			VALUES (transfer.blockchain_id, transfer.contract_address, holder, transfer.id)
+			ON CONFLICT DO NOTHING;
+		END IF;
+
+		SELECT SUM(COALESCE(input, 0) - COALESCE(output, 0)) INTO amount
+		FROM event_transfer_owner
+		WHERE blockchain_id = transfer.blockchain_id AND
+			contract_address = transfer.contract_address AND
+			address = holder AND
+			(id = transfer.id OR (id IS NULL AND transfer.id IS NULL));
+
+		-- Update the holder
+		UPDATE asset_owner SET value = amount
+		WHERE blockchain_id = transfer.blockchain_id AND
+			contract_address = transfer.contract_address AND
+			owner = holder AND
+			(id = transfer.id OR (id IS NULL AND transfer.id IS NULL));
+	END LOOP;
+
+	IF TG_OP = 'INSERT' THEN
+		RETURN NEW;
+	END IF;
+
+	RETURN OLD;
+END;
+$BODY$
+language plpgsql;
@@ -0,0 +1,16 @@
+-- Blockchains are declared as data, see chains.example.json: any type name,
+-- identified by the chain ID their nodes have to report for eth_chainId
+ALTER TABLE "blockchain" ALTER COLUMN "type" TYPE TEXT;
+DROP TYPE IF EXISTS BLOCKCHAIN_TYPE;
+
+-- Null until declared, or taken from the nodes the first time they're verified
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "chain_id" BIGINT UNIQUE;
+
+-- Where the monitors start when nothing is stored yet, 0 when null
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "start_number" BIGINT;
+
+-- Blocks the contract log monitor stays behind the head, its default when null
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "confirmations" INTEGER;
+
+-- What the nodes are known to serve, e.g. {"finality_tags": false}; detected when a key is missing
+ALTER TABLE "blockchain" ADD COLUMN IF NOT EXISTS "features" JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,4 @@
+-- Blocks stored by the contracts-only mode, with only the transactions and logs
+-- of the watched contracts. Gap detection and root verification leave them out,
+-- a full ingest of the block clears it.
+ALTER TABLE "block" ADD COLUMN IF NOT EXISTS "partial" BOOLEAN NOT NULL DEFAULT FALSE;
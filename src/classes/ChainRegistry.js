@@ -0,0 +1,198 @@
+const fs = require('fs');
+const log = require('loglevel');
+const endpointHost = require('../util/endpointHost.js');
+const BlockchainQueries = require('../database/queries/BlockchainQueries.js');
+const { ConfigurationError } = require('./Errors.js');
+
+// What a blockchain's features can declare about its nodes, each detected when left out
+const FEATURES = [
+	'finality_tags',  // the safe and finalized block tags, confirmation depths are used otherwise
+	'block_receipts'  // eth_getBlockReceipts, receipts are fetched one by one otherwise
+];
+
+// Declares blockchains and their nodes from a JSON file, see chains.example.json.
+// Applying the file again updates them, nodes left out of it are marked skip
+// and blockchains left out of it stay as they are.
+class ChainRegistry {
+	// The validated blockchains of the file. ${NAME} in an endpoint is replaced
+	// with that environment variable, so API keys can stay out of the file.
+	static load(file) {
+		let config;
+		try {
+			config = JSON.parse(fs.readFileSync(file, 'utf8'));
+		} catch (ex) {
+			throw new ConfigurationError(`Could not read chains config ${file}: ${ex.message}`, { cause : ex });
+		}
+
+		if (!config || !Array.isArray(config.blockchains) || !config.blockchains.length) {
+			throw new ConfigurationError(`Chains config ${file} has no blockchains list`);
+		}
+
+		let names = new Set(), chain_ids = new Set();
+		return config.blockchains.map((chain, idx) => {
+			let blockchain = ChainRegistry.validate(chain, `${file}: blockchains[${idx}]`);
+
+			if (names.has(blockchain.name)) {
+				throw new ConfigurationError(`${file}: blockchain ${blockchain.name} is declared twice`);
+			}
+
+			if (chain_ids.has(blockchain.chain_id)) {
+				throw new ConfigurationError(`${file}: chain ID ${blockchain.chain_id} is declared twice`);
+			}
+
+			names.add(blockchain.name);
+			chain_ids.add(blockchain.chain_id);
+
+			return blockchain;
+		});
+	}
+
+	static validate(chain, where) {
+		const fail = (message) => {
+			throw new ConfigurationError(`${where}: ${message}`);
+		};
+
+		const optionalCount = (key) => {
+			if (chain[key] === undefined || chain[key] === null) {
+				return null;
+			}
+
+			if (!Number.isInteger(chain[key]) || chain[key] < 0) {
+				fail(`${key} must be a non-negative integer`);
+			}
+
+			return chain[key];
+		};
+
+		if (!chain || typeof chain !== 'object') {
+			fail('must be an object');
+		}
+
+		for (let key of ['name', 'type']) {
+			if (typeof chain[key] !== 'string' || !chain[key].length) {
+				fail(`${key} must be a non-empty string`);
+			}
+		}
+
+		if (!Number.isInteger(chain.chain_id) || chain.chain_id <= 0) {
+			fail('chain_id must be a positive integer');
+		}
+
+		let features = chain.features || {};
+		if (typeof features !== 'object' || Array.isArray(features)) {
+			fail('features must be an object');
+		}
+
+		for (let feature in features) {
+			if (FEATURES.indexOf(feature) === -1) {
+				fail(`unknown feature ${feature}, known: ${FEATURES.join(', ')}`);
+			}
+
+			if (typeof features[feature] !== 'boolean') {
+				fail(`feature ${feature} must be true or false`);
+			}
+		}
+
+		if (!Array.isArray(chain.nodes) || !chain.nodes.length) {
+			fail('nodes must be a non-empty list');
+		}
+
+		let nodes = chain.nodes.map((node, idx) => {
+			node = typeof node === 'string' ? { endpoint : node } : node;
+
+			if (!node || typeof node.endpoint !== 'string' || !node.endpoint.length) {
+				fail(`nodes[${idx}] must be an endpoint, or an object with one`);
+			}
+
+			if (node.trace_api !== undefined && node.trace_api !== null && ['debug', 'trace'].indexOf(node.trace_api) === -1) {
+				fail(`nodes[${idx}].trace_api must be debug or trace`);
+			}
+
+			let endpoint = node.endpoint.replace(/\$\{(\w+)\}/g, (match, name) => {
+				if (process.env[name] === undefined) {
+					fail(`nodes[${idx}] uses environment variable ${name}, which isn't set`);
+				}
+
+				return process.env[name];
+			});
+
+			return {
+				endpoint,
+				trace_api : node.trace_api || null
+			};
+		});
+
+		return {
+			name            : chain.name,
+			type            : chain.type,
+			chain_id        : chain.chain_id,
+			start_number    : optionalCount('start_number'),
+			confirmations   : optionalCount('confirmations'),
+			safe_depth      : optionalCount('safe_depth'),
+			finalized_depth : optionalCount('finalized_depth'),
+			features,
+			nodes
+		};
+	}
+
+	// Upserts the blockchains by name in a single transaction. Resolves to what
+	// changed for each; throws when a stored blockchain would change chain ID.
+	static async apply(Client, blockchains) {
+		let changes = [];
+
+		await Client.query('BEGIN;');
+		try {
+			for (let blockchain of blockchains) {
+				// Its stored blocks were verified against the chain ID it has
+				let result = await Client.query(BlockchainQueries.getBlockchainByName(blockchain.name));
+				if (result.rowCount && result.rows[0].chain_id !== null && parseInt(result.rows[0].chain_id, 10) !== blockchain.chain_id) {
+					throw new ConfigurationError(`Blockchain ${blockchain.name} is stored with chain ID ${result.rows[0].chain_id}, not ${blockchain.chain_id}`);
+				}
+
+				result = await Client.query(BlockchainQueries.upsertBlockchain(
+					blockchain.name,
+					blockchain.type,
+					blockchain.chain_id,
+					blockchain.start_number,
+					blockchain.confirmations,
+					blockchain.safe_depth,
+					blockchain.finalized_depth,
+					blockchain.features
+				));
+
+				let blockchain_id = parseInt(result.rows[0].blockchain_id, 10);
+				let change = { blockchain_id, name : blockchain.name, chain_id : blockchain.chain_id, added : 0, skipped : 0 };
+
+				let stored = (await Client.query(BlockchainQueries.getBlockchainNodes(blockchain_id))).rows;
+				for (let node of blockchain.nodes) {
+					let row = stored.find((row) => row.endpoint === node.endpoint);
+					if (row) {
+						await Client.query(BlockchainQueries.updateBlockchainNode(row.blockchain_node_id, node.trace_api, false));
+					} else {
+						await Client.query(BlockchainQueries.addBlockchainNode(blockchain.name, node.endpoint, node.trace_api));
+						change.added++;
+					}
+				}
+
+				for (let row of stored) {
+					if (row.skip !== true && !blockchain.nodes.find((node) => node.endpoint === row.endpoint)) {
+						await Client.query(BlockchainQueries.updateBlockchainNode(row.blockchain_node_id, row.trace_api, true));
+						log.info('Node left out of the chains config, skipping it', { blockchain_id, endpoint : endpointHost(row.endpoint) });
+						change.skipped++;
+					}
+				}
+
+				changes.push(change);
+			}
+
+			await Client.query('COMMIT;');
+		} catch (ex) {
+			await Client.query('ROLLBACK;');
+			throw ex;
+		}
+
+		return changes;
+	}
+}
+
+module.exports = ChainRegistry;
@@ -0,0 +1,100 @@
+const Web3 = require('web3');
+const Database = require('../database/Database.js');
+const Logger = require('./Logger.js');
+const endpointHost = require('../util/endpointHost.js');
+const BlockchainQueries = require('../database/queries/BlockchainQueries.js');
+const { ConfigurationError } = require('./Errors.js');
+
+// Asks every node of a blockchain for its eth_chainId before any of them is
+// used, so an endpoint pointing at another network never gets to store blocks
+class ChainVerifier {
+	constructor(options) {
+		// Null for a blockchain that isn't stored yet, see evm-cache blockchain add
+		this.blockchain_id = options.blockchain_id !== undefined ? options.blockchain_id : null;
+		this.name = options.name || this.blockchain_id;
+		this.chain_id = options.chain_id !== undefined && options.chain_id !== null ? parseInt(options.chain_id, 10) : null;
+		this.timeout = options.timeout || 5000;
+
+		this.log = new Logger(this.blockchain_id !== null ? { blockchain_id : this.blockchain_id } : {});
+	}
+
+	// Resolves to the nodes serving the chain, leaving out the ones that serve
+	// another or can't be asked. Without a chain ID yet, the one the nodes agree
+	// on is taken and stored. Rejects with a ConfigurationError when none is left.
+	async verify(nodes) {
+		let chain_ids = await Promise.all(nodes.map((node) => this.getChainId(node.endpoint)));
+
+		if (this.chain_id === null) {
+			let reported = [...new Set(chain_ids.filter((chain_id) => chain_id !== null))];
+			if (reported.length > 1) {
+				throw new ConfigurationError(`Nodes of blockchain ${this.name} report different chain IDs (${reported.join(', ')}), declare which one it is`);
+			}
+
+			if (reported.length === 1) {
+				await this.setChainId(reported[0]);
+			}
+		}
+
+		let verified = [];
+		for (let idx = 0; idx < nodes.length; idx++) {
+			let fields = { endpoint : endpointHost(nodes[idx].endpoint), chain_id : this.chain_id };
+
+			if (chain_ids[idx] === null) {
+				this.log.warn('Could not verify the chain ID of node, not using it', fields);
+			} else if (chain_ids[idx] !== this.chain_id) {
+				this.log.error('Node serves another chain, not using it', { ...fields, node_chain_id : chain_ids[idx] });
+			} else {
+				verified.push(nodes[idx]);
+			}
+		}
+
+		if (!verified.length) {
+			throw new ConfigurationError(this.chain_id !== null ?
+				`No node of blockchain ${this.name} serves chain ID ${this.chain_id}` :
+				`No node of blockchain ${this.name} could be asked for its chain ID`);
+		}
+
+		this.log.info('Verified chain ID of nodes', { chain_id : this.chain_id, nodes : verified.length, refused : nodes.length - verified.length });
+
+		return verified;
+	}
+
+	// Null when the node can't be asked
+	async getChainId(endpoint) {
+		let provider = endpoint.indexOf('ws://') !== -1 || endpoint.indexOf('wss://') !== -1 ?
+			new Web3.providers.WebsocketProvider(endpoint, { timeout : this.timeout }) :
+			new Web3.providers.HttpProvider(endpoint, { timeout : this.timeout });
+
+		try {
+			return Number(await new Web3(provider).eth.getChainId());
+		} catch (ex) {
+			this.log.warn('Could not retrieve chain ID:', String(ex.message || ex), { endpoint : endpointHost(endpoint) });
+			return null;
+		} finally {
+			if (typeof provider.disconnect === 'function') {
+				provider.disconnect();
+			}
+		}
+	}
+
+	// Another process verifying the same blockchain may have stored one first
+	async setChainId(chain_id) {
+		this.chain_id = chain_id;
+
+		if (this.blockchain_id === null) {
+			return;
+		}
+
+		let Client = await Database.connect();
+		try {
+			let result = await Client.query(BlockchainQueries.setChainId(this.blockchain_id, chain_id));
+			this.chain_id = parseInt(result.rows[0].chain_id, 10);
+		} finally {
+			Client.release();
+		}
+
+		this.log.info('Stored chain ID reported by the nodes', { chain_id : this.chain_id });
+	}
+}
+
+module.exports = ChainVerifier;
@@ -0,0 +1,39 @@
+const log = require('loglevel');
+
+const CheckpointQueries = require('../database/queries/CheckpointQueries.js');
+
+// Progress of a single ingestion job in sync_checkpoint
+class Checkpoint {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.job = options.job;
+		this.end_position = options.hasOwnProperty('end_position') && options.end_position !== false ? options.end_position : null;
+	}
+
+	// Job name for a run over a block range, e.g. 'blocks:100-200' or 'blocks:100-' without an end
+	static rangeJob(prefix, start_number, end_number) {
+		return `${prefix}:${start_number}-${end_number !== false && end_number !== null ? end_number : ''}`;
+	}
+
+	// Resolves to the next position to process, or null when the job has never run
+	async load(Client) {
+		let result = await Client.query(CheckpointQueries.getCheckpoint(this.blockchain_id, this.job));
+		return result.rowCount ? parseInt(result.rows[0].next_position, 10) : null;
+	}
+
+	// A lost checkpoint only means redoing some work after a restart, so it never stops the job
+	async save(Client, next_position) {
+		try {
+			await Client.query(CheckpointQueries.saveCheckpoint(
+				this.blockchain_id,
+				this.job,
+				next_position,
+				this.end_position
+			));
+		} catch (ex) {
+			log.warn('Could not save the checkpoint:', ex, { blockchain_id : this.blockchain_id, job : this.job, next_position });
+		}
+	}
+}
+
+module.exports = Checkpoint;
@@ -2,91 +2,85 @@ const log = require('loglevel');
 const Web3 = require('web3');
 const abiCfg = require('../config/abi.js');
 const Database = require('../database/Database.js');
-const Web3Client = require('../classes/Web3Client.js');
-const BlockchainQueries = require('../database/queries/BlockchainQueries.js');
 const ContractQueries = require('../database/queries/ContractQueries.js');
 const byteaBufferToHex = require('../util/byteaBufferToHex.js');
+const { ConfigurationError } = require('./Errors.js');
 
 class ContractIdentifier {
-	constructor() {
+	// Contracts are called through evmClient, which has to be a client for the nodes of blockchain_id
+	constructor(evmClient, blockchain_id) {
 		this.web3 = new Web3();
+		this.evmClient = evmClient;
+		this.blockchain_id = blockchain_id;
 	}
 
 	async getWeb3() {
-		let Client = await Database.connect();
-		let result = await Client.query(BlockchainQueries.getBlockchainsAndNodes());
-		Client.release();
-
-		if (!result || !result.rowCount) {
-			log.error('No blockchain nodes found in database.');
-			process.exit(1);
+		if (!this.evmClient) {
+			throw new ConfigurationError('No blockchain client to call contracts with');
 		}
 
-		// ASSUMPTION: We're only going to watch one node at a time
-		// But the SQL is built to handle multiple nodes and blockchains.
-		// Regardless, one per at the moment
-		let node = result.rows[0];
-
-		// ASSUMPTION: We're only supporting Ethereum right now
-		// Create a new monitor instance
-		let evmClient = new Web3Client({
-			"endpoint" : node.endpoint
-		});
-
-		return evmClient.web3;
+		return this.evmClient.getWeb3();
 	}
 
+	// Calls back with (err, { address, name, symbol, token_uri_json_interface }), err being
+	// set only when the stored metadata can't be read; methods that fail are left out
 	async getNameSymbol(address, callback = ()=>{}) {
-		Database.connect(async (Client) => {
-			let web3 = await this.getWeb3();
+		let web3, result;
+		try {
+			web3 = await this.getWeb3();
 
-			Client.query(ContractQueries.getContractMeta(address), async (result) => {
+			let Client = await Database.connect();
+			try {
+				result = await Client.query(ContractQueries.getContractMeta(this.blockchain_id, address));
+			} finally {
 				Client.release();
+			}
+		} catch (ex) {
+			return callback(ex);
+		}
 
-				if (!result || !result.rowCount || !result.rows[0].contract_meta_id) {
-					log.error(`No contract metadata found for ${address}`);
-					return callback({address});
-				}
+		if (!result || !result.rowCount || !result.rows[0].contract_meta_id) {
+			log.error('No contract metadata found', { contract_address : address });
+			return callback(null, {address});
+		}
 
-				let abi, record = result.rows[0];
-				if (record.abi && typeof record.abi === 'object' && Object.keys(record.abi).length > 0) {
-					abi = record.abi;
-				} else if (typeof record.standard === 'string' && record.standard.length) {
-					abi = abiCfg.abis[record.standard];
-				} else {
-					// Nothing to use
-					log.debug("No valid ABI or standard provided to decode log.");
-					return callback({address});
-				}
+		let abi, record = result.rows[0];
+		if (record.abi && typeof record.abi === 'object' && Object.keys(record.abi).length > 0) {
+			abi = record.abi;
+		} else if (typeof record.standard === 'string' && record.standard.length) {
+			abi = abiCfg.abis[record.standard];
+		} else {
+			// Nothing to use
+			log.debug('No valid ABI or standard provided to decode log', { contract_address : address });
+			return callback(null, {address});
+		}
 
-				// Determine if we have a name function
-				const contract = new web3.eth.Contract(abi, address);
-				let name, symbol, token_uri_json_interface;
-				try {
-					name = await contract.methods.name().call();
-				} catch (ex) {
-					log.error(`Could not retrieve name for ${address}`);
-				}
+		// Determine if we have a name function
+		const contract = new web3.eth.Contract(abi, address);
+		let name, symbol, token_uri_json_interface;
+		try {
+			name = await contract.methods.name().call();
+		} catch (ex) {
+			log.error('Could not retrieve name:', ex, { contract_address : address });
+		}
 
-				try {
-					symbol = await contract.methods.symbol().call();
-				} catch (ex) {
-					log.error(`Could not retrieve symbol for ${address}`);
-				}
+		try {
+			symbol = await contract.methods.symbol().call();
+		} catch (ex) {
+			log.error('Could not retrieve symbol:', ex, { contract_address : address });
+		}
 
-				try {
-					token_uri_json_interface = await this.getTokenUriJsonInferface(address, contract, abi);
-				} catch (ex) {
-					log.error(`Could not retrieve tokenUriJsonInferface for ${address}`);
-				}
+		try {
+			token_uri_json_interface = await this.getTokenUriJsonInferface(address, contract, abi);
+		} catch (ex) {
+			log.error('Could not retrieve tokenUriJsonInferface:', ex, { contract_address : address });
+		}
 
-				callback({
-					address,
-					name,
-					symbol,
-					token_uri_json_interface
-				});
-			});
+		callback(null, {
+			address,
+			name,
+			symbol,
+			token_uri_json_interface
 		});
 	}
 
@@ -101,19 +95,19 @@ class ContractIdentifier {
 		sig = sig.slice(2).toLowerCase(); // Remove 0x and force lowercase jic
 
 		if (code.indexOf(sig) !== -1) {
-			log.info("Token URI JSON Interface found in ABI for ERC-1155");
+			log.info('Token URI JSON Interface found in ABI for ERC-1155', { contract_address : address });
 			return erc1155UriJson;;
 		}
 
 		try {
 			let res = await contract.methods.supportsInterface('0x0e89341c').call();
 			if (res === true) {
-				log.info("Token URI JSON Interface found in supportsInterface for ERC-1155");
+				log.info('Token URI JSON Interface found in supportsInterface for ERC-1155', { contract_address : address });
 				return abi[idx];
 			}
 		} catch (ex) {
 			// Do nothing
-			log.info("Contract has no support for supportsInterface");
+			log.info('Contract has no support for supportsInterface', { contract_address : address });
 		}
 
 		// Only check for valid URI methods
@@ -123,61 +117,79 @@ class ContractIdentifier {
 		for (let idx = 0; idx < abi.length; idx++) {
 			if (abi[idx].type !== 'function') continue;
 			if (validUriMethods.indexOf(abi[idx].name) === -1) continue;
-			log.info("Token URI JSON Interface found in ABI for ERC-721");
+			log.info('Token URI JSON Interface found in ABI for ERC-721', { contract_address : address });
 			return abi[idx];
 		}
 	}
 
+	// Calls back with (err, { address, code_results, call_results, standard }), err being
+	// set only when the stored contract code can't be read
 	async determineStandard(address, callback = ()=>{}) {
-		Database.connect((Client) => {
-			Client.query(ContractQueries.getContractCode(address), async (result) => {
+		let result;
+		try {
+			let Client = await Database.connect();
+			try {
+				result = await Client.query(ContractQueries.getContractCode(this.blockchain_id, address));
+			} finally {
 				Client.release();
+			}
+		} catch (ex) {
+			return callback(ex);
+		}
 
-				let code;
-				if (!result.rowCount || !result.rows[0].input) {
-					log.info(`Address ${address} does not have contract creation transaction stored in the database.`);
+		let code;
+		if (!result.rowCount || !result.rows[0].input) {
+			log.info('No contract creation transaction stored in the database', { contract_address : address });
 
-					// Attempt to retrieve the code directly
-					let web3 = await this.getWeb3();
-					code = await web3.eth.getCode(address);
-					if (!code || code.length < 4) {
-						log.error(`Could not retrieve code from address. Exiting.`);
-						return false;
-					}
-				} else {
-					code = byteaBufferToHex(result.rows[0].input);
-				}
+			// Attempt to retrieve the code directly
+			try {
+				let web3 = await this.getWeb3();
+				code = await web3.eth.getCode(address);
+			} catch (ex) {
+				log.error('Could not retrieve code:', ex, { contract_address : address });
+			}
 
-				// Try to figure out the standard from the ABI
-				let code_results = this.determineStandardByCode(code, false);
+			if (!code || code.length < 4) {
+				log.error('Could not retrieve code from address', { contract_address : address });
+				return callback(null, {
+					address,
+					code_results : [],
+					call_results : [],
+					standard     : null
+				});
+			}
+		} else {
+			code = byteaBufferToHex(result.rows[0].input);
+		}
 
-				// If one of these passed, then hand it back
-				let standard = null;
-				if (code_results.length === 1) {
-					standard = code_results[0];
-				} else if (code_results.length > 1) {
-					log.error(`Ambiguous code analysis result for ${address}, returned ${code_results}. Attempt to determine standard by call.`);
-				}
+		// Try to figure out the standard from the ABI
+		let code_results = this.determineStandardByCode(code, false);
 
-				// Failing? Try to guess the standard by calling the contract
-				let call_results;
-				if (!standard) {
-					call_results = await this.determineStandardByCall(address, false);
+		// If one of these passed, then hand it back
+		let standard = null;
+		if (code_results.length === 1) {
+			standard = code_results[0];
+		} else if (code_results.length > 1) {
+			log.error('Ambiguous code analysis result, attempting to determine standard by call', { contract_address : address, code_results });
+		}
 
-					if (call_results.length === 1) {
-						standard = call_results[0];
-					} else if (call_results.length > 1) {
-						log.error(`Ambiguous contract call analysis result for ${address}, returned ${call_results}`);
-					}
-				}
+		// Failing? Try to guess the standard by calling the contract
+		let call_results;
+		if (!standard) {
+			call_results = await this.determineStandardByCall(address, false);
 
-				callback({
-					address,
-					code_results,
-					call_results,
-					standard
-				});
-			});
+			if (call_results.length === 1) {
+				standard = call_results[0];
+			} else if (call_results.length > 1) {
+				log.error('Ambiguous contract call analysis result', { contract_address : address, call_results });
+			}
+		}
+
+		callback(null, {
+			address,
+			code_results,
+			call_results,
+			standard
 		});
 	}
 
@@ -208,11 +220,11 @@ class ContractIdentifier {
 					sig = sig.slice(2).toLowerCase(); // Remove 0x and force lowercase jic
 
 					if (input.indexOf(sig) === -1) {
-						verbose && log.debug(contractType + " function: " + abis[contractType][idx].name, ": NOT FOUND");
+						verbose && log.debug('Function not found', { standard : contractType, function : abis[contractType][idx].name });
 						matches.splice(matches.indexOf(contractType), 1);
 						break contract_standard;
 					} else {
-						verbose && log.debug(contractType + " function: " + abis[contractType][idx].name, ": FOUND");
+						verbose && log.debug('Function found', { standard : contractType, function : abis[contractType][idx].name });
 					}
 				}
 			}
@@ -234,11 +246,11 @@ class ContractIdentifier {
 					sig = sig.slice(2).toLowerCase(); // Remove 0x and force lowercase jic
 
 					if (input.indexOf(sig) === -1) {
-						verbose && log.debug(contractType + " event: " + abis[contractType][idx].name, ": NOT FOUND");
+						verbose && log.debug('Event not found', { standard : contractType, event : abis[contractType][idx].name });
 						matches.splice(matches.indexOf(contractType), 1);
 						break contract_standard;
 					} else {
-						verbose && log.debug(contractType + " event: " + abis[contractType][idx].name, ": FOUND");
+						verbose && log.debug('Event found', { standard : contractType, event : abis[contractType][idx].name });
 					}
 				}
 			}
@@ -270,14 +282,14 @@ class ContractIdentifier {
 
 				try {
 					let res = await contract.methods[call](...callables[call]).call();
-					verbose && log.debug(`Received result for ${call}: ${res}`);
+					verbose && log.debug('Received call result', { contract_address : address, call, result : res });
 
 					if (call === 'supportsInterface' && res === false) {
 						matches.splice(matches.indexOf(standard), 1);
 						break callable_loop;
 					}
 				} catch (ex) {
-					verbose && log.debug(`Could not retrieve call ${call} for ${address}`);
+					verbose && log.debug('Could not retrieve call:', ex, { contract_address : address, call });
 					matches.splice(matches.indexOf(standard), 1);
 					break callable_loop;
 				}
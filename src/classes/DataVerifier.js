@@ -1,6 +1,7 @@
-const log   = require('loglevel');
 const sleep = require('../util/sleep.js');
 const Database = require('../database/Database.js');
+const Lifecycle = require('./Lifecycle.js');
+const Logger = require('./Logger.js');
 
 const BlockQueries = require('../database/queries/BlockQueries.js');
 
@@ -11,47 +12,91 @@ class CacheMonitor {
 		this.startBlockOverride = options.startBlockOverride;
 		this.endBlockOverride = options.endBlockOverride;
 		this.client = null; // Covered in start()
+		this.log = new Logger({ blockchain_id : this.blockchain_id });
+
+		// With a repairer, mismatched blocks are queued and re-ingested every
+		// repairBatchSize mismatches, and once more at the end
+		this.repairer = options.repairer || null;
+		this.repairBatchSize = options.repairBatchSize || 100;
+
+		// Every block whose transaction count didn't match, repaired or not
+		this.mismatched = [];
+
+		this.done = null; // Covered in start()
 	}
 
+	// Resolves to the repair report, or null without a repairer, once the end
+	// block override is reached or on shutdown
 	async start() {
 		let start_number;
 		if (this.startBlockOverride !== false) {
 			start_number = this.startBlockOverride;
-			log.info("Using start block number override:", start_number);
+			this.log.info('Using start block number override', { block_number : start_number });
 		} else {
 			start_number = 0;
-			log.info("No start block, starting at 0");
+			this.log.info('No start block, starting at 0');
 		}
 
-		this.verifyBlock(start_number);
+		return new Promise((resolve, reject) => {
+			this.done = { resolve, reject };
+			this.verifyBlock(start_number);
+		});
 	}
 
 	async verifyBlock(block_number) {
-		if (this.endBlockOverride !== false && block_number >= this.endBlockOverride) {
-			log.info("Reached endBlockOverride:", this.endBlockOverride);
-			process.exit();
+		if (Lifecycle.isStopping() || (this.endBlockOverride !== false && block_number >= this.endBlockOverride)) {
+			if (Lifecycle.isStopping()) {
+				this.log.info('Shutting down, stopped before block', { block_number });
+			} else {
+				this.log.info('Reached endBlockOverride', { block_number : this.endBlockOverride });
+			}
+
+			let report = null;
+			if (this.repairer) {
+				report = await this.repairer.repairQueued((block_number) => this.countsMatch(block_number));
+				this.repairer.logReport();
+				this.repairer.release();
+			}
+
+			return this.done.resolve(report);
 		}
 
 		// Start by verifying the transaction counts
 		this.evmClient.getWeb3().eth.getBlockTransactionCount(block_number, async (err, count) => {
 			if (block_number % 1000 === 0) {
-				log.info(`At block #${block_number}`);
+				this.log.info('At block', { block_number });
 			}
 
 			Database.connect((Client) => {
-				Client.query(BlockQueries.getBlockTransactionCount(this.blockchain_id, block_number), (result) => {
+				return Client.query(BlockQueries.getBlockTransactionCount(this.blockchain_id, block_number), async (result) => {
 					Client.release();
 
 					let dbcount = parseInt(result.rows[0].count || -1, 10);
 					if (count !== dbcount) {
-						log.info(`Mismatch from database at block ${block_number}, web3 = ${count}, db = ${dbcount}`);
+						this.log.info('Transaction count mismatch from database', { block_number, transaction_count : dbcount, expected_transaction_count : count });
+						this.mismatched.push(block_number);
+
+						if (this.repairer) {
+							this.repairer.enqueue(block_number);
+						}
+					}
+
+					if (this.repairer && this.repairer.queue.length >= this.repairBatchSize) {
+						await this.repairer.repairQueued((block_number) => this.countsMatch(block_number));
 					}
 
 					this.verifyBlock(block_number+1);
 				});
-			});
+			}).catch((ex) => this.done.reject(ex));
 		});
 	}
+
+	async countsMatch(block_number) {
+		let count = await this.evmClient.getWeb3().eth.getBlockTransactionCount(block_number);
+		let result = await this.repairer.Client.query(BlockQueries.getBlockTransactionCount(this.blockchain_id, block_number));
+
+		return count === parseInt(result.rows[0].count || -1, 10);
+	}
 }
 
 module.exports = CacheMonitor;
@@ -0,0 +1,47 @@
+// Thrown by the library instead of exiting the process, so whatever runs the
+// monitors decides whether to retry, restart or shut down
+class EvmCacheError extends Error {
+	constructor(message, options = {}) {
+		super(message, options.hasOwnProperty('cause') ? { cause : options.cause } : undefined);
+		this.name = this.constructor.name;
+	}
+}
+
+// A query failed or no client could be acquired, code is Postgres' SQLSTATE when there is one
+class DatabaseError extends EvmCacheError {
+	constructor(message, options = {}) {
+		super(message, options);
+		this.code = options.cause && options.cause.code ? options.cause.code : null;
+		this.query = options.query || null;
+	}
+}
+
+// The database has nothing to work with, e.g. no blockchain nodes
+class ConfigurationError extends EvmCacheError {}
+
+// A node returned an error we can't recover from by cycling to another node
+class NodeError extends EvmCacheError {}
+
+// A block could not be stored, nothing at its height was committed
+class IngestError extends EvmCacheError {
+	constructor(message, options = {}) {
+		super(message, options);
+		this.block_number = options.hasOwnProperty('block_number') ? options.block_number : null;
+	}
+}
+
+// Rolling back to a common ancestor failed, the orphaned blocks are still stored
+class ReorgError extends IngestError {}
+
+// New work was refused because the process is shutting down
+class ShutdownError extends EvmCacheError {}
+
+module.exports = {
+	EvmCacheError,
+	DatabaseError,
+	ConfigurationError,
+	NodeError,
+	IngestError,
+	ReorgError,
+	ShutdownError
+};
@@ -0,0 +1,78 @@
+const byteaBufferToHex = require('../util/byteaBufferToHex.js');
+
+const BlockQueries = require('../database/queries/BlockQueries.js');
+
+// Finds the holes in what's stored for a blockchain: block numbers missing
+// between the lowest and highest stored blocks, and stored blocks whose
+// transactions or receipts never made it in
+class GapScanner {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+
+		// Blocks per incomplete block query, each one checks every transaction
+		this.scanWindow = options.scanWindow || 100000;
+	}
+
+	// Resolves to { missing : [{ start_number, end_number }], incomplete : [{ number, hash, reason }] }
+	// for [start_number, end_number), defaulting to everything up to the latest stored block.
+	// Nothing below the lowest stored block counts as missing, that's where ingestion started.
+	async scan(Client, start_number = null, end_number = null) {
+		let result = await Client.query(BlockQueries.getStoredBlockRange(this.blockchain_id));
+		let range = result.rows[0];
+
+		let gaps = {
+			missing    : [],
+			incomplete : []
+		};
+
+		if (range.min_number === null) {
+			return gaps;
+		}
+
+		start_number = Math.max(start_number === null ? 0 : start_number, parseInt(range.min_number, 10));
+		end_number = Math.min(end_number === null ? Infinity : end_number, parseInt(range.max_number, 10) + 1);
+
+		if (start_number >= end_number) {
+			return gaps;
+		}
+
+		result = await Client.query(BlockQueries.getBlockGaps(this.blockchain_id, start_number, end_number));
+		gaps.missing = result.rows.map((row) => {
+			return {
+				start_number : parseInt(row.start_number, 10),
+				end_number   : parseInt(row.end_number, 10)
+			};
+		});
+
+		for (let number = start_number; number < end_number; number += this.scanWindow) {
+			result = await Client.query(BlockQueries.getIncompleteBlocks(
+				this.blockchain_id,
+				number,
+				Math.min(number + this.scanWindow, end_number)
+			));
+
+			for (let row of result.rows) {
+				gaps.incomplete.push({
+					number : parseInt(row.number, 10),
+					hash   : byteaBufferToHex(row.hash),
+					reason : row.missing_transactions ? 'transactions missing' : 'receipts missing'
+				});
+			}
+		}
+
+		return gaps;
+	}
+
+	// Whether a block is stored at this height with its transactions and receipts
+	async isComplete(Client, block_number) {
+		let result = await Client.query(BlockQueries.getBlockByNumber(this.blockchain_id, block_number));
+		if (!result.rowCount) {
+			return false;
+		}
+
+		result = await Client.query(BlockQueries.getIncompleteBlocks(this.blockchain_id, block_number, block_number + 1));
+		return result.rowCount === 0;
+	}
+}
+
+module.exports = GapScanner;
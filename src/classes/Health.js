@@ -0,0 +1,190 @@
+const config = require('../config/config.js');
+const Database = require('../database/Database.js');
+
+// What the liveness and readiness endpoints report on. Monitors record the
+// blocks they commit and the chain heads they see, long-running loops without
+// blocks record heartbeats instead.
+class Health {
+	constructor() {
+		// blockchain_id => { committedTime, committedNumber, headTime, headNumber }
+		this.chains = {};
+
+		// name => time of the last heartbeat
+		this.heartbeats = {};
+
+		// { blockchain_id, evmClient }, each needs at least one reachable node to be ready
+		this.clients = [];
+
+		// Longest a monitor may go without committing while the chain head advances
+		this.stallWindow = parseInt(config.LIVENESS_WINDOW_MS, 10);
+
+		this.checkTimeout = 5000;
+	}
+
+	// Starts the stall window for a monitor that's about to ingest
+	watchChain(blockchain_id) {
+		if (!this.chains.hasOwnProperty(blockchain_id)) {
+			this.chains[blockchain_id] = {
+				committedTime   : Date.now(),
+				committedNumber : null,
+				headTime        : null,
+				headNumber      : null
+			};
+		}
+	}
+
+	watchClient(blockchain_id, evmClient) {
+		if (!this.clients.some((client) => client.evmClient === evmClient)) {
+			this.clients.push({ blockchain_id, evmClient });
+		}
+	}
+
+	blockCommitted(blockchain_id, block_number) {
+		this.watchChain(blockchain_id);
+
+		this.chains[blockchain_id].committedTime = Date.now();
+		this.chains[blockchain_id].committedNumber = block_number;
+	}
+
+	// Only a higher head than one seen before counts as the chain advancing
+	chainHead(blockchain_id, block_number) {
+		this.watchChain(blockchain_id);
+
+		let chain = this.chains[blockchain_id];
+		if (chain.headNumber === null) {
+			chain.headNumber = block_number;
+		} else if (block_number > chain.headNumber) {
+			chain.headTime = Date.now();
+			chain.headNumber = block_number;
+		}
+	}
+
+	heartbeat(name) {
+		this.heartbeats[name] = Date.now();
+	}
+
+	// Fails when a monitor hasn't committed anything for the stall window even
+	// though the chain head moved on in the meantime, or a heartbeat stopped
+	async getLiveness() {
+		await this.sampleChainHeads();
+
+		let now = Date.now(), problems = [];
+
+		let chains = {};
+		for (let blockchain_id in this.chains) {
+			let chain = this.chains[blockchain_id];
+			let stalled = (
+				now - chain.committedTime > this.stallWindow &&
+				chain.headTime !== null &&
+				chain.headTime > chain.committedTime
+			);
+
+			if (stalled) {
+				problems.push(`blockchain ID ${blockchain_id} has committed nothing for ${Math.round((now - chain.committedTime) / 1000)} s while the head advanced to #${chain.headNumber}`);
+			}
+
+			chains[blockchain_id] = {
+				committed_number : chain.committedNumber,
+				committed_time   : new Date(chain.committedTime),
+				head_number      : chain.headNumber,
+				stalled
+			};
+		}
+
+		let heartbeats = {};
+		for (let name in this.heartbeats) {
+			let stalled = now - this.heartbeats[name] > this.stallWindow;
+			if (stalled) {
+				problems.push(`no ${name} heartbeat for ${Math.round((now - this.heartbeats[name]) / 1000)} s`);
+			}
+
+			heartbeats[name] = {
+				time : new Date(this.heartbeats[name]),
+				stalled
+			};
+		}
+
+		return {
+			ok : !problems.length,
+			problems,
+			chains,
+			heartbeats
+		};
+	}
+
+	// A monitor stuck before it asks for the head wouldn't report it advancing,
+	// so the head of every watched chain is also asked of its nodes directly
+	async sampleChainHeads() {
+		let watched = this.clients.filter(({ blockchain_id }) => this.chains.hasOwnProperty(blockchain_id));
+
+		await Promise.all(watched.map(({ blockchain_id, evmClient }) => {
+			return this.withTimeout(evmClient.getHighestHead()).then((head) => {
+				if (head !== null) {
+					this.chainHead(blockchain_id, head);
+				}
+			}, () => {
+				// Unreachable nodes are for readiness to report
+			});
+		}));
+	}
+
+	// Ready once the database answers and every client can reach at least one of its nodes
+	async getReadiness() {
+		let problems = [];
+
+		let database = await this.withTimeout(this.checkDatabase()).then(() => true, (ex) => {
+			problems.push(`database: ${ex.message || ex}`);
+			return false;
+		});
+
+		let nodes = {};
+		await Promise.all(this.clients.map(async ({ blockchain_id, evmClient }) => {
+			let reachable = await this.withTimeout(evmClient.getReachableNodeCount()).catch((ex) => {
+				problems.push(`nodes for blockchain ID ${blockchain_id}: ${ex.message || ex}`);
+				return 0;
+			});
+
+			if (!reachable) {
+				problems.push(`none of the ${evmClient.nodes.length} nodes for blockchain ID ${blockchain_id} are reachable`);
+			}
+
+			nodes[blockchain_id] = {
+				reachable,
+				total : evmClient.nodes.length
+			};
+		}));
+
+		return {
+			ok : !problems.length,
+			problems,
+			database,
+			nodes
+		};
+	}
+
+	async checkDatabase() {
+		let Client = await Database.connect();
+
+		try {
+			await Client.query('SELECT 1;');
+		} finally {
+			Client.release();
+		}
+	}
+
+	withTimeout(promise) {
+		return Promise.race([
+			promise,
+			new Promise((resolve, reject) => {
+				setTimeout(() => reject(new Error(`timed out after ${this.checkTimeout} ms`)), this.checkTimeout).unref();
+			})
+		]);
+	}
+}
+
+// Singleton Health class
+if (!global.healthInstance) {
+	global.healthInstance = new Health();
+}
+
+module.exports = global.healthInstance;
@@ -0,0 +1,166 @@
+const log = require('loglevel');
+const config = require('../config/config.js');
+const { ShutdownError } = require('./Errors.js');
+
+// Coordinates shutdown: stops new work, lets the block transactions already
+// in flight commit or roll back, then runs the registered shutdown hooks.
+// Only entry points install the signal handlers and exit the process, an
+// embedding service calls shutdown() itself.
+class Lifecycle {
+	constructor() {
+		this.stopping = false;
+		this.installed = false;
+		this.shuttingDown = null; // Covered in shutdown()
+
+		// Promises for the units of work shutdown waits on, see track()
+		this.inFlight = new Set();
+
+		// Run in reverse order of registration
+		this.hooks = [];
+
+		// Timers from wait(), cleared so idle loops notice the shutdown right away
+		this.waiting = new Set();
+
+		this.shutdownTimeout = parseInt(config.SHUTDOWN_TIMEOUT_MS, 10);
+	}
+
+	// Handles SIGINT and SIGTERM, and shuts down on anything left unhandled.
+	// The same signal a second time exits immediately, a worker can get both
+	// the terminal's SIGINT and its parent's SIGTERM.
+	install() {
+		if (this.installed) {
+			return;
+		}
+
+		this.installed = true;
+
+		let received = new Set();
+		for (let signal of ['SIGINT', 'SIGTERM']) {
+			process.on(signal, () => {
+				if (received.has(signal)) {
+					log.warn(`Received ${signal} again, exiting without waiting`);
+					process.exit(1);
+				}
+
+				received.add(signal);
+				log.info(`Received ${signal}, shutting down`);
+				this.shutdown(0);
+			});
+		}
+
+		process.on('unhandledRejection', (reason) => {
+			log.error('Unhandled rejection, shutting down:', reason);
+			this.shutdown(1);
+		});
+
+		process.on('uncaughtException', (err) => {
+			// Logging can be what throws, e.g. writing to a closed stdout, so only log the first
+			if (!this.stopping) {
+				log.error('Uncaught exception, shutting down:', err);
+			}
+
+			this.shutdown(1);
+		});
+	}
+
+	isStopping() {
+		return this.stopping;
+	}
+
+	// Runs fn() as a unit of work that shutdown waits for, rejecting with a
+	// ShutdownError instead when shutdown has already started
+	async track(fn) {
+		if (this.stopping) {
+			throw new ShutdownError('Shutting down, not starting new work');
+		}
+
+		let promise = Promise.resolve().then(fn);
+		this.inFlight.add(promise);
+
+		try {
+			return await promise;
+		} finally {
+			this.inFlight.delete(promise);
+		}
+	}
+
+	onShutdown(hook) {
+		this.hooks.push(hook);
+	}
+
+	// Same as sleep(), but resolves early when shutdown starts
+	wait(ms) {
+		if (this.stopping) {
+			return Promise.resolve();
+		}
+
+		return new Promise((resolve) => {
+			let timer = setTimeout(() => {
+				this.waiting.delete(timer);
+				resolve();
+			}, ms);
+
+			timer.resolve = resolve;
+			this.waiting.add(timer);
+		});
+	}
+
+	// Resolves once the in-flight work and the hooks are done, or the timeout
+	// passed. Exits with code when the signal handlers are installed.
+	shutdown(code = 0) {
+		if (code) {
+			process.exitCode = code;
+		}
+
+		if (this.shuttingDown) {
+			return this.shuttingDown;
+		}
+
+		this.stopping = true;
+
+		for (let timer of this.waiting) {
+			clearTimeout(timer);
+			timer.resolve();
+		}
+		this.waiting.clear();
+
+		this.shuttingDown = (async () => {
+			let done = await Promise.race([
+				this.drain().then(() => true),
+				new Promise((resolve) => setTimeout(resolve, this.shutdownTimeout, false).unref())
+			]);
+
+			if (!done) {
+				log.warn(`Shutdown timed out after ${this.shutdownTimeout} ms with ${this.inFlight.size} units of work in flight`);
+			}
+
+			if (this.installed) {
+				process.exit();
+			}
+		})();
+
+		return this.shuttingDown;
+	}
+
+	async drain() {
+		if (this.inFlight.size) {
+			log.info(`Waiting on ${this.inFlight.size} units of work to finish`);
+			await Promise.allSettled([...this.inFlight]);
+		}
+
+		for (let hook of [...this.hooks].reverse()) {
+			try {
+				await hook();
+			} catch (ex) {
+				log.error('Shutdown hook failed:', ex);
+			}
+		}
+	}
+}
+
+// Singleton Lifecycle class
+if (!global.lifecycleInstance) {
+	global.lifecycleInstance = new Lifecycle();
+}
+
+module.exports = global.lifecycleInstance;
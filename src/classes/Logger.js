@@ -0,0 +1,120 @@
+const log = require('loglevel');
+const util = require('util');
+
+// Formats every loglevel call in the process, as JSON lines for log pipelines
+// or as the usual text with the fields appended. A plain object passed last
+// holds the structured fields: log.info('Found new block', { block_number }).
+class Logger {
+	constructor(fields = {}) {
+		this.fields = fields;
+	}
+
+	// Same fields plus these, e.g. a block's number and hash for everything logged while storing it
+	child(fields) {
+		return new Logger(Object.assign({}, this.fields, fields));
+	}
+
+	trace(...args) { this.write('trace', args); }
+	debug(...args) { this.write('debug', args); }
+	info(...args)  { this.write('info', args); }
+	warn(...args)  { this.write('warn', args); }
+	error(...args) { this.write('error', args); }
+
+	write(level, args) {
+		let fields = this.fields;
+		if (args.length > 1 && Logger.isFields(args[args.length - 1])) {
+			fields = Object.assign({}, fields, args.pop());
+		}
+
+		log[level](...args, fields);
+	}
+
+	// Only installed once, before anything logs. format is 'json' or 'text'.
+	static install(format) {
+		if (Logger.format) {
+			return;
+		}
+
+		Logger.setFormat(format);
+
+		const originalFactory = log.methodFactory;
+		log.methodFactory = (methodName, logLevel, loggerName) => {
+			const rawMethod = originalFactory(methodName, logLevel, loggerName);
+
+			return (...args) => {
+				let fields = {};
+				if (args.length > 1 && Logger.isFields(args[args.length - 1])) {
+					fields = args.pop();
+				}
+
+				if (Logger.format === 'json') {
+					return rawMethod(Logger.toJson(methodName, args, fields));
+				}
+
+				let pairs = Object.keys(fields).filter((key) => fields[key] !== undefined).map((key) => `${key}=${Logger.toValue(fields[key])}`);
+				return pairs.length ? rawMethod(...args, pairs.join(' ')) : rawMethod(...args);
+			};
+		};
+
+		// Applies the factory to the methods loglevel already built
+		log.setLevel(log.getLevel(), false);
+	}
+
+	// Switches the format of everything logged from now on, e.g. for a command run with --json
+	static setFormat(format) {
+		Logger.format = format === 'json' ? 'json' : 'text';
+	}
+
+	static isFields(arg) {
+		return arg !== null && typeof arg === 'object' && Object.getPrototypeOf(arg) === Object.prototype;
+	}
+
+	// One line: time, level and message first, then the fields, then whatever the first error carries
+	static toJson(level, args, fields) {
+		let error = args.find((arg) => arg instanceof Error);
+		let message = util.format(...args.filter((arg) => arg !== error));
+
+		let line = Object.assign({
+			time  : new Date().toISOString(),
+			level,
+			msg   : message || (error ? error.message : '')
+		}, fields);
+
+		if (error) {
+			line.error_class = error.name;
+			line.error = error.message;
+
+			if (error.code) {
+				line.error_code = error.code;
+			}
+
+			if (error.block_number !== undefined && error.block_number !== null && line.block_number === undefined) {
+				line.block_number = error.block_number;
+			}
+
+			if (error.cause) {
+				line.error_cause = String(error.cause.message || error.cause);
+			}
+
+			line.stack = error.stack;
+		}
+
+		return JSON.stringify(line, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+	}
+
+	static toValue(value) {
+		if (value instanceof Error) {
+			return JSON.stringify(value.message);
+		}
+
+		if (typeof value === 'string') {
+			return /\s|"/.test(value) ? JSON.stringify(value) : value;
+		}
+
+		return typeof value === 'object' ? JSON.stringify(value) : String(value);
+	}
+}
+
+Logger.format = null; // Covered in install()
+
+module.exports = Logger;
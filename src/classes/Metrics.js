@@ -0,0 +1,117 @@
+const prometheus = require('prom-client');
+const endpointHost = require('../util/endpointHost.js');
+
+// Statements counted apart in the query metrics, everything else is 'OTHER'
+const QUERY_OPERATIONS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'WITH', 'BEGIN', 'COMMIT', 'ROLLBACK', 'CREATE', 'TRUNCATE'];
+
+// Prometheus metrics for the process, served on /metrics by the StatusServer
+class Metrics {
+	constructor() {
+		this.registry = new prometheus.Registry();
+
+		prometheus.collectDefaultMetrics({
+			register : this.registry,
+			prefix   : 'evm_cache_'
+		});
+
+		this.chainHead = this.gauge('evm_cache_chain_head', 'Latest block number reported by the node', ['blockchain_id']);
+		this.cachedHead = this.gauge('evm_cache_cached_head', 'Latest block number stored by the monitor', ['blockchain_id']);
+
+		// Computed from the two heads on every scrape
+		const metrics = this;
+		this.headLag = new prometheus.Gauge({
+			name       : 'evm_cache_head_lag_blocks',
+			help       : 'Blocks between the node head and the cached head',
+			labelNames : ['blockchain_id'],
+			registers  : [this.registry],
+			async collect() {
+				let chainHeads = (await metrics.chainHead.get()).values;
+				let cachedHeads = (await metrics.cachedHead.get()).values;
+
+				for (let chainHead of chainHeads) {
+					let cachedHead = cachedHeads.find((head) => head.labels.blockchain_id === chainHead.labels.blockchain_id);
+					if (cachedHead) {
+						this.set(chainHead.labels, Math.max(0, chainHead.value - cachedHead.value));
+					}
+				}
+			}
+		});
+
+		this.blocksIngested = this.counter('evm_cache_blocks_ingested_total', 'Blocks stored, by how they were ingested', ['blockchain_id', 'mode']);
+		this.blockStoreDuration = this.histogram('evm_cache_block_store_duration_seconds', 'Time to store a block with its transactions, logs and traces', ['blockchain_id'], [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+		this.reorgs = this.counter('evm_cache_reorgs_total', 'Reorgs rolled back', ['blockchain_id']);
+		this.reorgDepth = this.histogram('evm_cache_reorg_depth_blocks', 'Blocks rolled back per reorg', ['blockchain_id'], [1, 2, 3, 5, 10, 20, 64, 128]);
+
+		this.rpcDuration = this.histogram('evm_cache_rpc_request_duration_seconds', 'JSON-RPC request latency, batches count as one request', ['endpoint', 'method'], [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+		this.rpcErrors = this.counter('evm_cache_rpc_errors_total', 'JSON-RPC requests that failed or returned an error', ['endpoint', 'method']);
+
+		this.queryDuration = this.histogram('evm_cache_db_query_duration_seconds', 'Database query latency', ['operation'], [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5]);
+		this.queryErrors = this.counter('evm_cache_db_query_errors_total', 'Database queries that failed', ['operation']);
+
+		this.metadataQueueDepth = this.gauge('evm_cache_metadata_queue_depth', 'Assets waiting for a metadata update', ['blockchain_id']);
+		this.metadataFetches = this.counter('evm_cache_metadata_fetches_total', 'Metadata updates, by outcome', ['outcome']);
+	}
+
+	gauge(name, help, labelNames) {
+		return new prometheus.Gauge({ name, help, labelNames, registers : [this.registry] });
+	}
+
+	counter(name, help, labelNames) {
+		return new prometheus.Counter({ name, help, labelNames, registers : [this.registry] });
+	}
+
+	histogram(name, help, labelNames, buckets) {
+		return new prometheus.Histogram({ name, help, labelNames, buckets, registers : [this.registry] });
+	}
+
+	// Times every request sent through a web3 provider, single calls and batches alike
+	instrumentProvider(provider, endpoint) {
+		const send = provider.send.bind(provider);
+		const label = endpointHost(endpoint);
+
+		provider.send = (payload, callback) => {
+			let method = Array.isArray(payload) ? 'batch' : payload.method;
+			let stopTimer = this.rpcDuration.startTimer({ endpoint : label, method });
+
+			send(payload, (err, result) => {
+				stopTimer();
+
+				let failed = !!err || [].concat(result || []).some((response) => response && response.error);
+				if (failed) {
+					this.rpcErrors.inc({ endpoint : label, method });
+				}
+
+				callback(err, result);
+			});
+		};
+
+		return provider;
+	}
+
+	// Resolves to the query's result, timing it by its leading statement
+	async timeQuery(query, run) {
+		let text = typeof query === 'string' ? query : query.text;
+		let operation = String(text).trim().split(/\s/)[0].replace(/;$/, '').toUpperCase();
+		if (QUERY_OPERATIONS.indexOf(operation) === -1) {
+			operation = 'OTHER';
+		}
+
+		let stopTimer = this.queryDuration.startTimer({ operation });
+		try {
+			return await run();
+		} catch (ex) {
+			this.queryErrors.inc({ operation });
+			throw ex;
+		} finally {
+			stopTimer();
+		}
+	}
+}
+
+// Singleton Metrics class, every monitor in the process reports to the same registry
+if (!global.metricsInstance) {
+	global.metricsInstance = new Metrics();
+}
+
+module.exports = global.metricsInstance;
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('loglevel');
+
+const Lifecycle = require('./Lifecycle.js');
+const { ConfigurationError, DatabaseError } = require('./Errors.js');
+const MigrationQueries = require('../database/queries/MigrationQueries.js');
+
+const { performance } = require('perf_hooks');
+
+// Applies the sql/schema files in filename order, each in its own transaction,
+// recording every one in schema_migrations with a checksum of its contents.
+// A migration's version is its filename without .sql, e.g. '004_event'. The
+// released 004_contract and 004_event keep their shared prefix, since existing
+// databases are baselined by those names; every later file has its own number.
+class Migrator {
+	constructor(options = {}) {
+		this.directory = options.directory || path.join(__dirname, '..', '..', 'sql', 'schema');
+	}
+
+	// Every migration file, in the order they're applied
+	load() {
+		return fs.readdirSync(this.directory)
+			.filter((file) => /^\d+_.+\.sql$/.test(file))
+			.sort()
+			.map((file) => {
+				let sql = fs.readFileSync(path.join(this.directory, file), 'utf8');
+
+				return {
+					version  : file.replace(/\.sql$/, ''),
+					file,
+					sql,
+					checksum : Migrator.checksum(sql)
+				};
+			});
+	}
+
+	// Line endings don't count as a change, a checkout on Windows would otherwise fail every checksum
+	static checksum(sql) {
+		return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+	}
+
+	// Resolves to { untracked, applied, pending, changed, unknown }: whether there's a schema
+	// nothing was recorded for, the migrations already applied, the ones still to apply, the
+	// applied ones whose file no longer matches its checksum, and recorded versions without a file
+	async status(Client) {
+		let migrations = this.load();
+
+		let state = (await Client.query(MigrationQueries.getSchemaState())).rows[0];
+		let rows = state.has_migrations_table ? (await Client.query(MigrationQueries.getAppliedMigrations())).rows : [];
+
+		let applied = new Map(rows.map((row) => [row.version, row]));
+		let versions = new Set(migrations.map((migration) => migration.version));
+
+		return {
+			untracked : !applied.size && state.has_schema,
+			applied   : migrations.filter((migration) => applied.has(migration.version)),
+			pending   : migrations.filter((migration) => !applied.has(migration.version)),
+			changed   : migrations.filter((migration) => applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum),
+			unknown   : rows.filter((row) => !versions.has(row.version)).map((row) => row.version)
+		};
+	}
+
+	// Applies every pending migration, resolving to the ones applied. With dryRun
+	// nothing is written and the pending migrations are only returned. A schema
+	// created before schema_migrations existed needs a baseline: the version it's
+	// already at, recorded as applied without running anything up to it.
+	async migrate(Client, options = {}) {
+		let dryRun = options.dryRun === true;
+
+		await Client.query(MigrationQueries.lock());
+
+		try {
+			let status = await this.status(Client);
+
+			if (status.changed.length) {
+				throw new ConfigurationError(`Applied migrations were modified since: ${status.changed.map((migration) => migration.file).join(', ')}. Add a new migration instead.`);
+			}
+
+			if (status.unknown.length) {
+				log.warn('Applied migrations without a file', { versions : status.unknown });
+			}
+
+			let pending = status.pending;
+
+			if (options.baseline) {
+				let baseline = String(options.baseline).replace(/\.sql$/, '');
+				let idx = pending.findIndex((migration) => migration.version === baseline);
+				if (idx === -1) {
+					throw new ConfigurationError(`Baseline ${baseline} is not a pending migration`);
+				}
+
+				if (!dryRun) {
+					await Client.query(MigrationQueries.createMigrationsTable());
+
+					for (let migration of pending.slice(0, idx + 1)) {
+						await Client.query(MigrationQueries.addMigration(migration.version, migration.checksum, null, true));
+					}
+				}
+
+				log.info(dryRun ? 'Would record baseline' : 'Recorded baseline', { version : baseline, migrations : idx + 1 });
+				pending = pending.slice(idx + 1);
+			} else if (status.untracked) {
+				throw new ConfigurationError('The database has a schema but no schema_migrations, run with a baseline of the last migration it already has');
+			}
+
+			if (dryRun || !pending.length) {
+				return pending;
+			}
+
+			await Client.query(MigrationQueries.createMigrationsTable());
+
+			let applied = [];
+			for (let migration of pending) {
+				if (Lifecycle.isStopping()) {
+					log.info('Shutting down, stopped before migration', { version : migration.version });
+					break;
+				}
+
+				await Lifecycle.track(() => this.apply(Client, migration));
+				applied.push(migration);
+			}
+
+			return applied;
+		} finally {
+			await Client.query(MigrationQueries.unlock());
+		}
+	}
+
+	async apply(Client, migration) {
+		let start = performance.now();
+
+		await Client.query('BEGIN;');
+
+		try {
+			await Client.query(migration.sql);
+
+			let execution_ms = Math.round(performance.now() - start);
+			await Client.query(MigrationQueries.addMigration(migration.version, migration.checksum, execution_ms));
+
+			await Client.query('COMMIT;');
+
+			log.info('Applied migration', { version : migration.version, duration_ms : execution_ms });
+		} catch (ex) {
+			await Client.query('ROLLBACK;');
+			throw new DatabaseError(`Migration ${migration.version} failed: ${ex.message}`, { cause : ex.cause || ex });
+		}
+	}
+}
+
+module.exports = Migrator;
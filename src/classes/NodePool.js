@@ -0,0 +1,191 @@
+const Web3 = require('web3');
+const log  = require('loglevel');
+const endpointHost = require('../util/endpointHost.js');
+const disconnectProvider = require('../util/disconnectProvider.js');
+
+// Probes every node of a blockchain for its head, latency and error rate, and
+// keeps lagging or failing nodes out of rotation until they recover
+class NodePool {
+	constructor(nodes, options = {}) {
+		this.nodes = nodes;
+		this.createProvider = options.createProvider;
+		this.onUpdate = options.onUpdate || (() => {});
+
+		this.probeInterval = options.probeInterval || 15000;
+		this.probeTimeout = options.probeTimeout || 5000;
+
+		// Blocks a node may trail the highest head by and stay in rotation
+		this.maxLag = options.maxLag !== undefined ? options.maxLag : 3;
+
+		// Error rate (exponentially weighted, 0 to 1) above which a node is taken out
+		this.maxErrorRate = options.maxErrorRate || 0.5;
+
+		// Only move off a healthy node for one this many times better
+		this.switchRatio = options.switchRatio || 2;
+
+		this.states = nodes.map(() => {
+			return {
+				head       : null,
+				latency    : null,
+				errorRate  : 0,
+				lastError  : null,
+				probedTime : null,
+				inRotation : true
+			};
+		});
+
+		this.probeClients = nodes.map(() => null);
+		this.timer = null;
+	}
+
+	start() {
+		if (this.timer) {
+			return;
+		}
+
+		this.probeAll();
+
+		this.timer = setInterval(() => this.probeAll(), this.probeInterval);
+
+		// Probing alone shouldn't keep the process alive
+		this.timer.unref();
+	}
+
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	getProbeClient(idx) {
+		if (!this.probeClients[idx]) {
+			this.probeClients[idx] = new Web3(this.createProvider(this.nodes[idx].endpoint, this.probeTimeout));
+		}
+
+		return this.probeClients[idx];
+	}
+
+	// After a failed request, so the next one opens a fresh connection
+	dropProbeClient(idx) {
+		if (this.probeClients[idx]) {
+			disconnectProvider(this.probeClients[idx].currentProvider);
+			this.probeClients[idx] = null;
+		}
+	}
+
+	async probeAll() {
+		await Promise.all(this.nodes.map((node, idx) => this.probe(idx)));
+
+		let maxHead = null;
+		for (let state of this.states) {
+			if (state.head !== null && (maxHead === null || state.head > maxHead)) {
+				maxHead = state.head;
+			}
+		}
+
+		for (let idx = 0; idx < this.states.length; idx++) {
+			let state = this.states[idx];
+			let inRotation = (
+				state.lastError === null &&
+				state.head !== null &&
+				state.head >= maxHead - this.maxLag &&
+				state.errorRate < this.maxErrorRate
+			);
+
+			if (inRotation !== state.inRotation) {
+				if (inRotation) {
+					log.info('-> Node recovered, back in rotation', { endpoint : endpointHost(this.nodes[idx].endpoint), head : state.head });
+				} else {
+					log.warn('-> Node out of rotation', {
+						endpoint   : endpointHost(this.nodes[idx].endpoint),
+						head       : state.head,
+						highest    : maxHead,
+						error_rate : Math.round(state.errorRate * 100) / 100,
+						error      : state.lastError || undefined
+					});
+				}
+			}
+
+			state.inRotation = inRotation;
+		}
+
+		this.onUpdate();
+	}
+
+	async probe(idx) {
+		let state = this.states[idx];
+		let start = Date.now();
+
+		try {
+			let head = await this.getProbeClient(idx).eth.getBlockNumber();
+			let latency = Date.now() - start;
+
+			state.head = head;
+			state.latency = state.latency === null ? latency : Math.round(state.latency * 0.7 + latency * 0.3);
+			state.errorRate = state.errorRate * 0.8;
+			state.lastError = null;
+		} catch (ex) {
+			state.errorRate = state.errorRate * 0.8 + 0.2;
+			state.lastError = String(ex.message || ex);
+
+			// Start from a fresh connection next time
+			this.dropProbeClient(idx);
+		}
+
+		state.probedTime = new Date();
+	}
+
+	// Failed requests count against a node between probes
+	reportError(idx) {
+		let state = this.states[idx];
+		state.errorRate = state.errorRate * 0.8 + 0.2;
+
+		if (state.inRotation && state.errorRate >= this.maxErrorRate) {
+			log.warn('-> Node out of rotation after repeated errors', { endpoint : endpointHost(this.nodes[idx].endpoint) });
+			state.inRotation = false;
+		}
+	}
+
+	// Lower is better: latency, penalized by the error rate
+	score(idx) {
+		let state = this.states[idx];
+		return (state.latency === null ? this.probeTimeout : state.latency) * (1 + 4 * state.errorRate);
+	}
+
+	// The healthiest in-sync node, staying on the current one unless it's out of
+	// rotation or another node is switchRatio times better
+	getBestIndex(currentIdx) {
+		let best = null;
+		for (let idx = 0; idx < this.nodes.length; idx++) {
+			if (this.states[idx].inRotation && (best === null || this.score(idx) < this.score(best))) {
+				best = idx;
+			}
+		}
+
+		if (best === null) {
+			return currentIdx;
+		}
+
+		if (this.states[currentIdx].inRotation && this.score(currentIdx) <= this.score(best) * this.switchRatio) {
+			return currentIdx;
+		}
+
+		return best;
+	}
+
+	// Where to go after the current node failed: the healthiest other node in
+	// rotation, or simply the next one when none are
+	getNextIndex(currentIdx) {
+		let best = null;
+		for (let idx = 0; idx < this.nodes.length; idx++) {
+			if (idx === currentIdx || !this.states[idx].inRotation) continue;
+
+			if (best === null || this.score(idx) < this.score(best)) {
+				best = idx;
+			}
+		}
+
+		return best !== null ? best : (currentIdx + 1) % this.nodes.length;
+	}
+}
+
+module.exports = NodePool;
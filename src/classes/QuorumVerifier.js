@@ -0,0 +1,161 @@
+const Web3 = require('web3');
+const log  = require('loglevel');
+const endpointHost = require('../util/endpointHost.js');
+
+const NodeDisagreementQueries = require('../database/queries/NodeDisagreementQueries.js');
+
+// Confirms blocks served by the current node against the other nodes of the
+// blockchain, requiring quorum nodes (the current one included) to agree on
+// the block hash, and optionally the receipts, before a block is stored
+class QuorumVerifier {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.evmClient = options.client;
+		this.quorum = options.quorum;
+		this.checkReceipts = options.checkReceipts === true;
+
+		if (this.quorum > this.evmClient.nodes.length) {
+			log.warn(`Quorum of ${this.quorum} is more than the ${this.evmClient.nodes.length} configured nodes, using ${this.evmClient.nodes.length}`);
+			this.quorum = this.evmClient.nodes.length;
+		}
+	}
+
+	// Resolves to the blocks that did not reach quorum, as { number, hash, confirmations, outvoted }.
+	// Outvoted blocks were contradicted by more nodes than confirmed them, so the current node is
+	// likely on a fork of its own. Receipts are fetched from the current node when not passed in.
+	async verify(Client, blocks, receipts = null) {
+		let endpoint = this.evmClient.getNode().endpoint;
+		let peers = this.evmClient.getPeerIndexes();
+
+		let digests = null;
+		if (this.checkReceipts) {
+			if (!receipts) {
+				receipts = await Promise.all(blocks.map((block) => {
+					return this.evmClient.getBlockReceipts(block.hash, block.transactions);
+				}));
+			}
+
+			digests = receipts.map((blockReceipts) => this.digestReceipts(blockReceipts));
+		}
+
+		let responses = await Promise.all(peers.map((idx) => this.getPeerResponse(idx, blocks, digests)));
+
+		let unconfirmed = [], disagreements = [];
+		for (let blockIdx = 0; blockIdx < blocks.length; blockIdx++) {
+			let block = blocks[blockIdx];
+			let confirmations = 1, conflicts = 0;
+
+			for (let response of responses) {
+				// Unreachable or lagging nodes neither confirm nor contradict
+				if (!response || !response.headers[blockIdx]) {
+					continue;
+				}
+
+				let disagreement = null;
+				if (response.headers[blockIdx].hash !== block.hash) {
+					disagreement = {
+						field          : 'hash',
+						expected_value : block.hash,
+						value          : response.headers[blockIdx].hash
+					};
+				} else if (digests && response.digests[blockIdx] !== digests[blockIdx]) {
+					disagreement = {
+						field          : 'receipts',
+						expected_value : digests[blockIdx],
+						value          : response.digests[blockIdx]
+					};
+				}
+
+				if (!disagreement) {
+					confirmations++;
+					continue;
+				}
+
+				conflicts++;
+				disagreements.push({
+					number            : block.number,
+					expected_endpoint : endpoint,
+					endpoint          : response.endpoint,
+					...disagreement
+				});
+
+				log.warn('-> Node disagrees on a block', {
+					block_number      : block.number,
+					field             : disagreement.field,
+					endpoint          : endpointHost(response.endpoint),
+					expected_endpoint : endpointHost(endpoint),
+					value             : disagreement.value,
+					expected_value    : disagreement.expected_value
+				});
+			}
+
+			if (confirmations < this.quorum) {
+				unconfirmed.push({
+					number   : block.number,
+					hash     : block.hash,
+					confirmations,
+					outvoted : conflicts > confirmations
+				});
+			}
+		}
+
+		if (disagreements.length) {
+			await Client.query(NodeDisagreementQueries.addDisagreements(this.blockchain_id, disagreements));
+		}
+
+		return unconfirmed;
+	}
+
+	// Headers, and receipt digests for the blocks whose hash matches, from a single
+	// node, or null when the node can't be reached
+	async getPeerResponse(idx, blocks, digests) {
+		let endpoint = this.evmClient.nodes[idx].endpoint;
+
+		try {
+			let headers = await this.evmClient.getNodeBlockHeaders(idx, blocks.map((block) => block.number));
+
+			let peerDigests = null;
+			if (digests) {
+				peerDigests = await Promise.all(blocks.map(async (block, blockIdx) => {
+					if (!headers[blockIdx] || headers[blockIdx].hash !== block.hash) {
+						return null;
+					}
+
+					return this.digestReceipts(await this.evmClient.getNodeTransactionReceipts(
+						idx,
+						block.transactions.map((transaction) => transaction.hash)
+					));
+				}));
+			}
+
+			return {
+				endpoint,
+				headers,
+				digests : peerDigests
+			};
+		} catch (ex) {
+			log.debug('Quorum check could not reach node:', ex, { endpoint : endpointHost(endpoint) });
+			return null;
+		}
+	}
+
+	// Hash of the receipt fields we store, comparable across nodes and clients
+	digestReceipts(receipts) {
+		return Web3.utils.sha3(JSON.stringify(receipts.map((receipt) => {
+			if (!receipt) {
+				return null;
+			}
+
+			return [
+				receipt.transactionHash,
+				receipt.status,
+				receipt.gasUsed,
+				receipt.cumulativeGasUsed,
+				receipt.contractAddress || null,
+				receipt.logs.map((logEntry) => [logEntry.address, logEntry.topics, logEntry.data])
+			];
+		})));
+	}
+}
+
+module.exports = QuorumVerifier;
@@ -0,0 +1,368 @@
+const Web3 = require('web3');
+const rlp  = require('rlp');
+const { BaseTrie } = require('merkle-patricia-tree');
+const Database = require('../database/Database.js');
+const Logger = require('./Logger.js');
+const byteaBufferToHex = require('../util/byteaBufferToHex.js');
+
+const BlockQueries = require('../database/queries/BlockQueries.js');
+const TransactionQueries = require('../database/queries/TransactionQueries.js');
+
+// Transaction types we know how to re-encode: legacy, EIP-2930, EIP-1559 and EIP-4844
+const KNOWN_TYPES = [0, 1, 2, 3];
+
+// Rebuilds the transactions and receipts tries of stored blocks from the
+// transaction and log rows, and compares their roots to the ones in the block
+// headers, so the cache can be checked without asking a node
+class RootVerifier {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.startBlockOverride = options.startBlockOverride;
+		this.endBlockOverride = options.endBlockOverride;
+		this.batchSize = options.batchSize || 100;
+		this.Client = null; // Covered in start()
+		this.log = new Logger({ blockchain_id : this.blockchain_id });
+	}
+
+	// Resolves to the block numbers found in each state:
+	//   'ok'           => both roots match
+	//   'corrupt'      => a root doesn't match the stored rows
+	//   'incomplete'   => rows are missing, transactions, receipt fields or logs
+	//   'unverifiable' => the rows can't be re-encoded (unknown transaction types, pre-Byzantium receipts, partial blocks)
+	async start() {
+		if (!this.Client) {
+			this.Client = await Database.connect();
+		}
+
+		let start_number = this.startBlockOverride !== false ? this.startBlockOverride : 0;
+		let end_number = this.endBlockOverride;
+		if (end_number === false) {
+			let result = await this.Client.query(BlockQueries.getLatestBlock(this.blockchain_id));
+			end_number = result.rowCount ? parseInt(result.rows[0].number, 10) + 1 : 0;
+		}
+
+		this.log.info('Verifying transactions and receipts roots', { start_number, end_number });
+
+		let report = {
+			ok           : [],
+			corrupt      : [],
+			incomplete   : [],
+			unverifiable : []
+		};
+
+		for (let number = start_number; number < end_number; number += this.batchSize) {
+			let results = await this.verifyRange(number, Math.min(number + this.batchSize, end_number));
+
+			for (let result of results) {
+				report[result.status].push(result.number);
+
+				if (result.status !== 'ok') {
+					this.log.warn(`Block is ${result.status}`, {
+						block_number : result.number,
+						block_hash   : result.hash,
+						problems     : result.problems.join('; ')
+					});
+				}
+			}
+
+			this.log.info('Verified through block', { block_number : Math.min(number + this.batchSize, end_number) - 1 });
+		}
+
+		return report;
+	}
+
+	// Whether the block at this height is neither corrupt nor incomplete any more
+	async isRepaired(block_number) {
+		let results = await this.verifyRange(block_number, block_number + 1);
+
+		return results.length > 0 && results.every((result) => {
+			return result.status !== 'corrupt' && result.status !== 'incomplete';
+		});
+	}
+
+	release() {
+		if (this.Client) {
+			this.Client.release();
+			this.Client = null;
+		}
+	}
+
+	async verifyRange(start_number, end_number) {
+		let blocks = await this.Client.query(BlockQueries.getBlocksInRange(this.blockchain_id, start_number, end_number));
+		let transactions = await this.Client.query(TransactionQueries.getTransactionsInBlockRange(this.blockchain_id, start_number, end_number));
+		let logs = await this.Client.query(TransactionQueries.getLogsInBlockRange(this.blockchain_id, start_number, end_number));
+		let blobHashes = await this.Client.query(TransactionQueries.getBlobHashesInBlockRange(this.blockchain_id, start_number, end_number));
+
+		let transactionsByBlock = this.groupBy(transactions.rows, 'block_hash');
+		let logsByBlock = this.groupBy(logs.rows, 'block_hash');
+		let blobHashesByTx = this.groupBy(blobHashes.rows, 'transaction_hash');
+
+		let results = [];
+		for (let block of blocks.rows) {
+			let hash = byteaBufferToHex(block.hash);
+
+			results.push({
+				number : parseInt(block.number, 10),
+				hash,
+				...(await this.verifyBlock(
+					block,
+					transactionsByBlock[hash] || [],
+					logsByBlock[hash] || [],
+					blobHashesByTx
+				))
+			});
+		}
+
+		return results;
+	}
+
+	// Resolves to { status, problems } for a single block, see start()
+	async verifyBlock(block, transactions, logs, blobHashesByTx) {
+		let incomplete = [], corrupt = [], unverifiable = [];
+
+		if (block.partial) {
+			return {
+				status   : 'unverifiable',
+				problems : ['only the watched contracts\' transactions and logs are stored']
+			};
+		}
+
+		if (!block.transactions_root || !block.receipts_root) {
+			return {
+				status   : 'unverifiable',
+				problems : ['no transactions_root or receipts_root stored']
+			};
+		}
+
+		// Missing rows show up as gaps in the indexes
+		let missingIdx = this.findIndexGap(transactions.map((transaction) => transaction.transaction_index));
+		if (missingIdx !== null) {
+			incomplete.push(`transaction index ${missingIdx} missing`);
+		}
+
+		let missingLogIdx = this.findIndexGap(logs.map((logEntry) => logEntry.log_index));
+		if (missingLogIdx !== null) {
+			incomplete.push(`log index ${missingLogIdx} missing`);
+		}
+
+		let unknownTypes = transactions.filter((transaction) => KNOWN_TYPES.indexOf(transaction.type || 0) === -1);
+		if (unknownTypes.length) {
+			unverifiable.push(`unknown transaction type ${unknownTypes[0].type} (${byteaBufferToHex(unknownTypes[0].hash)})`);
+		}
+
+		if (!unknownTypes.length && missingIdx === null) {
+			let encoded = transactions.map((transaction) => {
+				return this.encodeTransaction(transaction, blobHashesByTx[byteaBufferToHex(transaction.hash)] || []);
+			});
+
+			let root = await this.getTrieRoot(encoded);
+			if (!root.equals(block.transactions_root)) {
+				corrupt.push(`transactions_root mismatch, stored ${byteaBufferToHex(block.transactions_root)}, rebuilt ${byteaBufferToHex(root)}`);
+			}
+		}
+
+		let noReceipt = transactions.filter((transaction) => transaction.cumulative_gas_used === null);
+		if (noReceipt.length) {
+			incomplete.push(`${noReceipt.length} transactions without receipt fields`);
+		}
+
+		// Receipts before Byzantium committed to an intermediate state root, which we don't store
+		let preByzantium = transactions.filter((transaction) => transaction.status === null);
+		if (preByzantium.length && !noReceipt.length) {
+			unverifiable.push(`${preByzantium.length} receipts without a status`);
+		}
+
+		if (!unknownTypes.length && !noReceipt.length && !preByzantium.length && missingIdx === null && missingLogIdx === null) {
+			let logsByTx = this.groupBy(logs, 'transaction_hash');
+			let encoded = transactions.map((transaction) => {
+				return this.encodeReceipt(transaction, logsByTx[byteaBufferToHex(transaction.hash)] || []);
+			});
+
+			let root = await this.getTrieRoot(encoded);
+			if (!root.equals(block.receipts_root)) {
+				corrupt.push(`receipts_root mismatch, stored ${byteaBufferToHex(block.receipts_root)}, rebuilt ${byteaBufferToHex(root)}`);
+			}
+		}
+
+		let status = 'ok';
+		if (incomplete.length) {
+			status = 'incomplete';
+		} else if (corrupt.length) {
+			status = 'corrupt';
+		} else if (unverifiable.length) {
+			status = 'unverifiable';
+		}
+
+		return {
+			status,
+			problems : [...incomplete, ...corrupt, ...unverifiable]
+		};
+	}
+
+	// Tries keyed by the RLP encoded index, as in the block header
+	async getTrieRoot(values) {
+		let trie = new BaseTrie();
+
+		for (let idx = 0; idx < values.length; idx++) {
+			await trie.put(rlp.encode(idx), values[idx]);
+		}
+
+		return trie.root;
+	}
+
+	encodeTransaction(transaction, blobHashes) {
+		let type = transaction.type || 0;
+		let to = transaction.to || Buffer.alloc(0);
+		let signature = [
+			this.toQuantity(transaction.v),
+			this.toQuantity(transaction.r),
+			this.toQuantity(transaction.s)
+		];
+
+		if (type === 0) {
+			return rlp.encode([
+				this.toQuantity(transaction.nonce),
+				this.toQuantity(transaction.gas_price),
+				this.toQuantity(transaction.gas),
+				to,
+				this.toQuantity(transaction.value),
+				transaction.input,
+				...signature
+			]);
+		}
+
+		let fields = [
+			this.toQuantity(transaction.chain_id),
+			this.toQuantity(transaction.nonce)
+		];
+
+		if (type === 1) {
+			fields.push(this.toQuantity(transaction.gas_price));
+		} else {
+			fields.push(
+				this.toQuantity(transaction.max_priority_fee_per_gas),
+				this.toQuantity(transaction.max_fee_per_gas)
+			);
+		}
+
+		fields.push(
+			this.toQuantity(transaction.gas),
+			to,
+			this.toQuantity(transaction.value),
+			transaction.input,
+			(transaction.access_list || []).map((entry) => {
+				return [
+					this.hexToBuffer(entry.address),
+					entry.storageKeys.map((key) => this.hexToBuffer(key))
+				];
+			})
+		);
+
+		if (type === 3) {
+			fields.push(
+				this.toQuantity(transaction.max_fee_per_blob_gas),
+				blobHashes.map((blobHash) => blobHash.versioned_hash)
+			);
+		}
+
+		return Buffer.concat([Buffer.from([type]), rlp.encode([...fields, ...signature])]);
+	}
+
+	encodeReceipt(transaction, logs) {
+		let type = transaction.type || 0;
+		let encoded = rlp.encode([
+			transaction.status ? Buffer.from([1]) : Buffer.alloc(0),
+			this.toQuantity(transaction.cumulative_gas_used),
+			this.getLogsBloom(logs),
+			logs.map((logEntry) => {
+				return [
+					logEntry.address,
+					[logEntry.topic_0, logEntry.topic_1, logEntry.topic_2, logEntry.topic_3].filter((topic) => topic !== null),
+					logEntry.data || Buffer.alloc(0)
+				];
+			})
+		]);
+
+		return type === 0 ? encoded : Buffer.concat([Buffer.from([type]), encoded]);
+	}
+
+	// 2048 bit bloom over each log's address and topics, three bits per entry
+	getLogsBloom(logs) {
+		let bloom = Buffer.alloc(256);
+
+		for (let logEntry of logs) {
+			let entries = [logEntry.address, logEntry.topic_0, logEntry.topic_1, logEntry.topic_2, logEntry.topic_3];
+
+			for (let entry of entries) {
+				if (entry === null) {
+					continue;
+				}
+
+				let hash = this.hexToBuffer(Web3.utils.keccak256(byteaBufferToHex(entry)));
+				for (let idx = 0; idx < 6; idx += 2) {
+					let bit = ((hash[idx] << 8) | hash[idx + 1]) & 2047;
+					bloom[255 - Math.floor(bit / 8)] |= 1 << (bit % 8);
+				}
+			}
+		}
+
+		return bloom;
+	}
+
+	// Integers are RLP encoded big-endian without leading zeroes, and zero as the empty string
+	toQuantity(value) {
+		if (value === null || value === undefined) {
+			return Buffer.alloc(0);
+		}
+
+		if (Buffer.isBuffer(value)) {
+			let start = 0;
+			while (start < value.length && value[start] === 0) {
+				start++;
+			}
+
+			return value.slice(start);
+		}
+
+		let hex = BigInt(value).toString(16);
+		if (hex === '0') {
+			return Buffer.alloc(0);
+		}
+
+		return Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex');
+	}
+
+	hexToBuffer(hex) {
+		return Buffer.from(hex.replace(/^0x/, ''), 'hex');
+	}
+
+	// Returns the first index missing from what should be 0..n-1, or null
+	findIndexGap(indexes) {
+		let sorted = indexes.map((idx) => parseInt(idx, 10)).sort((a, b) => a - b);
+
+		for (let idx = 0; idx < sorted.length; idx++) {
+			if (sorted[idx] !== idx) {
+				return idx;
+			}
+		}
+
+		return null;
+	}
+
+	groupBy(rows, column) {
+		let groups = {};
+
+		for (let row of rows) {
+			let key = byteaBufferToHex(row[column]);
+			if (!groups.hasOwnProperty(key)) {
+				groups[key] = [];
+			}
+
+			groups[key].push(row);
+		}
+
+		return groups;
+	}
+}
+
+module.exports = RootVerifier;
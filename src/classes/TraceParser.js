@@ -0,0 +1,91 @@
+// Flattens the call trees returned by the node's tracing API into one row per
+// call, each identified by its trace address (the path from the top-level call)
+class TraceParser {
+	// debug_traceBlockByNumber with the callTracer: one nested call frame per transaction
+	parseCallTraces(results, transactions) {
+		let traces = [];
+
+		for (let idx = 0; idx < results.length; idx++) {
+			let result = results[idx];
+			let transaction_hash = result.txHash || (transactions[idx] && transactions[idx].hash);
+
+			if (!transaction_hash) {
+				continue;
+			}
+
+			if (!result.result) {
+				throw new Error(`No call trace for ${transaction_hash}: ${result.error || 'empty result'}`);
+			}
+
+			this.flattenCallFrame(traces, transaction_hash, result.result, []);
+		}
+
+		return traces;
+	}
+
+	flattenCallFrame(traces, transaction_hash, frame, trace_address) {
+		let calls = frame.calls || [];
+
+		traces.push({
+			transaction_hash : transaction_hash,
+			trace_address    : trace_address,
+			type             : String(frame.type).toUpperCase(),
+			from             : frame.from || null,
+			to               : frame.to || null,
+			value            : frame.value || null,
+			gas              : frame.gas || null,
+			gas_used         : frame.gasUsed || null,
+			input            : frame.input || null,
+			output           : frame.output || null,
+			error            : frame.error || null,
+			subtraces        : calls.length
+		});
+
+		for (let idx = 0; idx < calls.length; idx++) {
+			this.flattenCallFrame(traces, transaction_hash, calls[idx], trace_address.concat(idx));
+		}
+	}
+
+	// trace_block: already flat, but shaped differently per trace type
+	parseBlockTraces(results) {
+		let traces = [];
+
+		for (let trace of results) {
+			// Block and uncle rewards aren't part of any transaction
+			if (!trace.transactionHash) {
+				continue;
+			}
+
+			let action = trace.action || {};
+			let result = trace.result || {};
+
+			let type = String(trace.type).toUpperCase();
+			if (trace.type === 'call') {
+				type = String(action.callType || 'call').toUpperCase();
+			} else if (trace.type === 'create') {
+				type = String(action.creationMethod || 'create').toUpperCase();
+			} else if (trace.type === 'suicide') {
+				type = 'SELFDESTRUCT';
+			}
+
+			traces.push({
+				transaction_hash : trace.transactionHash,
+				trace_address    : trace.traceAddress || [],
+				type             : type,
+				from             : action.from || action.address || null,
+				to               : action.to || result.address || action.refundAddress || null,
+				value            : action.value || action.balance || null,
+				gas              : action.gas || null,
+				gas_used         : result.gasUsed || null,
+				input            : action.input || action.init || null,
+				output           : result.output || result.code || null,
+				error            : trace.error || null,
+				subtraces        : trace.subtraces || 0
+			});
+		}
+
+		return traces;
+	}
+}
+
+module.exports = TraceParser;
@@ -1,27 +1,275 @@
 const Web3 = require('web3');
 const log  = require('loglevel');
+const sleep = require('../util/sleep.js');
+const endpointHost = require('../util/endpointHost.js');
+const disconnectProvider = require('../util/disconnectProvider.js');
+const TraceParser = require('./TraceParser.js');
+const NodePool = require('./NodePool.js');
+const Metrics = require('./Metrics.js');
+const { NodeError } = require('./Errors.js');
 
 class Web3Client {
 	constructor(config) {
 		this.web3      = null;
-		this.endpoints = config.hasOwnProperty('endpoints') ? config.endpoints : [config.endpoint];
+
+		// Nodes are either endpoint strings or blockchain_node rows ({endpoint, trace_api})
+		this.nodes     = (config.hasOwnProperty('endpoints') ? config.endpoints : [config.endpoint]).map((node) => {
+			return typeof node === 'string' ? { endpoint : node, trace_api : null } : node;
+		});
+		this.endpoints = this.nodes.map((node) => node.endpoint);
 
 		// Keep track of current node endpoint
 		this.endpointIdx = 0;
 
+		// With more than one node, requests go to the healthiest in-sync node
+		this.pool = new NodePool(this.nodes, {
+			createProvider : (endpoint, timeout) => this.createProvider(endpoint, timeout),
+			onUpdate       : () => this.rebalance(),
+			probeInterval  : config.probeInterval,
+			maxLag         : config.maxLag
+		});
+
+		// Largest number of calls we'll put in a single JSON-RPC batch
+		this.maxBatchSize = config.hasOwnProperty('maxBatchSize') ? config.maxBatchSize : 500;
+
+		// Whether the current node serves eth_getBlockReceipts, unknown until first tried
+		// unless the blockchain's block_receipts feature declares it for all of them
+		this.blockReceipts = typeof config.blockReceipts === 'boolean' ? config.blockReceipts : null;
+		this.supportsBlockReceipts = this.blockReceipts;
+
+		// Tracing a whole block takes far longer than any other call
+		this.traceTimeout = config.hasOwnProperty('traceTimeout') ? config.traceTimeout : 60000;
+		this.traceParser = new TraceParser();
+
+		// Clients of the nodes with a trace API by node index, see getTraceClient()
+		this.traceClients = new Map();
+
+		// Websocket nodes announce new heads, see waitForNewHead()
+		this.headSubscription = null;
+		this.headNumber = null;
+		this.headWaiters = [];
+		this.headRetryTime = 0;
+
+		// Without a new head for this long, assume the subscription silently dropped
+		this.headTimeout = config.hasOwnProperty('headTimeout') ? config.headTimeout : 30000;
+
 		// Connect off the bat
 		this.connect();
+
+		if (this.nodes.length > 1) {
+			this.pool.start();
+		}
 	}
 
 	connect() {
-		let provider = this.endpoints[this.endpointIdx % this.endpoints.length];
-		if (provider.indexOf('ws://') !== -1 || provider.indexOf('wss://') !== -1) {
-			provider = new Web3.providers.WebsocketProvider(provider, {timeout: 1500});
-		} else {
-			provider = new Web3.providers.HttpProvider(provider, {timeout: 1500});
+		let node = this.getNode();
+
+		this.dropHeadSubscription();
+		this.headRetryTime = 0;
+
+		// Replaced before the old connection closes, so its close handler knows it's not current
+		let previous = this.web3;
+		this.web3 = new Web3(this.createProvider(node.endpoint, 1500));
+		this.supportsBlockReceipts = this.blockReceipts;
+
+		if (previous) {
+			disconnectProvider(previous.currentProvider);
 		}
 
-		this.web3 = new Web3(provider);
+		const formatters = this.web3.extend.formatters;
+		this.web3.extend({
+			property: 'eth',
+			methods: [{
+				name: 'getBlockReceipts',
+				call: 'eth_getBlockReceipts',
+				params: 1,
+				// Applied to each receipt in the returned array
+				outputFormatter: (receipt) => formatters.outputTransactionReceiptFormatter.call({}, receipt)
+			}]
+		});
+	}
+
+	// Tracing goes to its own connection of a node with a trace API, whichever node is current
+	getTraceClient(idx) {
+		if (this.traceClients.has(idx)) {
+			return this.traceClients.get(idx);
+		}
+
+		const traceWeb3 = new Web3(this.createProvider(this.nodes[idx].endpoint, this.traceTimeout));
+		const formatters = traceWeb3.extend.formatters;
+		traceWeb3.extend({
+			property: 'debug',
+			methods: [{
+				name: 'traceBlockByNumber',
+				call: 'debug_traceBlockByNumber',
+				params: 2,
+				inputFormatter: [formatters.inputBlockNumberFormatter, null]
+			}]
+		});
+		traceWeb3.extend({
+			property: 'trace',
+			methods: [{
+				name: 'block',
+				call: 'trace_block',
+				params: 1,
+				inputFormatter: [formatters.inputBlockNumberFormatter]
+			}]
+		});
+
+		this.traceClients.set(idx, traceWeb3);
+		return traceWeb3;
+	}
+
+	// Every provider reports its request latency and errors per endpoint
+	createProvider(endpoint, timeout) {
+		if (endpoint.indexOf('ws://') !== -1 || endpoint.indexOf('wss://') !== -1) {
+			return Metrics.instrumentProvider(new Web3.providers.WebsocketProvider(endpoint, {timeout}), endpoint);
+		}
+
+		return Metrics.instrumentProvider(new Web3.providers.HttpProvider(endpoint, {timeout}), endpoint);
+	}
+
+	isWebsocket() {
+		let endpoint = this.getNode().endpoint;
+		return endpoint.indexOf('ws://') !== -1 || endpoint.indexOf('wss://') !== -1;
+	}
+
+	// Subscribes to newHeads on websocket nodes, returning whether a subscription is active
+	subscribeNewHeads() {
+		if (this.headSubscription) {
+			return true;
+		}
+
+		if (!this.isWebsocket() || Date.now() < this.headRetryTime) {
+			return false;
+		}
+
+		const provider = this.web3.currentProvider;
+		const dropped = (err) => {
+			if (this.headSubscription !== subscription) {
+				return;
+			}
+
+			log.warn('-> newHeads subscription dropped, polling instead:', err, { endpoint : this.getEndpointHost() });
+			this.dropHeadSubscription(true);
+		};
+		const closed = () => {
+			if (this.web3.currentProvider !== provider) {
+				return;
+			}
+
+			dropped('connection closed');
+
+			// Polling needs a live connection too, so open a fresh one to the same node
+			this.connect();
+			this.headRetryTime = Date.now() + this.headTimeout;
+		};
+
+		let subscription;
+		try {
+			subscription = this.web3.eth.subscribe('newBlockHeaders');
+		} catch (ex) {
+			log.warn('-> Could not subscribe to newHeads:', ex, { endpoint : this.getEndpointHost() });
+			this.headRetryTime = Date.now() + this.headTimeout;
+			return false;
+		}
+
+		subscription.on('data', (header) => {
+			this.headNumber = header.number;
+			this.resolveHeadWaiters(true);
+		});
+		subscription.on('error', dropped);
+		provider.once('close', closed);
+
+		this.headSubscription = subscription;
+		log.info('-> Subscribed to newHeads', { endpoint : this.getEndpointHost() });
+
+		return true;
+	}
+
+	dropHeadSubscription(retryLater = false) {
+		if (this.headSubscription) {
+			try {
+				this.headSubscription.unsubscribe();
+			} catch (ex) {
+				// The connection is already gone
+			}
+		}
+
+		this.headSubscription = null;
+		this.headNumber = null;
+
+		if (retryLater) {
+			this.headRetryTime = Date.now() + this.headTimeout;
+		}
+
+		this.resolveHeadWaiters(false);
+	}
+
+	resolveHeadWaiters(announced) {
+		let waiters = this.headWaiters;
+		this.headWaiters = [];
+
+		for (let waiter of waiters) {
+			waiter(announced);
+		}
+	}
+
+	// Resolves once the node announces a new head, or after pollMs when there's
+	// no subscription to wait on. Resolves to whether a head was announced.
+	async waitForNewHead(block_number, pollMs) {
+		if (!this.subscribeNewHeads()) {
+			await sleep(pollMs);
+			return false;
+		}
+
+		// Already announced, but the node couldn't serve it to us yet
+		if (this.headNumber !== null && this.headNumber >= block_number) {
+			await sleep(250);
+			return true;
+		}
+
+		let announced = await new Promise((resolve) => {
+			let timer = setTimeout(() => resolve(null), this.headTimeout);
+
+			this.headWaiters.push((announced) => {
+				clearTimeout(timer);
+				resolve(announced);
+			});
+		});
+
+		if (announced === null) {
+			log.warn('-> No new head in time, polling instead', { endpoint : this.getEndpointHost(), timeout_ms : this.headTimeout });
+			this.dropHeadSubscription(true);
+			return false;
+		}
+
+		return announced;
+	}
+
+	getNode() {
+		return this.nodes[this.endpointIdx % this.nodes.length];
+	}
+
+	// The current node's host, safe to log
+	getEndpointHost() {
+		return endpointHost(this.getNode().endpoint);
+	}
+
+	// The nodes with a trace API, by index: the current node first, then the ones
+	// in rotation from healthiest, then the rest
+	getTraceIndexes() {
+		let current = this.endpointIdx % this.nodes.length;
+		let indexes = this.nodes.map((node, idx) => idx).filter((idx) => this.nodes[idx].trace_api);
+
+		const rank = (idx) => idx === current ? 0 : (this.pool.states[idx].inRotation ? 1 : 2);
+		return indexes.sort((a, b) => rank(a) - rank(b) || this.pool.score(a) - this.pool.score(b));
+	}
+
+	// The trace API blocks get traced with, null when none of the nodes has one
+	getTraceApi() {
+		let indexes = this.getTraceIndexes();
+		return indexes.length ? this.nodes[indexes[0]].trace_api : null;
 	}
 
 	getWeb3() {
@@ -32,15 +280,253 @@ class Web3Client {
 		return this.web3.eth.getBlock(blockHashOrNumber, true, callback);
 	}
 
+	getBlockHeader(blockHashOrNumber = "latest", callback = null) {
+		return this.web3.eth.getBlock(blockHashOrNumber, false, callback);
+	}
+
 	getTransactionReceipt(txHash, callback = null) {
 		return this.web3.eth.getTransactionReceipt(txHash, callback);
 	}
 
+	// Returns receipts in the same order as the transactions, using a single
+	// eth_getBlockReceipts call where the node supports it, or a batch otherwise
+	async getBlockReceipts(blockHash, transactions) {
+		if (!transactions.length) {
+			return [];
+		}
+
+		if (this.supportsBlockReceipts !== false) {
+			try {
+				let receipts = await this.web3.eth.getBlockReceipts(blockHash);
+
+				if (Array.isArray(receipts)) {
+					this.supportsBlockReceipts = true;
+
+					let receiptsByHash = {};
+					for (let receipt of receipts) {
+						receiptsByHash[receipt.transactionHash.toLowerCase()] = receipt;
+					}
+
+					return transactions.map((transaction) => receiptsByHash[transaction.hash.toLowerCase()]);
+				}
+			} catch (ex) {
+				if (this.supportsBlockReceipts === true || !this.isUnsupportedMethodError(ex)) {
+					throw ex;
+				}
+
+				log.info('-> eth_getBlockReceipts not supported, using batched receipts', { endpoint : this.getEndpointHost() });
+				this.supportsBlockReceipts = false;
+			}
+		}
+
+		return this.getTransactionReceipts(transactions.map((transaction) => transaction.hash));
+	}
+
+	// Returns the flattened call traces of every transaction in the block from a
+	// node with a trace API, or null when none of the nodes has one. Throws when
+	// every one of them failed, so the block isn't stored without its traces.
+	async getBlockTraces(blockNumber, transactions) {
+		if (!transactions.length) {
+			return [];
+		}
+
+		let indexes = this.getTraceIndexes();
+		if (!indexes.length) {
+			return null;
+		}
+
+		let lastError;
+		for (let idx of indexes) {
+			try {
+				return await this.traceBlock(idx, blockNumber, transactions);
+			} catch (ex) {
+				lastError = ex;
+				log.warn('-> Could not trace block', { block_number : blockNumber, endpoint : endpointHost(this.nodes[idx].endpoint), error : String(ex.message || ex) });
+
+				// Counts against the node, and the next trace starts from a fresh connection
+				this.pool.reportError(idx);
+				disconnectProvider(this.getTraceClient(idx).currentProvider);
+				this.traceClients.delete(idx);
+			}
+		}
+
+		throw new NodeError(`None of the ${indexes.length} nodes with a trace API could trace block #${blockNumber}: ${lastError.message || lastError}`, { cause : lastError });
+	}
+
+	async traceBlock(idx, blockNumber, transactions) {
+		const traceWeb3 = this.getTraceClient(idx);
+
+		if (this.nodes[idx].trace_api === 'debug') {
+			return this.traceParser.parseCallTraces(
+				await traceWeb3.debug.traceBlockByNumber(blockNumber, { tracer : 'callTracer' }),
+				transactions
+			);
+		}
+
+		return this.traceParser.parseBlockTraces(
+			await traceWeb3.trace.block(blockNumber)
+		);
+	}
+
+	getLogs(filter) {
+		return this.web3.eth.getPastLogs(filter);
+	}
+
+	async getTransactions(txHashes) {
+		return this.batch(this.web3.eth.getTransaction, txHashes.map((txHash) => [txHash]));
+	}
+
+	async getTransactionReceipts(txHashes) {
+		return this.batch(this.web3.eth.getTransactionReceipt, txHashes.map((txHash) => [txHash]));
+	}
+
+	async getBlocks(blockNumbers) {
+		return this.batch(this.web3.eth.getBlock, blockNumbers.map((blockNumber) => [blockNumber, true]));
+	}
+
+	async getBlockHeaders(blockHashesOrNumbers) {
+		return this.batch(this.web3.eth.getBlock, blockHashesOrNumbers.map((blockHashOrNumber) => [blockHashOrNumber, false]));
+	}
+
+	// Every node other than the current one, by index, for cross-checking what it served
+	getPeerIndexes() {
+		let current = this.endpointIdx % this.nodes.length;
+		return this.nodes.map((node, idx) => idx).filter((idx) => idx !== current);
+	}
+
+	// How many nodes answer eth_blockNumber right now, for readiness checks
+	async getReachableNodeCount() {
+		let reachable = await Promise.all(this.nodes.map((node, idx) => {
+			return this.pool.getProbeClient(idx).eth.getBlockNumber().then(() => true, () => {
+				this.pool.dropProbeClient(idx);
+				return false;
+			});
+		}));
+
+		return reachable.filter((ok) => ok).length;
+	}
+
+	// The highest head any of the nodes reports right now, null when none answer
+	async getHighestHead() {
+		let heads = await Promise.all(this.nodes.map((node, idx) => {
+			return this.pool.getProbeClient(idx).eth.getBlockNumber().then((head) => head, () => {
+				this.pool.dropProbeClient(idx);
+				return null;
+			});
+		}));
+
+		heads = heads.filter((head) => head !== null);
+		return heads.length ? Math.max(...heads) : null;
+	}
+
+	async getNodeBlockHeaders(idx, blockNumbers) {
+		let web3 = this.pool.getProbeClient(idx);
+		return this.batch(web3.eth.getBlock, blockNumbers.map((blockNumber) => [blockNumber, false]), web3).catch((ex) => {
+			this.pool.dropProbeClient(idx);
+			throw ex;
+		});
+	}
+
+	async getNodeTransactionReceipts(idx, txHashes) {
+		let web3 = this.pool.getProbeClient(idx);
+		return this.batch(web3.eth.getTransactionReceipt, txHashes.map((txHash) => [txHash]), web3).catch((ex) => {
+			this.pool.dropProbeClient(idx);
+			throw ex;
+		});
+	}
+
+	// Calls a web3 method once per parameter set, split over as few JSON-RPC batches as possible
+	async batch(method, paramSets, web3 = this.web3) {
+		let promises = [];
+
+		for (let idx = 0; idx < paramSets.length; idx += this.maxBatchSize) {
+			promises.push(this.executeBatch(method, paramSets.slice(idx, idx + this.maxBatchSize), web3));
+		}
+
+		let batches = await Promise.all(promises);
+		return [].concat(...batches);
+	}
+
+	executeBatch(method, paramSets, web3 = this.web3) {
+		return new Promise((resolve, reject) => {
+			if (!paramSets.length) {
+				return resolve([]);
+			}
+
+			let batch = new web3.BatchRequest();
+			let results = new Array(paramSets.length);
+			let remaining = paramSets.length;
+			let failed = false;
+
+			paramSets.forEach((params, idx) => {
+				batch.add(method.request(...params, (err, result) => {
+					if (failed) {
+						return;
+					}
+
+					if (err) {
+						failed = true;
+						return reject(err);
+					}
+
+					results[idx] = result;
+					if (--remaining === 0) {
+						resolve(results);
+					}
+				}));
+			});
+
+			batch.execute();
+		});
+	}
+
+	isUnsupportedMethodError(err) {
+		let message = String(err).toLowerCase();
+		return (
+			message.indexOf('-32601') !== -1 ||
+			message.indexOf('method not found') !== -1 ||
+			message.indexOf('does not exist') !== -1 ||
+			message.indexOf('not available') !== -1 ||
+			message.indexOf('not supported') !== -1
+		);
+	}
+
+	// Providers cap eth_getLogs by block range or result count, each with their own
+	// wording. Timeouts and connection errors aren't limits, those cycle nodes instead.
+	isLogLimitError(err) {
+		let message = String(err).toLowerCase();
+		return (
+			message.indexOf('-32005') !== -1 ||
+			message.indexOf('query returned more than') !== -1 ||
+			message.indexOf('too many logs') !== -1 ||
+			message.indexOf('too many results') !== -1 ||
+			message.indexOf('block range') !== -1 ||
+			message.indexOf('range is too large') !== -1 ||
+			message.indexOf('range too large') !== -1 ||
+			message.indexOf('response size exceeded') !== -1 ||
+			message.indexOf('logs limit exceeded') !== -1
+		);
+	}
+
+	// Called after every probe round, moves off nodes that fell behind or keep failing
+	rebalance() {
+		let idx = this.pool.getBestIndex(this.endpointIdx);
+		if (idx === this.endpointIdx) {
+			return;
+		}
+
+		log.warn('-> Switching node', { from_endpoint : this.getEndpointHost(), endpoint : endpointHost(this.endpoints[idx]) });
+
+		this.endpointIdx = idx;
+		this.connect();
+	}
+
 	cycleNodes() {
-		// Move to the next node
-		this.endpointIdx = (this.endpointIdx + 1) % this.endpoints.length;
+		// Move to the healthiest other node
+		this.pool.reportError(this.endpointIdx);
+		this.endpointIdx = this.pool.getNextIndex(this.endpointIdx);
 
-		log.warn(`-> Cycling node to ${this.endpoints[this.endpointIdx]}`);
+		log.warn('-> Cycling node', { endpoint : this.getEndpointHost() });
 
 		// Reconnect
 		this.connect();
@@ -0,0 +1,189 @@
+const log = require('loglevel');
+const Database = require('../database/Database.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Web3Client = require('../classes/Web3Client.js');
+const ChainVerifier = require('../classes/ChainVerifier.js');
+const endpointHost = require('../util/endpointHost.js');
+const BlockchainQueries = require('../database/queries/BlockchainQueries.js');
+const { ConfigurationError, ShutdownError } = require('../classes/Errors.js');
+
+// Shared by the evm-cache subcommands: runs a handler with a database client,
+// prints what it resolves to with --json, and exits with one of the codes below
+class Cli {
+	// Wraps handler(argv, Client) as a yargs command handler. Resolving to an
+	// object with ok : false exits with EXIT_FAILURE, without throwing.
+	static command(handler) {
+		return (argv) => Cli.execute(argv, handler);
+	}
+
+	static async execute(argv, handler) {
+		// Work in progress commits or rolls back before exiting
+		Lifecycle.install();
+
+		let Client = null, code = Cli.EXIT_OK;
+		try {
+			Client = await Database.connect();
+
+			// The pool only closes once every client is back, a handler stuck on shutdown would hold this one
+			Lifecycle.onShutdown(() => Client.release());
+
+			let result = await handler(argv, Client);
+			if (result && result.ok === false) {
+				code = Cli.EXIT_FAILURE;
+			}
+
+			if (argv.json && result !== undefined) {
+				process.stdout.write(JSON.stringify(result, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2) + '\n');
+			}
+		} catch (ex) {
+			if (ex instanceof ShutdownError) {
+				log.info('Shutting down, command stopped');
+			} else {
+				log.error('Command failed:', ex);
+				code = ex instanceof ConfigurationError ? Cli.EXIT_USAGE : Cli.EXIT_FAILURE;
+			}
+		}
+
+		if (Client) {
+			Client.release();
+		}
+
+		// A handler can keep running after resolving, e.g. a parent waiting on its workers
+		if (!Lifecycle.isStopping()) {
+			Lifecycle.shutdown(code);
+		}
+	}
+
+	// Every blockchain with its usable nodes, in ID order
+	static async getBlockchains(Client) {
+		let result = await Client.query(BlockchainQueries.getBlockchainsAndNodes());
+
+		let blockchains = new Map();
+		for (let row of result.rows) {
+			let blockchain_id = parseInt(row.blockchain_id, 10);
+			if (!blockchains.has(blockchain_id)) {
+				blockchains.set(blockchain_id, {
+					blockchain_id,
+					type     : row.type,
+					name     : row.name,
+					chain_id : row.chain_id !== null ? parseInt(row.chain_id, 10) : null,
+					features : row.features,
+					nodes    : [],
+					skipped  : 0
+				});
+			}
+
+			if (row.skip === true) {
+				blockchains.get(blockchain_id).skipped++;
+				continue;
+			}
+
+			blockchains.get(blockchain_id).nodes.push(row);
+		}
+
+		return [...blockchains.values()];
+	}
+
+	// The blockchain --blockchain picks, by ID or name. Without one, the only blockchain there is.
+	static async selectBlockchain(Client, selector = null) {
+		let blockchains = await Cli.getBlockchains(Client);
+
+		if (!blockchains.length) {
+			throw new ConfigurationError('No blockchain nodes found in database, add one with: evm-cache blockchain add');
+		}
+
+		if (selector === null || selector === undefined || selector === '') {
+			if (blockchains.length > 1) {
+				throw new ConfigurationError(`More than one blockchain in database, pick one with --blockchain: ${blockchains.map((blockchain) => blockchain.name).join(', ')}`);
+			}
+
+			return blockchains[0];
+		}
+
+		selector = String(selector);
+		let blockchain = blockchains.find((blockchain) => String(blockchain.blockchain_id) === selector || blockchain.name === selector);
+		if (!blockchain) {
+			throw new ConfigurationError(`No blockchain ${selector} in database, known: ${blockchains.map((blockchain) => `${blockchain.blockchain_id} (${blockchain.name})`).join(', ')}`);
+		}
+
+		return blockchain;
+	}
+
+	// A client for the blockchain's nodes that aren't skipped and serve its chain
+	static async createClient(blockchain) {
+		if (!blockchain.nodes.length) {
+			throw new ConfigurationError(`Every node of blockchain ${blockchain.name} is skipped`);
+		}
+
+		let verifier = new ChainVerifier({
+			blockchain_id : blockchain.blockchain_id,
+			name          : blockchain.name,
+			chain_id      : blockchain.chain_id
+		});
+
+		return new Web3Client({
+			endpoints     : await verifier.verify(blockchain.nodes),
+			blockReceipts : blockchain.features.block_receipts
+		});
+	}
+
+	// What's safe to print about a blockchain, endpoints often carry an API key
+	static describeBlockchain(blockchain) {
+		return {
+			blockchain_id : blockchain.blockchain_id,
+			type          : blockchain.type,
+			name          : blockchain.name,
+			chain_id      : blockchain.chain_id,
+			nodes         : blockchain.nodes.map((node) => endpointHost(node.endpoint)),
+			skipped       : blockchain.skipped
+		};
+	}
+
+	// Block range options shared by the commands that walk blocks, the end is exclusive
+	static rangeOptions(yargs, required = false) {
+		return yargs
+			.option('start', {
+				describe     : 'First block number',
+				type         : 'number',
+				demandOption : required
+			})
+			.option('end', {
+				describe     : 'Block number to stop before',
+				type         : 'number',
+				demandOption : required
+			})
+			.check((argv) => {
+				for (let key of ['start', 'end']) {
+					if (argv[key] !== undefined && !(Number.isInteger(argv[key]) && argv[key] >= 0)) {
+						throw new Error(`--${key} must be a block number`);
+					}
+				}
+
+				if (argv.start !== undefined && argv.end !== undefined && argv.start >= argv.end) {
+					throw new Error('--start must be below --end');
+				}
+
+				return true;
+			});
+	}
+
+	static addressOption(yargs) {
+		return yargs.option('address', {
+			describe     : 'Contract address',
+			type         : 'string',
+			demandOption : true
+		}).check((argv) => {
+			if (!/^0x[0-9a-fA-F]{40}$/.test(argv.address)) {
+				throw new Error('--address must be a 0x-prefixed 20 byte hex address');
+			}
+
+			return true;
+		});
+	}
+}
+
+Cli.EXIT_OK = 0;
+Cli.EXIT_FAILURE = 1; // The command failed, or found problems, e.g. blocks failing verification
+Cli.EXIT_USAGE = 2; // Bad arguments, or nothing in the database to run against
+
+module.exports = Cli;
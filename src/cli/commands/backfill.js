@@ -0,0 +1,297 @@
+const path = require('path');
+const log = require('loglevel');
+const { fork } = require('child_process');
+const Cli = require('../Cli.js');
+const Database = require('../../database/Database.js');
+const Lifecycle = require('../../classes/Lifecycle.js');
+const Checkpoint = require('../../classes/Checkpoint.js');
+const BackfillWorker = require('../../monitor/BackfillWorker.js');
+const BulkIngestor = require('../../monitor/BulkIngestor.js');
+const ContractController = require('../../controller/ContractController.js');
+const BackfillQueries = require('../../database/queries/BackfillQueries.js');
+const BlockQueries = require('../../database/queries/BlockQueries.js');
+const TransactionQueries = require('../../database/queries/TransactionQueries.js');
+const { ConfigurationError } = require('../../classes/Errors.js');
+
+const BIN = path.join(__dirname, '..', '..', '..', 'bin', 'evm-cache.js');
+
+const blocks = {
+	command  : 'blocks',
+	describe : 'Queue block ranges and backfill them with leasing workers, any number of processes or hosts can share the queue',
+	builder  : (yargs) => Cli.rangeOptions(yargs)
+		.option('chunk', {
+			describe : 'Blocks per leased range',
+			type     : 'number',
+			default  : 1000
+		})
+		.option('workers', {
+			describe : 'Worker processes to start',
+			type     : 'number',
+			default  : 1
+		})
+		.option('lease', {
+			describe : 'Seconds a worker holds a range before another can claim it',
+			type     : 'number',
+			default  : 300
+		})
+		.option('attempts', {
+			describe : 'Tries at a block before a worker gives its range back and exits with an error',
+			type     : 'number',
+			default  : 5
+		})
+		.option('worker', {
+			describe : 'Run as one of the workers of a parent process',
+			type     : 'boolean',
+			hidden   : true
+		})
+		.check((argv) => {
+			if ((argv.start === undefined) !== (argv.end === undefined)) {
+				throw new Error('--start and --end go together');
+			}
+
+			for (let key of ['chunk', 'workers', 'lease', 'attempts']) {
+				if (!(Number.isInteger(argv[key]) && argv[key] > 0)) {
+					throw new Error(`--${key} must be a positive integer`);
+				}
+			}
+
+			return true;
+		}),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain = await Cli.selectBlockchain(Client, argv.blockchain);
+		let blockchain_id = blockchain.blockchain_id;
+
+		// Split the requested range into leasable chunks, existing chunks are left alone
+		if (!argv.worker && argv.start !== undefined) {
+			await Client.query(BackfillQueries.addRanges(blockchain_id, argv.start, argv.end, argv.chunk));
+			log.info('Queued backfill ranges', { blockchain_id, start_number : argv.start, end_number : argv.end, chunk : argv.chunk });
+		}
+
+		// The parent process hands the work off to its children
+		if (!argv.worker && argv.workers > 1) {
+			Client.release();
+
+			let codes = await runWorkers(argv, blockchain_id);
+			if (Lifecycle.isStopping()) {
+				return;
+			}
+
+			// A worker that gave up left its range queued, the command failed with it
+			let failed = codes.filter((code) => code !== 0).length;
+			let progress = await getProgress(blockchain_id);
+			if (failed) {
+				log.error('Backfill workers failed', { blockchain_id, failed_workers : failed, workers : argv.workers });
+				return { ok : false, ...progress, failed_workers : failed };
+			}
+
+			return progress;
+		}
+
+		let worker = new BackfillWorker({
+			blockchain_id,
+			client : await Cli.createClient(blockchain),
+			leaseSeconds : argv.lease,
+			attempts : argv.attempts
+		});
+
+		await worker.start();
+
+		return argv.worker ? undefined : getProgress(blockchain_id);
+	})
+};
+
+// Resolves to the exit codes once every worker exited
+function runWorkers(argv, blockchain_id) {
+	let children = [];
+
+	// Pass the shutdown on and wait for every worker to finish its block
+	Lifecycle.onShutdown(() => Promise.all(children.map((child) => {
+		if (child.exitCode !== null) {
+			return;
+		}
+
+		return new Promise((resolve) => {
+			child.once('exit', resolve);
+			child.kill('SIGTERM');
+		});
+	})));
+
+	return Promise.all([...Array(argv.workers).keys()].map(() => new Promise((resolve) => {
+		let args = [
+			'backfill', 'blocks',
+			'--blockchain', blockchain_id,
+			'--lease', argv.lease,
+			'--attempts', argv.attempts,
+			'--worker'
+		];
+
+		// Keeps the workers' logs off the parent's JSON output
+		if (argv.json) {
+			args.push('--json');
+		}
+
+		let child = fork(BIN, args);
+		children.push(child);
+
+		child.on('exit', (code) => {
+			log.info('Backfill worker process exited', { blockchain_id, pid : child.pid, exit_code : code });
+			resolve(code);
+		});
+	})));
+}
+
+async function getProgress(blockchain_id) {
+	let Client = await Database.connect();
+	let result = await Client.query(BackfillQueries.getProgress(blockchain_id));
+	Client.release();
+
+	let progress = {
+		blockchain_id,
+		complete : parseInt(result.rows[0].complete, 10),
+		total    : parseInt(result.rows[0].total, 10)
+	};
+
+	log.info('Backfill ranges complete', progress);
+
+	return progress;
+}
+
+const bulk = {
+	command  : 'bulk',
+	describe : 'Ingest a range of blocks with COPY, for an initial sync far behind the head',
+	builder  : (yargs) => Cli.rangeOptions(yargs, true)
+		.option('batch', {
+			describe : 'Blocks per COPY batch',
+			type     : 'number',
+			default  : 100
+		})
+		.check((argv) => {
+			if (!(Number.isInteger(argv.batch) && argv.batch > 0)) {
+				throw new Error('--batch must be a positive integer');
+			}
+
+			return true;
+		}),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain = await Cli.selectBlockchain(Client, argv.blockchain);
+		let blockchain_id = blockchain.blockchain_id;
+		let start_number = argv.start, end_number = argv.end;
+
+		const bi = new BulkIngestor({
+			blockchain_id,
+			client : await Cli.createClient(blockchain)
+		});
+
+		// Rerunning the same range picks up after the last committed batch
+		const checkpoint = new Checkpoint({
+			blockchain_id,
+			job : Checkpoint.rangeJob('bulk', start_number, end_number),
+			end_position : end_number
+		});
+
+		let next_number = await checkpoint.load(Client);
+		if (next_number !== null) {
+			log.info('Resuming from checkpoint', { blockchain_id, job : checkpoint.job, block_number : next_number });
+			start_number = next_number;
+		}
+
+		for (let batch_start = start_number; batch_start < end_number; batch_start += argv.batch) {
+			let batch_end = Math.min(batch_start + argv.batch, end_number);
+
+			if (Lifecycle.isStopping()) {
+				log.info('Shutting down, stopped before block', { blockchain_id, block_number : batch_start });
+				return;
+			}
+
+			try {
+				await bi.ingestRange(Client, batch_start, batch_end);
+			} catch (ex) {
+				// The batch rolled back, rerunning picks it up again
+				if (Lifecycle.isStopping()) {
+					return;
+				}
+
+				throw ex;
+			}
+
+			await checkpoint.save(Client, batch_end);
+		}
+
+		log.info('Done.', { blockchain_id });
+
+		return { blockchain_id, start_number : argv.start, end_number };
+	})
+};
+
+const contractLogs = {
+	command  : 'contract-logs',
+	describe : 'Decode the stored logs of a contract into events, resuming from its checkpoint',
+	builder  : (yargs) => Cli.addressOption(yargs)
+		.option('log-limit', {
+			describe     : 'Logs to search',
+			type         : 'number',
+			demandOption : true
+		})
+		.option('start-log', {
+			describe : 'Log ID to start from instead of the checkpoint',
+			type     : 'number'
+		}),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain = await Cli.selectBlockchain(Client, argv.blockchain);
+		const cc = new ContractController(await Cli.createClient(blockchain), blockchain.blockchain_id);
+
+		await new Promise((resolve, reject) => {
+			cc.backfillContractLogsByLogs(argv.address, argv.logLimit, argv.startLog, (err) => err ? reject(err) : resolve());
+		});
+
+		log.info('Done.', { blockchain_id : blockchain.blockchain_id, contract_address : argv.address });
+
+		return { blockchain_id : blockchain.blockchain_id, address : argv.address };
+	})
+};
+
+const logBlockNumbers = {
+	command  : 'log-block-numbers',
+	describe : 'Fill in the block number of logs stored before logs had one',
+	builder  : (yargs) => Cli.rangeOptions(yargs),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain_id = (await Cli.selectBlockchain(Client, argv.blockchain)).blockchain_id;
+
+		let start_number = argv.start !== undefined ? argv.start : 0;
+		let end_number = argv.end;
+		if (end_number === undefined) {
+			let result = await Client.query(BlockQueries.getLatestBlock(blockchain_id));
+			if (!result.rowCount) {
+				throw new ConfigurationError(`No blocks stored for blockchain ${blockchain_id}`);
+			}
+
+			end_number = parseInt(result.rows[0].number, 10) + 1;
+		}
+
+		for (let block_number = start_number; block_number < end_number; block_number++) {
+			if (Lifecycle.isStopping()) {
+				log.info('Shutting down, stopped before block', { blockchain_id, block_number });
+				return;
+			}
+
+			if ((block_number - start_number) % 200 === 0) {
+				log.info('Updating log block numbers', {
+					blockchain_id,
+					block_number,
+					end_number,
+					progress_pct : ((block_number - start_number) / (end_number - start_number))*100
+				});
+			}
+
+			await Client.query(TransactionQueries.setLogBlockNumbers(blockchain_id, block_number));
+		}
+
+		return { blockchain_id, start_number, end_number };
+	})
+};
+
+module.exports = {
+	command  : 'backfill <command>',
+	describe : 'Fill in blocks, events and columns missing from the cache',
+	builder  : (yargs) => yargs.command(blocks).command(bulk).command(contractLogs).command(logBlockNumbers)
+};
@@ -0,0 +1,107 @@
+const log = require('loglevel');
+const Cli = require('../Cli.js');
+const config = require('../../config/config.js');
+const ChainVerifier = require('../../classes/ChainVerifier.js');
+const ChainRegistry = require('../../classes/ChainRegistry.js');
+const BlockchainQueries = require('../../database/queries/BlockchainQueries.js');
+const { ConfigurationError } = require('../../classes/Errors.js');
+
+const add = {
+	command  : 'add',
+	describe : 'Add a blockchain and its node, once the node answers with its chain ID',
+	builder  : (yargs) => yargs
+		.option('type', {
+			describe     : 'Blockchain type, e.g. ethereum, polygon, arbitrum',
+			type         : 'string',
+			demandOption : true
+		})
+		.option('chain-id', {
+			describe : 'Chain ID the node has to serve, the one it reports when left out',
+			type     : 'number'
+		})
+		.option('name', {
+			describe     : 'Unique blockchain name',
+			type         : 'string',
+			demandOption : true
+		})
+		.option('endpoint', {
+			describe     : 'Node RPC or websocket URL',
+			type         : 'string',
+			demandOption : true
+		})
+		.option('trace-api', {
+			describe : 'Tracing the node serves, debug (debug_traceBlockByNumber) or trace (trace_block)',
+			choices  : ['debug', 'trace']
+		})
+		.check((argv) => {
+			if (argv.chainId !== undefined && !(Number.isInteger(argv.chainId) && argv.chainId > 0)) {
+				throw new Error('--chain-id must be a positive integer');
+			}
+
+			return true;
+		}),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchains = await Cli.getBlockchains(Client);
+		if (blockchains.find((blockchain) => blockchain.name === argv.name)) {
+			throw new ConfigurationError(`Blockchain ${argv.name} already exists`);
+		}
+
+		let verifier = new ChainVerifier({ name : argv.name, chain_id : argv.chainId });
+		await verifier.verify([{ endpoint : argv.endpoint }]);
+
+		await Client.query('BEGIN;');
+		try {
+			await Client.query(BlockchainQueries.addBlockchain(argv.type, argv.name, verifier.chain_id));
+			await Client.query(BlockchainQueries.addBlockchainNode(argv.name, argv.endpoint, argv.traceApi || null));
+			await Client.query('COMMIT;');
+		} catch (ex) {
+			await Client.query('ROLLBACK;');
+			throw ex;
+		}
+
+		let blockchain = await Cli.selectBlockchain(Client, argv.name);
+		log.info('Added blockchain', Cli.describeBlockchain(blockchain));
+
+		return Cli.describeBlockchain(blockchain);
+	})
+};
+
+const sync = {
+	command  : 'sync',
+	describe : 'Add or update the blockchains and nodes declared in the chains config file',
+	builder  : (yargs) => yargs
+		.option('file', {
+			describe : 'Chains config, see chains.example.json',
+			type     : 'string',
+			default  : config.CHAINS_CONFIG
+		}),
+	handler  : Cli.command(async (argv, Client) => {
+		let changes = await ChainRegistry.apply(Client, ChainRegistry.load(argv.file));
+
+		for (let change of changes) {
+			log.info('Synced blockchain', change);
+		}
+
+		return changes;
+	})
+};
+
+const list = {
+	command  : 'list',
+	describe : 'List the blockchains and the hosts of their nodes',
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchains = (await Cli.getBlockchains(Client)).map(Cli.describeBlockchain);
+
+		for (let blockchain of blockchains) {
+			log.info('Blockchain', blockchain);
+		}
+
+		return blockchains;
+	})
+};
+
+module.exports = {
+	command  : 'blockchain <command>',
+	describe : 'Manage the blockchains and nodes to cache',
+	builder  : (yargs) => yargs.command(add).command(sync).command(list)
+};
@@ -0,0 +1,131 @@
+const log = require('loglevel');
+const Cli = require('../Cli.js');
+const ContractController = require('../../controller/ContractController.js');
+const ContractIdentifier = require('../../classes/ContractIdentifier.js');
+const ContractQueries = require('../../database/queries/ContractQueries.js');
+const byteaBufferToHex = require('../../util/byteaBufferToHex.js');
+
+// What's stored for the contract after a change, ok : false when nothing is
+async function getContract(Client, blockchain_id, address) {
+	let result = await Client.query(ContractQueries.getContractMeta(blockchain_id, address));
+	let row = result.rows.find((row) => row.contract_meta_id);
+
+	if (!row) {
+		log.error('No contract metadata stored', { blockchain_id, contract_address : address });
+		return { ok : false, blockchain_id, address };
+	}
+
+	let contract = {
+		ok                       : true,
+		blockchain_id,
+		address                  : byteaBufferToHex(row.address),
+		standard                 : row.standard,
+		name                     : row.name,
+		symbol                   : row.symbol,
+		custom_name              : row.custom_name,
+		token_uri_json_interface : row.token_uri_json_interface
+	};
+
+	log.info('Contract', { blockchain_id, contract_address : contract.address, standard : contract.standard, name : contract.name, symbol : contract.symbol });
+
+	return contract;
+}
+
+const set = {
+	command  : 'set',
+	describe : 'Identify a contract\'s standard and store its metadata',
+	builder  : (yargs) => Cli.addressOption(yargs)
+		.option('abi', {
+			describe : 'ABI JSON to use when no standard matches',
+			type     : 'string'
+		})
+		.option('name', {
+			describe : 'Custom name',
+			type     : 'string'
+		}),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain = await Cli.selectBlockchain(Client, argv.blockchain);
+		const cc = new ContractController(await Cli.createClient(blockchain), blockchain.blockchain_id);
+
+		await new Promise((resolve, reject) => cc.setContractMetadata(argv.address, argv.abi || null, { 'custom_name' : argv.name }, (err) => err ? reject(err) : resolve()));
+
+		return getContract(Client, blockchain.blockchain_id, argv.address);
+	})
+};
+
+const meta = {
+	command  : 'meta',
+	describe : 'Set a stored contract\'s custom name and token URI method',
+	builder  : (yargs) => Cli.addressOption(yargs)
+		.option('name', {
+			describe : 'Custom name',
+			type     : 'string'
+		})
+		.option('token-uri-json-interface', {
+			describe : 'ABI JSON of the contract method returning a token\'s URI',
+			type     : 'string'
+		})
+		.option('token-uri-json-interface-parameters', {
+			describe : 'Parameter mapping JSON for that method',
+			type     : 'string'
+		}),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain = await Cli.selectBlockchain(Client, argv.blockchain);
+		const cc = new ContractController(await Cli.createClient(blockchain), blockchain.blockchain_id);
+
+		await new Promise((resolve, reject) => cc.setContractCustom(argv.address, {
+			'custom_name'                         : argv.name,
+			'token_uri_json_interface'            : argv.tokenUriJsonInterface,
+			'token_uri_json_interface_parameters' : argv.tokenUriJsonInterfaceParameters
+		}, (err) => err ? reject(err) : resolve()));
+
+		return getContract(Client, blockchain.blockchain_id, argv.address);
+	})
+};
+
+const evaluate = {
+	command  : 'evaluate',
+	describe : 'Work out which token standards a contract implements, without storing anything',
+	builder  : (yargs) => Cli.addressOption(yargs),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain = await Cli.selectBlockchain(Client, argv.blockchain);
+		const ci = new ContractIdentifier(await Cli.createClient(blockchain), blockchain.blockchain_id);
+
+		let res = await new Promise((resolve, reject) => ci.determineStandard(argv.address, (err, res) => err ? reject(err) : resolve(res)));
+		log.info('Matches', { contract_address : res.address, standard : res.standard, code_results : res.code_results, call_results : res.call_results });
+
+		return {
+			ok           : !!res.standard,
+			address      : res.address,
+			standard     : res.standard,
+			code_results : res.code_results,
+			call_results : res.call_results || []
+		};
+	})
+};
+
+const nameSymbol = {
+	command  : 'name-symbol',
+	describe : 'Call a stored contract\'s name and symbol methods',
+	builder  : (yargs) => Cli.addressOption(yargs),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain = await Cli.selectBlockchain(Client, argv.blockchain);
+		const ci = new ContractIdentifier(await Cli.createClient(blockchain), blockchain.blockchain_id);
+
+		let res = await new Promise((resolve, reject) => ci.getNameSymbol(argv.address, (err, res) => err ? reject(err) : resolve(res)));
+		log.info('Name and symbol', { contract_address : res.address, name : res.name, symbol : res.symbol });
+
+		return {
+			ok      : res.name !== undefined || res.symbol !== undefined,
+			address : res.address,
+			name    : res.name,
+			symbol  : res.symbol
+		};
+	})
+};
+
+module.exports = {
+	command  : 'contract <command>',
+	describe : 'Identify contracts and manage their metadata',
+	builder  : (yargs) => yargs.command(set).command(meta).command(evaluate).command(nameSymbol)
+};
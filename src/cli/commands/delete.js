@@ -0,0 +1,47 @@
+const log = require('loglevel');
+const Cli = require('../Cli.js');
+const Lifecycle = require('../../classes/Lifecycle.js');
+const DeleteQueries = require('../../database/queries/DeleteQueries.js');
+
+const blocks = {
+	command  : 'blocks',
+	describe : 'Delete a range of stored blocks with their ommers, transactions, logs and events',
+	builder  : (yargs) => Cli.rangeOptions(yargs, true),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain_id = (await Cli.selectBlockchain(Client, argv.blockchain)).blockchain_id;
+
+		// From the top down, so what's left is always a contiguous range
+		const BLOCKSIZE = 1;
+		for (let curr_end = argv.end; curr_end > argv.start; curr_end -= BLOCKSIZE) {
+			if (Lifecycle.isStopping()) {
+				log.info('Shutting down, stopped below block', { blockchain_id, block_number : curr_end });
+				return;
+			}
+
+			let curr_start = Math.max(argv.start, curr_end - BLOCKSIZE);
+			log.info('Sifting between blocks', {
+				blockchain_id,
+				start_number : curr_start,
+				end_number   : curr_end,
+				progress_pct : ((argv.end - curr_end) / (argv.end - argv.start))*100
+			});
+
+			await Lifecycle.track(async () => {
+				await Client.query(DeleteQueries.deleteOmmers(blockchain_id, curr_start, curr_end));
+				await Client.query(DeleteQueries.deleteLogsAndDependents(blockchain_id, curr_start, curr_end));
+				await Client.query(DeleteQueries.deleteTransactions(blockchain_id, curr_start, curr_end));
+				await Client.query(DeleteQueries.deleteBlocks(blockchain_id, curr_start, curr_end));
+			});
+		}
+
+		log.info('Done.', { blockchain_id });
+
+		return { blockchain_id, start_number : argv.start, end_number : argv.end };
+	})
+};
+
+module.exports = {
+	command  : 'delete <command>',
+	describe : 'Remove stored data',
+	builder  : (yargs) => yargs.command(blocks)
+};
@@ -0,0 +1,26 @@
+const log = require('loglevel');
+const Cli = require('../Cli.js');
+const ContractController = require('../../controller/ContractController.js');
+
+const refresh = {
+	command  : 'refresh',
+	describe : 'Queue every token of a contract for a metadata refresh by the metadata worker',
+	builder  : (yargs) => Cli.addressOption(yargs),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain_id = (await Cli.selectBlockchain(Client, argv.blockchain)).blockchain_id;
+
+		// Only queues, the metadata worker of the blockchain calls the contract
+		const cc = new ContractController(null, blockchain_id);
+		await new Promise((resolve, reject) => cc.enqueueAllContractTokenMetadata(argv.address, (err) => err ? reject(err) : resolve()));
+
+		log.info('Queued token metadata refresh', { blockchain_id, contract_address : argv.address });
+
+		return { blockchain_id, address : argv.address };
+	})
+};
+
+module.exports = {
+	command  : 'metadata <command>',
+	describe : 'Manage token metadata',
+	builder  : (yargs) => yargs.command(refresh)
+};
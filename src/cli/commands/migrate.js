@@ -0,0 +1,73 @@
+const log = require('loglevel');
+const Cli = require('../Cli.js');
+const Migrator = require('../../classes/Migrator.js');
+
+module.exports = {
+	command  : 'migrate',
+	describe : 'Apply the pending sql/schema migrations',
+	builder  : (yargs) => yargs
+		.option('dry-run', {
+			describe : 'Print the pending SQL without running it',
+			type     : 'boolean'
+		})
+		.option('status', {
+			describe : 'List applied and pending migrations',
+			type     : 'boolean'
+		})
+		.option('baseline', {
+			describe : 'Last migration an existing database already has, e.g. 019_metadata_queue',
+			type     : 'string'
+		})
+		.conflicts('status', ['dry-run', 'baseline']),
+	handler  : Cli.command(async (argv, Client) => {
+		const migrator = new Migrator();
+
+		if (argv.status) {
+			let status = await migrator.status(Client);
+
+			for (let migration of status.applied) {
+				log.info('Applied', { version : migration.version });
+			}
+
+			for (let migration of status.pending) {
+				log.info('Pending', { version : migration.version });
+			}
+
+			for (let migration of status.changed) {
+				log.warn('Changed since it was applied', { version : migration.version });
+			}
+
+			if (status.untracked) {
+				log.warn('The database has a schema but no schema_migrations, migrate with --baseline');
+			}
+
+			return {
+				ok        : !status.changed.length,
+				untracked : status.untracked,
+				applied   : status.applied.map((migration) => migration.version),
+				pending   : status.pending.map((migration) => migration.version),
+				changed   : status.changed.map((migration) => migration.version),
+				unknown   : status.unknown
+			};
+		}
+
+		let migrations = await migrator.migrate(Client, {
+			dryRun   : argv.dryRun === true,
+			baseline : argv.baseline || null
+		});
+
+		// The SQL itself is the output of a dry run, unless JSON was asked for
+		if (argv.dryRun && !argv.json) {
+			for (let migration of migrations) {
+				process.stdout.write(`-- ${migration.file}\n${migration.sql.trim()}\n\n`);
+			}
+		}
+
+		log.info(argv.dryRun ? 'Pending migrations' : 'Applied migrations', { migrations : migrations.length });
+
+		return {
+			dry_run    : argv.dryRun === true,
+			migrations : migrations.map((migration) => argv.dryRun ? { version : migration.version, sql : migration.sql } : migration.version)
+		};
+	})
+};
@@ -0,0 +1,139 @@
+const log = require('loglevel');
+const Cli = require('../Cli.js');
+const DataVerifier = require('../../classes/DataVerifier.js');
+const RootVerifier = require('../../classes/RootVerifier.js');
+const GapScanner = require('../../classes/GapScanner.js');
+const BlockRepairer = require('../../monitor/BlockRepairer.js');
+
+const blocks = {
+	command  : 'blocks',
+	describe : 'Check stored blocks against the node, or against their own transactions and receipts roots',
+	builder  : (yargs) => Cli.rangeOptions(yargs)
+		.option('roots', {
+			describe : 'Rebuild the transactions and receipts tries from the stored rows instead of asking the node',
+			type     : 'boolean'
+		})
+		.option('repair', {
+			describe : 'Re-ingest the blocks failing verification from the node',
+			type     : 'boolean'
+		}),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain = await Cli.selectBlockchain(Client, argv.blockchain);
+		let blockchain_id = blockchain.blockchain_id;
+
+		let startBlockOverride = argv.start !== undefined && argv.start;
+		let endBlockOverride   = argv.end   !== undefined && argv.end;
+
+		// With --roots the node is only needed for repairs
+		let client = !argv.roots || argv.repair ? await Cli.createClient(blockchain) : null;
+		let repairer = argv.repair ? new BlockRepairer({ blockchain_id, client }) : null;
+
+		if (!argv.roots) {
+			let dv = new DataVerifier({
+				blockchain_id,
+				client,
+				startBlockOverride,
+				endBlockOverride,
+				repairer
+			});
+
+			let repairs = await dv.start();
+			let failing = repairs ? repairs.unfixed.length + repairs.failed.length : dv.mismatched.length;
+
+			log.info('Data verification complete', { blockchain_id, mismatched : dv.mismatched.length });
+
+			return {
+				ok         : !failing,
+				blockchain_id,
+				mismatched : dv.mismatched,
+				repairs    : repairs || undefined
+			};
+		}
+
+		let rv = new RootVerifier({
+			blockchain_id,
+			startBlockOverride,
+			endBlockOverride
+		});
+
+		try {
+			let report = await rv.start();
+
+			log.info('Root verification complete', {
+				blockchain_id,
+				ok           : report.ok.length,
+				corrupt      : report.corrupt.length,
+				incomplete   : report.incomplete.length,
+				unverifiable : report.unverifiable.length
+			});
+
+			for (let status of ['corrupt', 'incomplete', 'unverifiable']) {
+				if (report[status].length) {
+					log.info(`${status[0].toUpperCase() + status.slice(1)} blocks`, { blockchain_id, block_numbers : report[status] });
+				}
+			}
+
+			let failing = report.corrupt.length + report.incomplete.length;
+			let repairs;
+			if (repairer && failing) {
+				for (let block_number of [...report.corrupt, ...report.incomplete].sort((a, b) => a - b)) {
+					repairer.enqueue(block_number);
+				}
+
+				repairs = await repairer.repairQueued((block_number) => rv.isRepaired(block_number));
+				repairer.logReport();
+				repairer.release();
+
+				failing = repairs.unfixed.length + repairs.failed.length;
+			}
+
+			return {
+				ok           : !failing,
+				blockchain_id,
+				corrupt      : report.corrupt,
+				incomplete   : report.incomplete,
+				unverifiable : report.unverifiable,
+				verified     : report.ok.length,
+				repairs
+			};
+		} finally {
+			rv.release();
+		}
+	})
+};
+
+const gaps = {
+	command  : 'gaps',
+	describe : 'List the missing and incomplete stored blocks',
+	builder  : (yargs) => Cli.rangeOptions(yargs),
+	handler  : Cli.command(async (argv, Client) => {
+		let blockchain_id = (await Cli.selectBlockchain(Client, argv.blockchain)).blockchain_id;
+
+		let scanner = new GapScanner({ blockchain_id });
+		let gaps = await scanner.scan(Client, argv.start !== undefined ? argv.start : null, argv.end !== undefined ? argv.end : null);
+
+		for (let gap of gaps.missing) {
+			log.info('Missing blocks', { blockchain_id, start_number : gap.start_number, end_number : gap.end_number, blocks : gap.end_number - gap.start_number });
+		}
+
+		for (let block of gaps.incomplete) {
+			log.info('Incomplete block', { blockchain_id, block_number : block.number, block_hash : block.hash, reason : block.reason });
+		}
+
+		let missing = gaps.missing.reduce((total, gap) => total + gap.end_number - gap.start_number, 0);
+		log.info('Gap scan complete', { blockchain_id, missing, gaps : gaps.missing.length, incomplete : gaps.incomplete.length });
+
+		return {
+			ok         : !gaps.missing.length && !gaps.incomplete.length,
+			blockchain_id,
+			missing    : gaps.missing,
+			incomplete : gaps.incomplete
+		};
+	})
+};
+
+module.exports = {
+	command  : 'verify <command>',
+	describe : 'Check what\'s stored',
+	builder  : (yargs) => yargs.command(blocks).command(gaps)
+};
@@ -1,5 +1,6 @@
 // Requirements
 const log = require('loglevel');
+const Logger = require('../classes/Logger.js');
 require('dotenv').config();
 
 // Set the default logging behavior
@@ -13,7 +14,35 @@ if (process.env.LOG_LEVEL) {
 }
 log.setDefaultLevel(DEFAULT_LOG_LEVEL);
 
+// JSON lines for log pipelines in production, readable text otherwise
+let LOG_FORMAT;
+if (process.env.LOG_FORMAT) {
+	LOG_FORMAT = process.env.LOG_FORMAT;
+} else if (process.env.NODE_ENV === 'production') {
+	LOG_FORMAT = 'json';
+} else {
+	LOG_FORMAT = 'text';
+}
+Logger.install(LOG_FORMAT);
+
 let config = {
+	// API server
+	"SERVER_PORT"        : process.env.SERVER_PORT        || 5000,
+
+	// /metrics and /health for index.js and metadata.js, 0 turns it off. The
+	// METRICS_PORT names from before /health was added still work.
+	"STATUS_PORT"          : process.env.STATUS_PORT          || process.env.METRICS_PORT          || 9464,
+	"METADATA_STATUS_PORT" : process.env.METADATA_STATUS_PORT || process.env.METADATA_METRICS_PORT || 9465,
+
+	// Liveness fails when nothing is committed for this long while the chain head advances
+	"LIVENESS_WINDOW_MS" : process.env.LIVENESS_WINDOW_MS || 300000,
+
+	// How long shutdown waits for in-flight block transactions
+	"SHUTDOWN_TIMEOUT_MS" : process.env.SHUTDOWN_TIMEOUT_MS || 30000,
+
+	// Blockchains and nodes declared for evm-cache blockchain sync, see chains.example.json
+	"CHAINS_CONFIG" : process.env.CHAINS_CONFIG || 'chains.json',
+
 	// Database
 	"DB_LIMIT"           : process.env.DB_LIMIT           || 400,
 	"DB_IDLE_TIMEOUT_MS" : process.env.DB_IDLE_TIMEOUT_MS || 10000,
@@ -1,9 +1,7 @@
 const log = require('loglevel');
 const axios = require('axios');
-const Web3Client = require('../classes/Web3Client.js');
 const abiCfg = require('../config/abi.js');
 const Database = require('../database/Database.js');
-const BlockchainQueries = require('../database/queries/BlockchainQueries.js');
 const BlockQueries = require('../database/queries/BlockQueries.js');
 const TransactionQueries = require('../database/queries/TransactionQueries.js');
 const ContractQueries = require('../database/queries/ContractQueries.js');
@@ -11,15 +9,21 @@ const EventQueries = require('../database/queries/EventQueries.js');
 const AssetMetadataQueries = require('../database/queries/AssetMetadataQueries.js');
 const byteaBufferToHex = require('../util/byteaBufferToHex.js');
 const ContractIdentifier = require('../classes/ContractIdentifier.js');
+const Checkpoint = require('../classes/Checkpoint.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Metrics = require('../classes/Metrics.js');
+const { ConfigurationError, DatabaseError, ShutdownError } = require('../classes/Errors.js');
 const LogParser = require(__dirname + '/../classes/LogParser.js');
 
 class ContractController {
-	constructor(evmClient) {
+	// Contracts, transfers and metadata are kept per blockchain, evmClient has to be a client for the nodes of blockchain_id
+	constructor(evmClient, blockchain_id = null) {
 		this.stats = {
 			'heartbeat_event_insert_count' : 0,
 			'heartbeat_event_insert_time' : 0
 		};
 		this.evmClient = evmClient;
+		this.blockchain_id = blockchain_id;
 	}
 
 	setContractCustom(address, custom_data, callback = ()=>{}) {
@@ -51,11 +55,16 @@ class ContractController {
 		}
 
 		// Set the token URI for this standard
-		const ci = new ContractIdentifier();
-		ci.getNameSymbol(address, (res) => {
+		const ci = new ContractIdentifier(this.evmClient, this.blockchain_id);
+		ci.getNameSymbol(address, (err, res) => {
+			if (err) {
+				return callback(err);
+			}
+
 			Database.connect((Client) => {
 				// Now allow setting custom data
-				Client.query(ContractQueries.updateContractCustomMeta(
+				return Client.query(ContractQueries.updateContractCustomMeta(
+					this.blockchain_id,
 					address,
 					custom_name || null,
 					token_uri_json_interface || res.token_uri_json_interface || null,
@@ -64,37 +73,42 @@ class ContractController {
 					custom_token_uri_headers || null
 				), (result) => {
 					Client.release();
-					callback();
 				});
-			});
+			}).then(() => callback(), callback);
 		});
 	}
 
 	setContractMetadata(address, abi = null, custom_data = null, callback = ()=>{}) {
-		const ci = new ContractIdentifier();
-		ci.determineStandard(address, (res) => {
+		const ci = new ContractIdentifier(this.evmClient, this.blockchain_id);
+		ci.determineStandard(address, (err, res) => {
+			if (err) {
+				return callback(err);
+			}
+
 			if (!res.standard) {
 				if (abi && typeof abi === 'string' && abi.length > 0) {
-					log.info(`Using provided ABI for ${address}`);
+					log.info('Using provided ABI', { contract_address : address });
 				} else if (
 					res.call_results.length === 2 &&
 					res.call_results.indexOf('erc20') !== -1 &&
 					res.call_results.indexOf('erc721') !== -1
 				) {
-					log.info(`Call results determined ERC-20 and ERC-721 for ${address}, assuming ERC-721.`);
+					log.info('Call results determined ERC-20 and ERC-721, assuming ERC-721', { contract_address : address });
 					res.standard = 'erc721';
 				} else {
-					log.info(`No standard determined for ${address}, and no ABI provided.`);
-					return;
+					log.info('No standard determined and no ABI provided', { contract_address : address });
+					return callback();
 				}
 			}
 
-			Database.connect((Client) => {
-				Client.query(ContractQueries.upsertContractMeta(
-					address,
-					res.standard,
-					abi
-				), () => {
+			Database.connect(async (Client) => {
+				try {
+					await Client.query(ContractQueries.upsertContractMeta(
+						this.blockchain_id,
+						address,
+						res.standard,
+						abi
+					));
 
 					let custom_name = null,
 						custom_token_uri = null,
@@ -114,29 +128,31 @@ class ContractController {
 					}
 
 					// Now get the name and symbol, if available
-					ci.getNameSymbol(address, (res) => {
-						Client.query(ContractQueries.upsertContractMeta(
-							address,
-							res.standard,
-							abi,
-							res.name || null,
-							res.symbol || null,
-							custom_name || null,
-							res.token_uri_json_interface || null,
-							custom_token_uri || null,
-							custom_token_uri_headers || null
-						), (result) => {
-							Client.release();
-							callback();
-						});
-					})
-				});
-			});
+					let named = await new Promise((resolve, reject) => {
+						ci.getNameSymbol(address, (err, named) => err ? reject(err) : resolve(named));
+					});
+
+					await Client.query(ContractQueries.upsertContractMeta(
+						this.blockchain_id,
+						address,
+						res.standard,
+						abi,
+						named.name || null,
+						named.symbol || null,
+						custom_name || null,
+						named.token_uri_json_interface || null,
+						custom_token_uri || null,
+						custom_token_uri_headers || null
+					));
+				} finally {
+					Client.release();
+				}
+			}).then(() => callback(), callback);
 		});
 	}
 
 	async setDecodedLogs(Client, logSets) {
-		let contractMetaRes = await Client.query(ContractQueries.getContractMetaForLogSets(logSets));
+		let contractMetaRes = await Client.query(ContractQueries.getContractMetaForLogSets(this.blockchain_id, logSets));
 
 		// Make sure we have a valid result set
 		if (!contractMetaRes || !contractMetaRes.rowCount) {
@@ -167,7 +183,12 @@ class ContractController {
 						continue;
 					}
 
-					log.info(`Found ${Object.keys(events).length} log events for ${set.logs.address}`);
+					log.info('Found log events', {
+						contract_address : set.logs.address,
+						block_number     : set.logs.blockNumber,
+						block_hash       : set.logs.blockHash,
+						events           : Object.keys(events).length
+					});
 
 					for (let log_id in events) {
 						if (!events.hasOwnProperty(log_id)) continue;
@@ -188,7 +209,7 @@ class ContractController {
 	}
 
 	async setDecodedLog(Client, log_id, logReceipt) {
-		let contractMetaRes = await Client.query(ContractQueries.getContractMeta(logReceipt.address));
+		let contractMetaRes = await Client.query(ContractQueries.getContractMeta(this.blockchain_id, logReceipt.address));
 
 		// If the contract meta record does not exist, move along
 		if (!contractMetaRes || !contractMetaRes.rowCount || !contractMetaRes.rows[0].contract_meta_id) {
@@ -208,7 +229,12 @@ class ContractController {
 			return;
 		}
 
-		log.info(`Found ${Object.keys(events).length} log events for ${logReceipt.address}`);
+		log.info('Found log events', {
+			contract_address : logReceipt.address,
+			block_number     : logReceipt.blockNumber,
+			block_hash       : logReceipt.blockHash,
+			events           : Object.keys(events).length
+		});
 
 		for (let log_id in events) {
 			if (!events.hasOwnProperty(log_id)) continue;
@@ -235,7 +261,7 @@ class ContractController {
 		));
 
 		if (!res || !res.rowCount) {
-			log.debug(`Could not add event per log ${log_id}`);
+			log.debug('Could not add event per log', { log_id });
 			return;
 		}
 
@@ -246,6 +272,7 @@ class ContractController {
 			let event_id = res.rows[0].event_id;
 
 			await Client.query(EventQueries.insertEventTransfer(
+				this.blockchain_id,
 				event_id,
 				contract_address,
 				result.to      || result._to,
@@ -260,6 +287,7 @@ class ContractController {
 			let event_id = res.rows[0].event_id;
 
 			await Client.query(EventQueries.insertEventTransfer(
+				this.blockchain_id,
 				event_id,
 				contract_address,
 				result._to,
@@ -275,6 +303,7 @@ class ContractController {
 
 			for (let idx = 0; idx < result._ids.length; idx++) {
 				await Client.query(EventQueries.insertEventTransfer(
+					this.blockchain_id,
 					event_id,
 					contract_address,
 					result._to,
@@ -299,79 +328,90 @@ class ContractController {
 			address = byteaBufferToHex(address);
 
 			// Enqueue the request
-			await Client.query(AssetMetadataQueries.enqueueMetadataUpdate(address, id));
+			await Client.query(AssetMetadataQueries.enqueueMetadataUpdate(this.blockchain_id, address, id));
 		} catch (ex) {
-			log.error("Unknown error in enqueueMetadataUpdate:");
-			log.error(ex);
+			log.error('Unknown error in enqueueMetadataUpdate:', ex, { contract_address : address, token_id : id });
 		}
 	}
 
 	enqueueAllContractTokenMetadata(address, callback = () => {}) {
+		if (!address) {
+			return callback();
+		}
+
 		Database.connect(async (Client) => {
 			try {
-				if (!address) {
-					return;
-				}
-
 				// Convert address if it's a buffer
 				address = byteaBufferToHex(address);
 
 				// Enqueue the request
-				await Client.query(AssetMetadataQueries.requireMetadataUpdateFlagAcrossContract(address));
-			} catch (ex) {
-				log.error("Unknown error in enqueueAllContractTokenMetadata:");
-				log.error(ex);
+				await Client.query(AssetMetadataQueries.requireMetadataUpdateFlagAcrossContract(this.blockchain_id, address));
+			} finally {
+				Client.release();
 			}
-
-			callback();
+		}).then(() => callback(), (ex) => {
+			log.error('Unknown error in enqueueAllContractTokenMetadata:', ex, { contract_address : address });
+			callback(ex);
 		});
 	}
 
+	// Calls back with the number of assets updated, 0 when the queue couldn't be read
 	async iterateMetadataUpdates(limit = 50, callback = () => {}) {
-		Database.connect((Client) => {
-			// Now allow setting custom data
-			Client.query(AssetMetadataQueries.getAssetsNeedUpdates(
-				limit
-			), (result) => {
+		Database.connect(async (Client) => {
+			let result;
+			try {
+				result = await Client.query(AssetMetadataQueries.getAssetsNeedUpdates(
+					this.blockchain_id,
+					limit
+				));
 
-				if (!result || result.rowCount === 0) {
-					Client.release();
-					return callback(0);
-				}
+				let queueRes = await Client.query(AssetMetadataQueries.countAssetsNeedUpdates(this.blockchain_id));
+				Metrics.metadataQueueDepth.set({ blockchain_id : this.blockchain_id }, parseInt(queueRes.rows[0].count, 10));
+			} catch (ex) {
+				Client.release();
+				throw ex;
+			}
 
-				const numUpdates = result.rowCount;
+			if (!result || result.rowCount === 0) {
+				Client.release();
+				return 0;
+			}
 
-				let promises = [];
+			const numUpdates = result.rowCount;
 
-				for (let idx = 0; idx < result.rows.length; idx++) {
-					let address = result.rows[idx].contract_address;
-					let id = result.rows[idx].id;
+			let promises = [];
 
-					promises.push(
-						this.handleMetadata(Client, address, id)
-					);
-				}
+			for (let idx = 0; idx < result.rows.length; idx++) {
+				let address = result.rows[idx].contract_address;
+				let id = result.rows[idx].id;
 
-				Promise.all(promises).then(() => {
-					Client.release();
-					return callback(numUpdates);
-				}).catch((ex) => {
-					Client.release();
+				promises.push(
+					this.handleMetadata(Client, address, id)
+				);
+			}
 
-					if (
-						String(ex).indexOf('Invalid JSON RPC response') !== -1 ||
-						String(ex).toUpperCase().indexOf('CONNECTION TIMEOUT') !== -1 ||
-						String(ex).toLowerCase().indexOf('connection not open on send()') !== -1
-					) {
-						log.error("** JSON RPC failure or connection timeout in ContractController::handleMetadata, cycling to next node **");
+			return Promise.all(promises).then(() => {
+				Client.release();
+				return numUpdates;
+			}).catch((ex) => {
+				Client.release();
 
-						// Cycle to the next node...
-						this.evmClient.cycleNodes();
-					}
+				if (
+					String(ex).indexOf('Invalid JSON RPC response') !== -1 ||
+					String(ex).toUpperCase().indexOf('CONNECTION TIMEOUT') !== -1 ||
+					String(ex).toLowerCase().indexOf('connection not open on send()') !== -1
+				) {
+					log.error('JSON RPC failure or connection timeout in ContractController::handleMetadata, cycling to next node:', ex, { endpoint : this.evmClient.getEndpointHost() });
 
-					return callback(numUpdates);
-				});
+					// Cycle to the next node...
+					this.evmClient.cycleNodes();
+				}
+
+				return numUpdates;
 			});
+		}).then(callback, (ex) => {
+			log.error('Could not read the metadata queue:', ex, { blockchain_id : this.blockchain_id });
+			callback(0);
 		});
 	}
 
@@ -379,9 +419,12 @@ class ContractController {
 		// Convert address if it's a buffer
 		address = byteaBufferToHex(address);
 
+		// Counted once the update is done: no_token_uri, fetched, uri_only, rpc_error or error
+		let outcome = 'no_token_uri';
+
 		try {
 			// Get the token URI information
-			let res = await Client.query(ContractQueries.getTokenUriInfo(address));
+			let res = await Client.query(ContractQueries.getTokenUriInfo(this.blockchain_id, address));
 			if (!res || !res.rowCount) {
 				return;
 			}
@@ -457,76 +500,75 @@ class ContractController {
 			} catch (_) {}
 
 			// Store the token URI
-			await Client.query(AssetMetadataQueries.upsertMetadata(address, id, tokenUri, metadata));
+			await Client.query(AssetMetadataQueries.upsertMetadata(this.blockchain_id, address, id, tokenUri, metadata));
+			outcome = metadata !== null ? 'fetched' : 'uri_only';
 		} catch (ex) {
 			if (
 				String(ex).indexOf('Invalid JSON RPC response') !== -1 ||
 				String(ex).toUpperCase().indexOf('CONNECTION TIMEOUT') !== -1 ||
 				String(ex).toLowerCase().indexOf('connection not open on send()') !== -1
 			) {
+				outcome = 'rpc_error';
 				throw ex;
 			} else {
-				log.error("Unknown error in handleMetadata:");
-				log.error(ex);
+				outcome = 'error';
+				log.error('Unknown error in handleMetadata:', ex, { contract_address : address, token_id : id });
 			}
 
 			// Store the token URI
-			await Client.query(AssetMetadataQueries.clearMetadataUpdateFlag(address, id));
+			await Client.query(AssetMetadataQueries.clearMetadataUpdateFlag(this.blockchain_id, address, id));
+		} finally {
+			Metrics.metadataFetches.inc({ outcome });
 		}
 	}
 
+	// Calls back with an error when the backfill can't run, or with a
+	// ShutdownError when shutdown stopped it, to be resumed from the checkpoint
 	backfillContractLogsByLogs(address, log_limit, start_override, callback = ()=>{}) {
 		let latest_log_number = 0;
 
-		Database.connect(async (Client) => {
-
-			// Kick it off
-			Client.query(BlockchainQueries.getBlockchainsAndNodes(), (result) => {
-				if (!result || !result.rowCount) {
-					log.error('No blockchain nodes found in database.');
-					process.exit();
-				}
+		if (!this.evmClient || this.blockchain_id === null) {
+			return callback(new ConfigurationError('The contract backfill needs a blockchain client and ID'));
+		}
 
-				// ASSUMPTION: We're only going to watch one node at a time
-				// But the SQL is built to handle multiple nodes and blockchains.
-				// Regardless, one per at the moment
-				let node = result.rows[0];
+		// Progress is kept by log ID, which is what this backfill walks
+		const checkpoint = new Checkpoint({
+			blockchain_id : this.blockchain_id,
+			job : `contract_backfill:${address.toLowerCase()}`
+		});
 
-				// ASSUMPTION: We're only supporting Ethereum right now
-				// Create a new monitor instance
-				this.evmClient = new Web3Client({
-					"endpoint" : node.endpoint
-				});
+		Database.connect(async (Client) => {
+			const fail = (error) => {
+				Client.release();
+				callback(error);
+			};
 
-				Client.query(TransactionQueries.getMaxLog(), (result) => {
-					if (!result.rowCount) {
-						log.error(`Unable to return max log`);
-						process.exit(1);
-					}
+			// Kick it off, every step after it returns the next so that failures end up here
+			Client.query(TransactionQueries.getMaxLog(), (result) => {
+				if (!result.rowCount) {
+					return fail(new DatabaseError('Unable to return max log'));
+				}
 
-					latest_log_number = parseInt(result.rows[0].max, 10);
-					log.info(`Latest log ID found: ${latest_log_number}`);
+				latest_log_number = parseInt(result.rows[0].max, 10);
+				log.info('Latest log ID found', { log_id : latest_log_number });
 
-					getContractMeta.call(this);
-				});
-			});
+				return getContractMeta.call(this);
+			}).catch(fail);
 
 			let contractMetaSet = false;
 			async function getContractMeta() {
-				Client.query(ContractQueries.getContractMeta(address), (result) => {
+				return Client.query(ContractQueries.getContractMeta(this.blockchain_id, address), (result) => {
 					// No recent event found
 					if (!result.rowCount || !result.rows[0].contract_meta_id) {
 						if (contractMetaSet) {
-							Client.release();
-							console.error(`Trying to set contract standard multiple times for ${address}`);
-							process.exit(1);
+							return fail(new ConfigurationError(`Trying to set contract standard multiple times for ${address}`));
 						}
 
 						// Need to add the contract
 						contractMetaSet = true;
-						this.setContractMetadata(address, null, null, getContractMeta.bind(this));
+						this.setContractMetadata(address, null, null, (err) => err ? fail(err) : getContractMeta.call(this).catch(fail));
 					} else {
-						getMostRecentContractLog.call(this, result.rows[0]);
+						return getMostRecentContractLog.call(this, result.rows[0]);
 					}
 				});
 			}
@@ -541,6 +583,13 @@ class ContractController {
 				// If we have an override
 				if (start_override && parseInt(start_override, 10) >= 0) {
 					start_log = parseInt(start_override, 10);
+				} else {
+					// Otherwise pick up where the last run for this contract stopped
+					let next_log = await checkpoint.load(Client);
+					if (next_log !== null) {
+						start_log = next_log;
+						log.info('Resuming from checkpoint', { job : checkpoint.job, log_id : next_log });
+					}
 				}
 
 				end_log = start_log + log_limit;
@@ -549,15 +598,24 @@ class ContractController {
 				let res = await Client.query(TransactionQueries.getBlockNumberForTransactionLog(start_log));
 				let block_number = (res && res.rowCount && res.rows[0].number) || -1;
 
-				log.info(`Starting contract backfill on block ${block_number} at log ${start_log}`);
+				log.info('Starting contract backfill', { contract_address : address, block_number : parseInt(block_number, 10), log_id : start_log });
 				this.stats.heartbeat_event_insert_time = Date.now()/1000;
 
-				backfill.call(this, address, start_log, end_log);
+				return backfill.call(this, address, start_log, end_log);
 			};
 
 			let heartbeat_count = 0;
 			async function backfill(address, start_log, end_log) {
-				Client.query(TransactionQueries.getTransactionLogsByContractInLogRange(
+				// Every log before start_log has been decoded by now
+				await checkpoint.save(Client, start_log);
+
+				if (Lifecycle.isStopping()) {
+					log.info('Shutting down, stopped before log', { log_id : start_log });
+					return fail(new ShutdownError(`Contract backfill stopped before log ${start_log}`));
+				}
+
+				return Client.query(TransactionQueries.getTransactionLogsByContractInLogRange(
+					this.blockchain_id,
 					address,
 					start_log,
 					end_log
@@ -566,7 +624,14 @@ class ContractController {
 						let res = await Client.query(TransactionQueries.getBlockNumberForTransactionLog(latest_log_number));
 						let block_number = (res && res.rowCount && res.rows[0].number) || -1;
 
-						log.info(`Reached end at block ${block_number}, between logs ${start_log} to ${end_log}: ${this.stats.heartbeat_event_insert_count} events added in ${(Date.now()/1000-this.stats.heartbeat_event_insert_time).toLocaleString(5)} seconds`);
+						log.info('Reached end of contract backfill', {
+							contract_address : address,
+							block_number     : parseInt(block_number, 10),
+							start_log,
+							end_log,
+							events           : this.stats.heartbeat_event_insert_count,
+							duration_ms      : Math.round(Date.now() - this.stats.heartbeat_event_insert_time * 1000)
+						});
 						Client.release();
 						return callback();
 					}
@@ -578,7 +643,15 @@ class ContractController {
 						let res = await Client.query(TransactionQueries.getBlockNumberForTransactionLog(start_log));
 						let block_number = (res && res.rowCount && res.rows[0].number) || -1;
 
-						log.info(`Heartbeat at block ${block_number}, between logs ${start_log} to ${end_log}: ${this.stats.heartbeat_event_insert_count} events added in ${(Date.now()/1000-this.stats.heartbeat_event_insert_time).toLocaleString(5)} seconds -- at ${(start_log/latest_log_number*100).toLocaleString(2)}%`);
+						log.info('Contract backfill heartbeat', {
+							contract_address : address,
+							block_number     : parseInt(block_number, 10),
+							start_log,
+							end_log,
+							events           : this.stats.heartbeat_event_insert_count,
+							duration_ms      : Math.round(Date.now() - this.stats.heartbeat_event_insert_time * 1000),
+							progress_pct     : Math.round(start_log / latest_log_number * 10000) / 100
+						});
 						this.stats.heartbeat_event_insert_count = 0;
 						this.stats.heartbeat_event_insert_time = Date.now()/1000;
 					}
@@ -611,7 +684,7 @@ class ContractController {
 
 				});
 			};
-		});
+		}).catch(callback);
 	}
 }
 
@@ -1,5 +1,8 @@
 // Required libraries
 const log = require('loglevel');
+const { from: copyFrom } = require('pg-copy-streams');
+const { DatabaseError } = require('../classes/Errors.js');
+const Metrics = require('../classes/Metrics.js');
 
 class Client {
 	constructor(client, release) {
@@ -13,21 +16,34 @@ class Client {
 		};
 	}
 
+	// Failed queries reject with a DatabaseError. With a callback, the client
+	// is released first, as nothing after the callback would release it.
 	async query(query, callback = null) {
-		let queryCallback = null;
-		if (callback && typeof callback === 'function') {
-			queryCallback = (err, results) => {
-				if (err) {
-					this.release();
-					log.error('Error with query', err.stack);
-					process.exit(1);
-				}
+		let results;
+		try {
+			results = await Metrics.timeQuery(query, () => this.client.query(query));
+		} catch (err) {
+			if (callback && typeof callback === 'function') {
+				this.release();
+				log.error('Error with query', err.stack);
+			}
 
-				callback(results);
-			};
+			throw new DatabaseError(`Query failed: ${err.message}`, {
+				cause : err,
+				query : typeof query === 'string' ? query : query.text
+			});
 		}
 
-		return this.client.query(query, queryCallback);
+		if (callback && typeof callback === 'function') {
+			return callback(results);
+		}
+
+		return results;
+	}
+
+	// Returns a writable stream for a COPY ... FROM STDIN statement
+	copyFrom(query) {
+		return this.client.query(copyFrom(query.text));
 	}
 }
 
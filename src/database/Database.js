@@ -1,6 +1,8 @@
 // Required libraries
 const log = require('loglevel');
 const pg  = require('pg');
+const Lifecycle = require('../classes/Lifecycle.js');
+const { DatabaseError } = require('../classes/Errors.js');
 
 // Pull the config
 const config = require('../config/config.js');
@@ -28,34 +30,40 @@ class Database {
 			// Kill the application? If PM2 will restart it.
 			//process.exit(-1);
 		});
+
+		// Closed last, after everything else has released its clients
+		Lifecycle.onShutdown(() => this.end());
 	}
 
 	getPool() {
 		return this.pool;
 	}
 
+	// Rejects with a DatabaseError when no client can be acquired
 	async connect(callback) {
-		let connectCallback = null;
-		if (callback && typeof callback === 'function') {
-			connectCallback = (err, client, release) => {
-				if (err) {
-					log.error('Error acquiring client', err.stack);
-					process.exit(1);
-				}
+		let client;
+		try {
+			client = await this.getPool().connect();
+		} catch (err) {
+			log.error('Error acquiring client', err.stack);
+			throw new DatabaseError(`Could not acquire a client: ${err.message}`, { cause : err });
+		}
 
-				callback(new Client(client, release), release);
-			};
+		if (!client) {
+			log.error('Error acquiring client');
+			throw new DatabaseError('Could not acquire a client');
+		}
 
-			return this.getPool().connect(connectCallback)
-		} else {
-			let client = await this.getPool().connect();
+		if (callback && typeof callback === 'function') {
+			return callback(new Client(client, client.release), client.release);
+		}
 
-			if (!client) {
-				log.error('Error acquiring client');
-				process.exit(1);
-			}
+		return new Client(client, client.release);
+	}
 
-			return new Client(client, client.release);
+	async end() {
+		if (!this.pool.ended) {
+			await this.pool.end();
 		}
 	}
 }
@@ -2,6 +2,7 @@ const hexToBytea = require('../../util/hexToBytea.js');
 
 class AssetMetadataQueries {
 	static upsertMetadata(
+		blockchain_id,
 		contract_address,
 		id,
 		token_uri,
@@ -11,6 +12,7 @@ class AssetMetadataQueries {
 			text: `
 				INSERT INTO
 					asset_metadata (
+						blockchain_id,
 						contract_address,
 						id,
 						token_uri,
@@ -18,14 +20,15 @@ class AssetMetadataQueries {
 						needs_update
 					)
 				VALUES (
-					$1, $2, $3, $4, FALSE
+					$1, $2, $3, $4, $5, FALSE
 				)
-				ON CONFLICT (contract_address, id) DO UPDATE SET
+				ON CONFLICT (blockchain_id, contract_address, id) DO UPDATE SET
 					token_uri = EXCLUDED.token_uri,
 					metadata = CASE WHEN EXCLUDED.metadata IS NOT NULL THEN EXCLUDED.metadata ELSE asset_metadata.metadata END,
 					needs_update = FALSE;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(contract_address),
 				id,
 				token_uri,
@@ -35,6 +38,7 @@ class AssetMetadataQueries {
 	}
 
 	static enqueueMetadataUpdate(
+		blockchain_id,
 		contract_address,
 		id
 	) {
@@ -42,17 +46,19 @@ class AssetMetadataQueries {
 			text: `
 				INSERT INTO
 					asset_metadata (
+						blockchain_id,
 						contract_address,
 						id,
 						needs_update
 					)
 				VALUES (
-					$1, $2, TRUE
+					$1, $2, $3, TRUE
 				)
-				ON CONFLICT (contract_address, id) DO UPDATE SET
+				ON CONFLICT (blockchain_id, contract_address, id) DO UPDATE SET
 					needs_update = TRUE;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(contract_address),
 				id
 			]
@@ -60,6 +66,7 @@ class AssetMetadataQueries {
 	}
 
 	static clearMetadataUpdateFlag(
+		blockchain_id,
 		contract_address,
 		id
 	) {
@@ -70,10 +77,12 @@ class AssetMetadataQueries {
 				SET
 					needs_update = FALSE
 				WHERE
-					contract_address = $1 AND
-					id = $2;
+					blockchain_id = $1 AND
+					contract_address = $2 AND
+					id = $3;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(contract_address),
 				id
 			]
@@ -81,6 +90,7 @@ class AssetMetadataQueries {
 	}
 
 	static requireMetadataUpdateFlagAcrossContract(
+		blockchain_id,
 		contract_address
 	) {
 		return {
@@ -90,15 +100,18 @@ class AssetMetadataQueries {
 				SET
 					needs_update = TRUE
 				WHERE
-					contract_address = $1;
+					blockchain_id = $1 AND
+					contract_address = $2;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(contract_address)
 			]
 		}
 	}
 
 	static getAssetsNeedUpdates(
+		blockchain_id,
 		limit = 50
 	) {
 		return {
@@ -109,15 +122,36 @@ class AssetMetadataQueries {
 				FROM
 					asset_metadata
 				WHERE
+					blockchain_id = $1 AND
 					needs_update
 				LIMIT
-					$1;
+					$2;
 			`,
 			values: [
+				blockchain_id,
 				parseInt(limit, 10) || 50
 			]
 		}
 	}
+
+	static countAssetsNeedUpdates(
+		blockchain_id
+	) {
+		return {
+			text: `
+				SELECT
+					COUNT(*) AS count
+				FROM
+					asset_metadata
+				WHERE
+					blockchain_id = $1 AND
+					needs_update;
+			`,
+			values: [
+				blockchain_id
+			]
+		}
+	}
 }      
 
 module.exports = AssetMetadataQueries;
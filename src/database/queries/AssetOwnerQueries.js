@@ -0,0 +1,54 @@
+const hexToBytea = require('../../util/hexToBytea.js');
+
+class AssetOwnerQueries {
+	// Across every blockchain when blockchain_id is null
+	static getOwnerAssets(
+		blockchain_id,
+		owner,
+		contract_address,
+		limit,
+		offset
+	) {
+		return {
+			text: `
+				SELECT
+					ao.blockchain_id,
+					ao.contract_address,
+					ao.owner,
+					ao.id,
+					ao.value,
+					cm.standard,
+					COALESCE(cm.custom_name, cm.name) AS name,
+					cm.symbol
+				FROM
+					asset_owner ao
+				LEFT JOIN
+					contract_meta cm ON
+						cm.blockchain_id = ao.blockchain_id AND
+						cm.address = ao.contract_address
+				WHERE
+					($1::bigint IS NULL OR ao.blockchain_id = $1) AND
+					ao.owner = $2 AND
+					ao.value > 0 AND
+					($3::bytea IS NULL OR ao.contract_address = $3)
+				ORDER BY
+					ao.blockchain_id ASC,
+					ao.contract_address ASC,
+					ao.id ASC
+				LIMIT
+					$4
+				OFFSET
+					$5;
+			`,
+			values: [
+				blockchain_id,
+				hexToBytea(owner),
+				hexToBytea(contract_address) || null,
+				limit,
+				offset
+			]
+		}
+	}
+}
+
+module.exports = AssetOwnerQueries;
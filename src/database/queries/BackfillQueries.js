@@ -0,0 +1,174 @@
+class BackfillQueries {
+	static addRanges(
+		blockchain_id,
+		start_number,
+		end_number,
+		chunk_size
+	) {
+		return {
+			text: `
+				INSERT INTO
+					backfill_range (
+						blockchain_id,
+						start_number,
+						end_number,
+						next_number
+					)
+				SELECT
+					$1,
+					s,
+					LEAST(s + $4, $3),
+					s
+				FROM
+					generate_series($2::bigint, $3::bigint - 1, $4::bigint) s
+				ON CONFLICT DO NOTHING;
+			`,
+			values: [
+				blockchain_id,
+				start_number,
+				end_number,
+				chunk_size
+			]
+		}
+	}
+
+	static claimRange(
+		blockchain_id,
+		worker_id,
+		lease_seconds
+	) {
+		return {
+			text: `
+				UPDATE
+					backfill_range
+				SET
+					leased_by = $2,
+					lease_expires_time = NOW() + MAKE_INTERVAL(secs => $3)
+				WHERE
+					backfill_range_id = (
+						SELECT
+							backfill_range_id
+						FROM
+							backfill_range
+						WHERE
+							blockchain_id = $1 AND
+							completed_time IS NULL AND
+							(lease_expires_time IS NULL OR lease_expires_time < NOW())
+						ORDER BY
+							start_number ASC
+						LIMIT
+							1
+						FOR UPDATE SKIP LOCKED
+					)
+				RETURNING *;
+			`,
+			values: [
+				blockchain_id,
+				worker_id,
+				lease_seconds
+			]
+		}
+	}
+
+	static renewLease(
+		backfill_range_id,
+		worker_id,
+		next_number,
+		lease_seconds
+	) {
+		return {
+			text: `
+				UPDATE
+					backfill_range
+				SET
+					next_number = $3,
+					lease_expires_time = NOW() + MAKE_INTERVAL(secs => $4)
+				WHERE
+					backfill_range_id = $1 AND
+					leased_by = $2 AND
+					completed_time IS NULL
+				RETURNING *;
+			`,
+			values: [
+				backfill_range_id,
+				worker_id,
+				next_number,
+				lease_seconds
+			]
+		}
+	}
+
+	// Gives the range back right away, for another worker to pick up from next_number
+	static releaseRange(
+		backfill_range_id,
+		worker_id,
+		next_number
+	) {
+		return {
+			text: `
+				UPDATE
+					backfill_range
+				SET
+					next_number = $3,
+					leased_by = NULL,
+					lease_expires_time = NULL
+				WHERE
+					backfill_range_id = $1 AND
+					leased_by = $2 AND
+					completed_time IS NULL
+				RETURNING *;
+			`,
+			values: [
+				backfill_range_id,
+				worker_id,
+				next_number
+			]
+		}
+	}
+
+	static completeRange(
+		backfill_range_id,
+		worker_id
+	) {
+		return {
+			text: `
+				UPDATE
+					backfill_range
+				SET
+					next_number = end_number,
+					lease_expires_time = NULL,
+					completed_time = NOW()
+				WHERE
+					backfill_range_id = $1 AND
+					leased_by = $2
+				RETURNING *;
+			`,
+			values: [
+				backfill_range_id,
+				worker_id
+			]
+		}
+	}
+
+	static getProgress(
+		blockchain_id
+	) {
+		return {
+			text: `
+				SELECT
+					COUNT(*) AS total,
+					COUNT(*) FILTER (WHERE completed_time IS NOT NULL) AS complete,
+					COUNT(*) FILTER (WHERE completed_time IS NULL AND lease_expires_time >= NOW()) AS leased
+				FROM
+					backfill_range
+				WHERE
+					blockchain_id = $1;
+			`,
+			values: [
+				blockchain_id
+			]
+		}
+	}
+}
+
+module.exports = BackfillQueries;
@@ -1,4 +1,5 @@
 const hexToBytea = require('../../util/hexToBytea.js');
+const hexToNumeric = require('../../util/hexToNumeric.js');
 
 class BlockQueries {
 	static getLatestBlock(blockchain_id) {
@@ -59,7 +60,12 @@ class BlockQueries {
 		miner,
 		difficulty,
 		extra_data,
-		size
+		size,
+		base_fee_per_gas,
+		withdrawals_root,
+		blob_gas_used,
+		excess_blob_gas,
+		parent_beacon_block_root
 	) {
 		return {
 			text: `
@@ -82,7 +88,12 @@ class BlockQueries {
 						miner,
 						difficulty,
 						extra_data,
-						size
+						size,
+						base_fee_per_gas,
+						withdrawals_root,
+						blob_gas_used,
+						excess_blob_gas,
+						parent_beacon_block_root
 					)
 				VALUES (
 					$1,
@@ -102,7 +113,12 @@ class BlockQueries {
 					$15,
 					$16,
 					$17,
-					$18
+					$18,
+					$19,
+					$20,
+					$21,
+					$22,
+					$23
 				)
 				ON CONFLICT DO NOTHING
 				RETURNING *;
@@ -125,7 +141,35 @@ class BlockQueries {
 				hexToBytea(miner),
 				difficulty,
 				hexToBytea(extra_data),
-				size
+				size,
+				hexToNumeric(base_fee_per_gas),
+				hexToBytea(withdrawals_root),
+				hexToNumeric(blob_gas_used),
+				hexToNumeric(excess_blob_gas),
+				hexToBytea(parent_beacon_block_root)
+			]
+		}
+	}
+
+	// Blocks the contracts-only mode stores with just the watched contracts' data,
+	// cleared again once the whole block is stored, see 022_partial_blocks
+	static setBlockPartial(
+		hash,
+		partial
+	) {
+		return {
+			text: `
+				UPDATE
+					block
+				SET
+					partial = $2
+				WHERE
+					hash = $1 AND
+					partial <> $2;
+			`,
+			values: [
+				hexToBytea(hash),
+				partial
 			]
 		}
 	}
@@ -205,9 +249,47 @@ class BlockQueries {
 		}
 	}
 
+	static addWithdrawals(
+		block_hash,
+		withdrawals
+	) {
+		let values = [], numbers = [];
+
+		let number = 0;
+		for (let withdrawal of withdrawals) {
+			values.push(
+				hexToBytea(block_hash),
+				hexToNumeric(withdrawal.index),
+				hexToNumeric(withdrawal.validatorIndex),
+				hexToBytea(withdrawal.address),
+				hexToNumeric(withdrawal.amount)
+			);
+
+			numbers.push(`(\$${++number},\$${++number},\$${++number},\$${++number},\$${++number})`);
+		}
+
+		return {
+			text: `
+				INSERT INTO
+					withdrawal (
+						block_hash,
+						"index",
+						validator_index,
+						address,
+						amount
+					)
+				VALUES ${numbers.join(',')}
+				ON CONFLICT (block_hash, "index") DO NOTHING;
+			`,
+			values: values
+		}
+	}
+
+	// finality optionally restricts the results to blocks with one of the given statuses
 	static getBlockByHash(
 		blockchain_id,
-		hash
+		hash,
+		finality = null
 	) {
 		return {
 			text: `
@@ -219,11 +301,294 @@ class BlockQueries {
 					(SELECT COUNT(*) FROM transaction WHERE block_hash = $2) t_count
 				WHERE
 					b.blockchain_id = $1 AND
-					b.hash = $2;
+					b.hash = $2 AND
+					($3::block_finality[] IS NULL OR b.finality = ANY($3));
+			`,
+			values: [
+				blockchain_id,
+				hexToBytea(hash),
+				finality
+			]
+		}
+	}
+
+	static getBlockByNumber(
+		blockchain_id,
+		number,
+		finality = null
+	) {
+		return {
+			text: `
+				SELECT
+					b.*,
+					(SELECT COUNT(*) FROM transaction WHERE block_hash = b.hash) AS transaction_count
+				FROM
+					block b
+				WHERE
+					b.blockchain_id = $1 AND
+					b.number = $2 AND
+					($3::block_finality[] IS NULL OR b.finality = ANY($3))
+				ORDER BY
+					b.block_id DESC
+				LIMIT
+					1;
+			`,
+			values: [
+				blockchain_id,
+				number,
+				finality
+			]
+		}
+	}
+
+	static getBlocks(
+		blockchain_id,
+		limit,
+		offset,
+		finality = null
+	) {
+		return {
+			text: `
+				SELECT
+					b.*
+				FROM
+					block b
+				WHERE
+					b.blockchain_id = $1 AND
+					($4::block_finality[] IS NULL OR b.finality = ANY($4))
+				ORDER BY
+					b.number DESC
+				LIMIT
+					$2
+				OFFSET
+					$3;
+			`,
+			values: [
+				blockchain_id,
+				limit,
+				offset,
+				finality
+			]
+		}
+	}
+
+	static getBlocksInRange(
+		blockchain_id,
+		start_number,
+		end_number
+	) {
+		return {
+			text: `
+				SELECT
+					*
+				FROM
+					block
+				WHERE
+					blockchain_id = $1 AND
+					number >= $2 AND
+					number < $3
+				ORDER BY
+					number ASC;
+			`,
+			values: [
+				blockchain_id,
+				start_number,
+				end_number
+			]
+		}
+	}
+
+	static getStoredBlockRange(
+		blockchain_id
+	) {
+		return {
+			text: `
+				SELECT
+					MIN(number) AS min_number,
+					MAX(number) AS max_number
+				FROM
+					block
+				WHERE
+					blockchain_id = $1;
+			`,
+			values: [
+				blockchain_id
+			]
+		}
+	}
+
+	// Runs of missing block numbers as [start_number, end_number). Contracts-only
+	// ingestion skips blocks without watched logs, so runs next to a partial block
+	// aren't gaps.
+	static getBlockGaps(
+		blockchain_id,
+		start_number,
+		end_number
+	) {
+		return {
+			text: `
+				SELECT
+					number + 1 AS start_number,
+					next_number AS end_number
+				FROM (
+					SELECT
+						number,
+						partial,
+						LEAD(number) OVER (ORDER BY number) AS next_number,
+						LEAD(partial) OVER (ORDER BY number) AS next_partial
+					FROM
+						block
+					WHERE
+						blockchain_id = $1 AND
+						number >= $2 AND
+						number < $3
+				) numbers
+				WHERE
+					next_number > number + 1 AND
+					NOT partial AND
+					NOT next_partial
+				ORDER BY
+					number ASC;
+			`,
+			values: [
+				blockchain_id,
+				start_number,
+				end_number
+			]
+		}
+	}
+
+	// Blocks that used gas but have no transactions stored, or whose transactions
+	// are missing their receipt fields. Transactions from before the receipt fields
+	// were stored aren't counted, see 017_gap_detection, nor are partial blocks.
+	static getIncompleteBlocks(
+		blockchain_id,
+		start_number,
+		end_number
+	) {
+		return {
+			text: `
+				SELECT
+					b.number,
+					b.hash,
+					NOT EXISTS (SELECT 1 FROM transaction t WHERE t.block_hash = b.hash) AS missing_transactions
+				FROM
+					block b
+				WHERE
+					b.blockchain_id = $1 AND
+					b.number >= $2 AND
+					b.number < $3 AND
+					NOT b.partial AND (
+						(b.gas_used > 0 AND NOT EXISTS (SELECT 1 FROM transaction t WHERE t.block_hash = b.hash)) OR
+						EXISTS (SELECT 1 FROM transaction t WHERE t.block_hash = b.hash AND t.receipt_fields AND t.gas_used IS NULL)
+					)
+				ORDER BY
+					b.number ASC;
 			`,
 			values: [
 				blockchain_id,
-				hexToBytea(hash)
+				start_number,
+				end_number
+			]
+		}
+	}
+
+	// The highest stored block at or below a watermark, whose hash anchors the
+	// blocks below it to the node's chain before they're marked
+	static getLatestBlockAtOrBelow(
+		blockchain_id,
+		number
+	) {
+		return {
+			text: `
+				SELECT
+					number,
+					hash
+				FROM
+					block
+				WHERE
+					blockchain_id = $1 AND
+					number <= $2
+				ORDER BY
+					number DESC
+				LIMIT
+					1;
+			`,
+			values: [
+				blockchain_id,
+				number
+			]
+		}
+	}
+
+	// Marks up to batch_size of the lowest unfinalized blocks, call until fewer come
+	// back so a first run over a long chain doesn't update it all in one statement
+	static markFinalized(
+		blockchain_id,
+		number,
+		batch_size
+	) {
+		return {
+			text: `
+				UPDATE
+					block
+				SET
+					finality = 'finalized'
+				WHERE
+					block_id IN (
+						SELECT
+							block_id
+						FROM
+							block
+						WHERE
+							blockchain_id = $1 AND
+							number <= $2 AND
+							finality <> 'finalized'
+						ORDER BY
+							number ASC
+						LIMIT
+							$3
+					);
+			`,
+			values: [
+				blockchain_id,
+				number,
+				batch_size
+			]
+		}
+	}
+
+	static markSafe(
+		blockchain_id,
+		number,
+		batch_size
+	) {
+		return {
+			text: `
+				UPDATE
+					block
+				SET
+					finality = 'safe'
+				WHERE
+					block_id IN (
+						SELECT
+							block_id
+						FROM
+							block
+						WHERE
+							blockchain_id = $1 AND
+							number <= $2 AND
+							finality = 'latest'
+						ORDER BY
+							number ASC
+						LIMIT
+							$3
+					);
+			`,
+			values: [
+				blockchain_id,
+				number,
+				batch_size
 			]
 		}
 	}
@@ -17,34 +17,178 @@ class BlockchainQueries {
 		}
 	}
 
-	static addBlockchain(type, name) {
+	static getBlockchain(blockchain_id) {
+		return {
+			text: `
+				SELECT
+					*
+				FROM
+					blockchain
+				WHERE
+					blockchain_id = $1;
+			`,
+			values: [blockchain_id]
+		}
+	}
+
+	// The finalized watermark never moves backwards
+	static updateWatermarks(blockchain_id, latest_number, safe_number, finalized_number) {
+		return {
+			text: `
+				UPDATE
+					blockchain
+				SET
+					latest_number = $2,
+					safe_number = $3,
+					finalized_number = GREATEST(finalized_number, $4),
+					finality_time = NOW()
+				WHERE
+					blockchain_id = $1
+				RETURNING
+					latest_number,
+					safe_number,
+					finalized_number;
+			`,
+			values: [blockchain_id, latest_number, safe_number, finalized_number]
+		}
+	}
+
+	static getWatermarks(blockchain_id) {
+		return {
+			text: `
+				SELECT
+					blockchain_id,
+					latest_number,
+					safe_number,
+					finalized_number,
+					finality_time
+				FROM
+					blockchain
+				WHERE
+					blockchain_id = $1;
+			`,
+			values: [blockchain_id]
+		}
+	}
+
+	static addBlockchain(type, name, chain_id = null) {
 		return {
 			text: `
 				INSERT INTO
-					blockchain (type, name)
+					blockchain (type, name, chain_id)
 				VALUES (
-					$1, $2
+					$1, $2, $3
 				);
 			`,
-			values: [type, name]
+			values: [type, name, chain_id]
+		}
+	}
+
+	// Declared by the chains config, see ChainRegistry
+	static upsertBlockchain(name, type, chain_id, start_number, confirmations, safe_depth, finalized_depth, features) {
+		return {
+			text: `
+				INSERT INTO
+					blockchain (
+						name, type, chain_id, start_number, confirmations, safe_depth, finalized_depth, features
+					)
+				VALUES (
+					$1, $2, $3, $4, $5, $6, $7, $8
+				)
+				ON CONFLICT (name) DO UPDATE
+				SET
+					type            = EXCLUDED.type,
+					chain_id        = EXCLUDED.chain_id,
+					start_number    = EXCLUDED.start_number,
+					confirmations   = EXCLUDED.confirmations,
+					safe_depth      = EXCLUDED.safe_depth,
+					finalized_depth = EXCLUDED.finalized_depth,
+					features        = EXCLUDED.features
+				RETURNING
+					blockchain_id;
+			`,
+			values: [name, type, chain_id, start_number, confirmations, safe_depth, finalized_depth, JSON.stringify(features)]
+		}
+	}
+
+	static getBlockchainByName(name) {
+		return {
+			text: `
+				SELECT
+					*
+				FROM
+					blockchain
+				WHERE
+					name = $1;
+			`,
+			values: [name]
+		}
+	}
+
+	// Only takes when no chain ID is stored yet, returns the one that is
+	static setChainId(blockchain_id, chain_id) {
+		return {
+			text: `
+				UPDATE
+					blockchain
+				SET
+					chain_id = COALESCE(chain_id, $2)
+				WHERE
+					blockchain_id = $1
+				RETURNING
+					chain_id;
+			`,
+			values: [blockchain_id, chain_id]
+		}
+	}
+
+	static getBlockchainNodes(blockchain_id) {
+		return {
+			text: `
+				SELECT
+					*
+				FROM
+					blockchain_node
+				WHERE
+					blockchain_id = $1
+				ORDER BY
+					blockchain_node_id ASC;
+			`,
+			values: [blockchain_id]
+		}
+	}
+
+	static updateBlockchainNode(blockchain_node_id, trace_api, skip) {
+		return {
+			text: `
+				UPDATE
+					blockchain_node
+				SET
+					trace_api = $2,
+					skip = $3
+				WHERE
+					blockchain_node_id = $1;
+			`,
+			values: [blockchain_node_id, trace_api, skip]
 		}
 	}
 
-	static addBlockchainNode(name, endpoint) {
+	static addBlockchainNode(name, endpoint, trace_api = null) {
 		return {
 			text: `
 				INSERT INTO
 					blockchain_node
-						(blockchain_id, endpoint)
+						(blockchain_id, endpoint, trace_api)
 				SELECT
 					blockchain_id,
-					$2
+					$2,
+					$3
 				FROM
 					blockchain
 				WHERE
 					name = $1;
 			`,
-			values: [name, endpoint]
+			values: [name, endpoint, trace_api]
 		}
 	}
 }
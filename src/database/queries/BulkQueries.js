@@ -0,0 +1,400 @@
+// Columns streamed through the staging tables, in COPY order
+const COLUMNS = {
+	'block' : [
+		'blockchain_id',
+		'number',
+		'hash',
+		'parent_hash',
+		'created_time',
+		'nonce',
+		'gas_limit',
+		'gas_used',
+		'sha3_uncles',
+		'logs_bloom',
+		'transactions_root',
+		'receipts_root',
+		'state_root',
+		'mix_hash',
+		'miner',
+		'difficulty',
+		'extra_data',
+		'size',
+		'base_fee_per_gas',
+		'withdrawals_root',
+		'blob_gas_used',
+		'excess_blob_gas',
+		'parent_beacon_block_root'
+	],
+	'ommer' : [
+		'blockchain_id',
+		'hash',
+		'nibling_block_hash'
+	],
+	'withdrawal' : [
+		'block_hash',
+		'index',
+		'validator_index',
+		'address',
+		'amount'
+	],
+	'transaction' : [
+		'block_hash',
+		'hash',
+		'nonce',
+		'transaction_index',
+		'from',
+		'to',
+		'value',
+		'gas_price',
+		'gas',
+		'input',
+		'status',
+		'contract_address',
+		'v',
+		'r',
+		's',
+		'type',
+		'chain_id',
+		'max_fee_per_gas',
+		'max_priority_fee_per_gas',
+		'access_list',
+		'effective_gas_price',
+		'gas_used',
+		'cumulative_gas_used',
+		'max_fee_per_blob_gas',
+		'blob_gas_used',
+		'blob_gas_price'
+	],
+	'blob_hash' : [
+		'transaction_hash',
+		'index',
+		'versioned_hash'
+	],
+	'trace' : [
+		'transaction_hash',
+		'trace_address',
+		'type',
+		'from',
+		'to',
+		'value',
+		'gas',
+		'gas_used',
+		'input',
+		'output',
+		'error',
+		'subtraces'
+	],
+	'log' : [
+		'transaction_hash',
+		'block_number',
+		'log_index',
+		'address',
+		'data',
+		'topic_0',
+		'topic_1',
+		'topic_2',
+		'topic_3'
+	]
+};
+
+// Event transfers decoded from the logs of the staged transactions
+const STAGED_EVENT_TRANSFERS = `
+	event_transfer et
+	JOIN event e ON e.event_id = et.event_id
+	JOIN log l ON l.log_id = e.log_id
+	JOIN staging_transaction st ON st.hash = l.transaction_hash
+`;
+
+// The row triggers the bulk path replaces with set-based statements, see
+// reconcileAddresses, reconcileEventTransferAddresses and rebuildAssetOwners
+const BULK_TRIGGERS = [
+	['block',          't_insert_address_on_block'],
+	['transaction',    't_insert_address_on_transaction'],
+	['event_transfer', 't_insert_address_on_event_transfer'],
+	['event_transfer', 't_update_asset_owner']
+];
+
+function columnList(table) {
+	return COLUMNS[table].map((column) => `"${column}"`).join(', ');
+}
+
+class BulkQueries {
+	static get columns() {
+		return COLUMNS;
+	}
+
+	// Temporary tables are per-session, so concurrent bulk ingests don't collide
+	static createStagingTable(table) {
+		return {
+			text: `
+				CREATE TEMP TABLE IF NOT EXISTS staging_${table}
+				ON COMMIT DELETE ROWS
+				AS SELECT ${columnList(table)} FROM "${table}"
+				WITH NO DATA;
+			`
+		}
+	}
+
+	static copyStagingTable(table) {
+		return {
+			text: `COPY staging_${table} (${columnList(table)}) FROM STDIN WITH (FORMAT csv);`
+		}
+	}
+
+	// Only needs ownership of the tables, foreign keys stay checked. Run inside the
+	// transaction: a rollback turns them back on, and the lock it takes keeps other
+	// writers to these tables waiting until enableTriggers() is committed.
+	static disableTriggers() {
+		return {
+			text: BULK_TRIGGERS.map(([table, trigger]) => `ALTER TABLE "${table}" DISABLE TRIGGER ${trigger};`).join('\n')
+		}
+	}
+
+	static enableTriggers() {
+		return {
+			text: BULK_TRIGGERS.map(([table, trigger]) => `ALTER TABLE "${table}" ENABLE TRIGGER ${trigger};`).join('\n')
+		}
+	}
+
+	static deleteStagedTransactionLogs() {
+		return {
+			text: `
+				DELETE FROM
+					log
+				WHERE
+					transaction_hash IN (
+						SELECT
+							hash
+						FROM
+							staging_transaction
+					);
+			`
+		}
+	}
+
+	static deleteStagedTransactionTraces() {
+		return {
+			text: `
+				DELETE FROM
+					trace
+				WHERE
+					transaction_hash IN (
+						SELECT
+							hash
+						FROM
+							staging_transaction
+					);
+			`
+		}
+	}
+
+	static mergeBlocks() {
+		return {
+			text: `
+				INSERT INTO
+					block (${columnList('block')})
+				SELECT
+					${columnList('block')}
+				FROM
+					staging_block
+				ON CONFLICT (hash) DO UPDATE SET
+					partial = FALSE
+				WHERE
+					block.partial;
+			`
+		}
+	}
+
+	static mergeOmmers() {
+		return {
+			text: `
+				INSERT INTO
+					ommer (${columnList('ommer')})
+				SELECT
+					${columnList('ommer')}
+				FROM
+					staging_ommer
+				ON CONFLICT (hash) DO UPDATE SET
+					nibling_block_hash = EXCLUDED.nibling_block_hash;
+			`
+		}
+	}
+
+	static mergeWithdrawals() {
+		return {
+			text: `
+				INSERT INTO
+					withdrawal (${columnList('withdrawal')})
+				SELECT
+					${columnList('withdrawal')}
+				FROM
+					staging_withdrawal
+				ON CONFLICT (block_hash, "index") DO NOTHING;
+			`
+		}
+	}
+
+	static mergeTransactions() {
+		let updates = COLUMNS.transaction
+			.filter((column) => column !== 'hash')
+			.concat('receipt_fields')
+			.map((column) => `"${column}" = EXCLUDED."${column}"`)
+			.join(',\n\t\t\t\t');
+
+		return {
+			text: `
+				INSERT INTO
+					transaction (${columnList('transaction')})
+				SELECT
+					${columnList('transaction')}
+				FROM
+					staging_transaction
+				ON CONFLICT (hash) DO UPDATE SET
+					${updates};
+			`
+		}
+	}
+
+	static mergeBlobHashes() {
+		return {
+			text: `
+				INSERT INTO
+					blob_hash (${columnList('blob_hash')})
+				SELECT
+					${columnList('blob_hash')}
+				FROM
+					staging_blob_hash
+				ON CONFLICT (transaction_hash, "index") DO UPDATE SET
+					versioned_hash = EXCLUDED.versioned_hash;
+			`
+		}
+	}
+
+	static mergeTraces() {
+		return {
+			text: `
+				INSERT INTO
+					trace (${columnList('trace')})
+				SELECT
+					${columnList('trace')}
+				FROM
+					staging_trace
+				ON CONFLICT (transaction_hash, trace_address) DO NOTHING;
+			`
+		}
+	}
+
+	static mergeLogs() {
+		return {
+			text: `
+				INSERT INTO
+					log (${columnList('log')})
+				SELECT
+					${columnList('log')}
+				FROM
+					staging_log
+				ORDER BY
+					block_number ASC,
+					log_index ASC;
+			`
+		}
+	}
+
+	// Set-based replacement for the t_insert_address_on_* triggers
+	static reconcileAddresses() {
+		return {
+			text: `
+				INSERT INTO
+					address (address)
+				SELECT miner FROM staging_block WHERE miner IS NOT NULL
+				UNION
+				SELECT "from" FROM staging_transaction WHERE "from" IS NOT NULL
+				UNION
+				SELECT "to" FROM staging_transaction WHERE "to" IS NOT NULL
+				UNION
+				SELECT contract_address FROM staging_transaction WHERE contract_address IS NOT NULL
+				ON CONFLICT (address) DO NOTHING;
+			`
+		}
+	}
+
+	static reconcileEventTransferAddresses() {
+		return {
+			text: `
+				INSERT INTO
+					address (address)
+				SELECT et."to" FROM ${STAGED_EVENT_TRANSFERS} WHERE et."to" IS NOT NULL
+				UNION
+				SELECT et."from" FROM ${STAGED_EVENT_TRANSFERS} WHERE et."from" IS NOT NULL
+				ON CONFLICT (address) DO NOTHING;
+			`
+		}
+	}
+
+	// Set-based replacement for the t_update_asset_owner trigger
+	static deleteAssetOwners() {
+		return {
+			text: `
+				DELETE FROM
+					asset_owner
+				WHERE
+					(blockchain_id, contract_address) IN (
+						SELECT DISTINCT et.blockchain_id, et.contract_address FROM ${STAGED_EVENT_TRANSFERS}
+					);
+			`
+		}
+	}
+
+	static rebuildAssetOwners() {
+		return {
+			text: `
+				INSERT INTO
+					asset_owner (blockchain_id, contract_address, owner, id, value)
+				SELECT
+					blockchain_id,
+					contract_address,
+					address AS owner,
+					id,
+					SUM(COALESCE(input, 0) - COALESCE(output, 0)) AS value
+				FROM
+					event_transfer_owner
+				WHERE
+					(blockchain_id, contract_address) IN (
+						SELECT DISTINCT et.blockchain_id, et.contract_address FROM ${STAGED_EVENT_TRANSFERS}
+					)
+				GROUP BY
+					blockchain_id,
+					contract_address,
+					address,
+					id;
+			`
+		}
+	}
+
+	static getStagedContractLogs(blockchain_id) {
+		return {
+			text: `
+				SELECT
+					l.*,
+					cm.standard,
+					cm.abi
+				FROM
+					log l
+				JOIN
+					staging_transaction st ON
+						st.hash = l.transaction_hash
+				JOIN
+					contract_meta cm ON
+						cm.blockchain_id = $1 AND
+						cm.address = l.address
+				ORDER BY
+					l.log_id ASC;
+			`,
+			values: [
+				blockchain_id
+			]
+		}
+	}
+}
+
+module.exports = BulkQueries;
@@ -0,0 +1,61 @@
+class CheckpointQueries {
+	static getCheckpoint(
+		blockchain_id,
+		job
+	) {
+		return {
+			text: `
+				SELECT
+					*
+				FROM
+					sync_checkpoint
+				WHERE
+					blockchain_id = $1 AND
+					job = $2;
+			`,
+			values: [
+				blockchain_id,
+				job
+			]
+		}
+	}
+
+	// Jobs with an end are marked complete once next_position reaches it
+	static saveCheckpoint(
+		blockchain_id,
+		job,
+		next_position,
+		end_position
+	) {
+		return {
+			text: `
+				INSERT INTO
+					sync_checkpoint (
+						blockchain_id,
+						job,
+						next_position,
+						end_position,
+						completed_time
+					)
+				VALUES (
+					$1, $2, $3, $4,
+					CASE WHEN $4::BIGINT IS NOT NULL AND $3 >= $4 THEN NOW() END
+				)
+				ON CONFLICT (blockchain_id, job) DO UPDATE SET
+					next_position = EXCLUDED.next_position,
+					end_position = EXCLUDED.end_position,
+					completed_time = EXCLUDED.completed_time,
+					updated_time = NOW()
+				RETURNING *;
+			`,
+			values: [
+				blockchain_id,
+				job,
+				next_position,
+				end_position
+			]
+		}
+	}
+}
+
+module.exports = CheckpointQueries;
@@ -71,25 +71,32 @@ class ContractQueries {
 	}
 
 	static getContractCode(
+		blockchain_id,
 		address
 	) {
 		return {
 			text: `
 				SELECT
-					contract_address,
-					input
+					t.contract_address,
+					t.input
 				FROM
-					transaction
+					transaction t
+				JOIN
+					block b ON
+						b.hash = t.block_hash
 				WHERE
-					contract_address = $1;
+					b.blockchain_id = $1 AND
+					t.contract_address = $2;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(address)
 			]
 		}
 	}
 
 	static getTokenUriInfo(
+		blockchain_id,
 		address
 	) {
 		return {
@@ -102,15 +109,19 @@ class ContractQueries {
 				FROM
 					contract_meta
 				WHERE
-					address = $1;
+					blockchain_id = $1 AND
+					address = $2;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(address)
 			]
 		}
 	}
 
+	// The contract's creation is only looked for on the same blockchain
 	static getContractMeta(
+		blockchain_id,
 		address
 	) {
 		return {
@@ -122,23 +133,47 @@ class ContractQueries {
 					t.hash AS created_transaction_hash
 				FROM
 					contract_meta cm
-				LEFT JOIN
-					transaction t ON
-						t.contract_address = cm.address
-				LEFT JOIN
-					block b ON
-						b.hash = t.block_hash
+				LEFT JOIN (
+					transaction t
+					JOIN
+						block b ON
+							b.hash = t.block_hash
+				) ON
+					t.contract_address = cm.address AND
+					b.blockchain_id = cm.blockchain_id
 				WHERE
-					cm.address = $1 OR
-					t.contract_address = $1;
+					cm.blockchain_id = $1 AND
+					cm.address = $2;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(address)
 			]
 		}
 	}
 
+	static getContractMetaAddresses(
+		blockchain_id
+	) {
+		return {
+			text: `
+				SELECT
+					address
+				FROM
+					contract_meta
+				WHERE
+					blockchain_id = $1
+				ORDER BY
+					contract_meta_id ASC;
+			`,
+			values: [
+				blockchain_id
+			]
+		}
+	}
+
 	static getContractMetaForLogSets(
+		blockchain_id,
 		logSets
 	) {
 		let addresses = [];
@@ -159,23 +194,27 @@ class ContractQueries {
 					t.hash AS created_transaction_hash
 				FROM
 					contract_meta cm
-				LEFT JOIN
-					transaction t ON
-						t.contract_address = cm.address
-				LEFT JOIN
-					block b ON
-						b.hash = t.block_hash
+				LEFT JOIN (
+					transaction t
+					JOIN
+						block b ON
+							b.hash = t.block_hash
+				) ON
+					t.contract_address = cm.address AND
+					b.blockchain_id = cm.blockchain_id
 				WHERE
-					cm.address = ANY($1) OR
-					t.contract_address = ANY($1);
+					cm.blockchain_id = $1 AND
+					cm.address = ANY($2);
 			`,
 			values: [
+				blockchain_id,
 				addresses
 			]
 		}
 	}
 
 	static upsertContractMeta(
+		blockchain_id,
 		address,
 		standard,
 		abi,
@@ -190,6 +229,7 @@ class ContractQueries {
 			text: `
 				INSERT INTO
 					contract_meta (
+						blockchain_id,
 						address,
 						standard,
 						abi,
@@ -201,9 +241,9 @@ class ContractQueries {
 						custom_token_uri_headers
 					)
 				VALUES (
-					$1, $2, $3, $4, $5, $6, $7, $8, $9
+					$1, $2, $3, $4, $5, $6, $7, $8, $9, $10
 				)
-				ON CONFLICT (address) DO UPDATE SET
+				ON CONFLICT (blockchain_id, address) DO UPDATE SET
 					standard                 = CASE WHEN EXCLUDED.standard                 IS NOT NULL THEN EXCLUDED.standard                 ELSE contract_meta.standard                 END,
 					abi                      = CASE WHEN EXCLUDED.abi                      IS NOT NULL THEN EXCLUDED.abi                      ELSE contract_meta.abi                      END,
 					name                     = CASE WHEN EXCLUDED.name                     IS NOT NULL THEN EXCLUDED.name                     ELSE contract_meta.name                     END,
@@ -214,6 +254,7 @@ class ContractQueries {
 					custom_token_uri_headers = CASE WHEN EXCLUDED.custom_token_uri_headers IS NOT NULL THEN EXCLUDED.custom_token_uri_headers ELSE contract_meta.custom_token_uri_headers END;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(address),
 				standard,
 				abi,
@@ -228,6 +269,7 @@ class ContractQueries {
 	}
 
 	static updateContractCustomMeta(
+		blockchain_id,
 		address,
 		custom_name,
 		token_uri_json_interface,
@@ -240,15 +282,17 @@ class ContractQueries {
 				UPDATE
 					contract_meta
 				SET
-					custom_name = CASE WHEN $2::text IS NOT NULL THEN $2::text ELSE contract_meta.custom_name END,
-					token_uri_json_interface = CASE WHEN $3::jsonb IS NOT NULL THEN $3 ELSE contract_meta.token_uri_json_interface END,
-					token_uri_json_interface_parameters = CASE WHEN $4::jsonb IS NOT NULL THEN $4 ELSE contract_meta.token_uri_json_interface_parameters END,
-					custom_token_uri = CASE WHEN $5::text IS NOT NULL THEN $5::text ELSE contract_meta.custom_token_uri END,
-					custom_token_uri_headers = CASE WHEN $6::jsonb IS NOT NULL THEN $6 ELSE contract_meta.custom_token_uri_headers END
+					custom_name = CASE WHEN $3::text IS NOT NULL THEN $3::text ELSE contract_meta.custom_name END,
+					token_uri_json_interface = CASE WHEN $4::jsonb IS NOT NULL THEN $4 ELSE contract_meta.token_uri_json_interface END,
+					token_uri_json_interface_parameters = CASE WHEN $5::jsonb IS NOT NULL THEN $5 ELSE contract_meta.token_uri_json_interface_parameters END,
+					custom_token_uri = CASE WHEN $6::text IS NOT NULL THEN $6::text ELSE contract_meta.custom_token_uri END,
+					custom_token_uri_headers = CASE WHEN $7::jsonb IS NOT NULL THEN $7 ELSE contract_meta.custom_token_uri_headers END
 				WHERE
-					address = $1;
+					blockchain_id = $1 AND
+					address = $2;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(address),
 				custom_name,
 				token_uri_json_interface ? JSON.stringify(token_uri_json_interface) : null,
@@ -44,6 +44,7 @@ class EventQueries {
 	}
 
 	static insertEventTransfer(
+		blockchain_id,
 		event_id,
 		contract_address,
 		_to,
@@ -55,14 +56,15 @@ class EventQueries {
 			text: `
 				INSERT INTO
 					event_transfer (
-						event_id, contract_address, "to", "from", id, value
+						blockchain_id, event_id, contract_address, "to", "from", id, value
 					)
 				VALUES (
-					$1, $2, $3, $4, $5, $6
+					$1, $2, $3, $4, $5, $6, $7
 				)
 				ON CONFLICT DO NOTHING;
 			`,
 			values: [
+				blockchain_id,
 				event_id,
 				hexToBytea(contract_address),
 				hexToBytea(_to),
@@ -74,6 +76,7 @@ class EventQueries {
 	}
 
 	static getMostRecentContractEvent(
+		blockchain_id,
 		address
 	) {
 		return {
@@ -88,19 +91,72 @@ class EventQueries {
 					block b
 				WHERE
 					e.log_id = l.log_id AND
-					l.address = $1 AND
+					l.address = $2 AND
 					t.hash = l.transaction_hash AND
-					b.hash = t.block_hash
+					b.hash = t.block_hash AND
+					b.blockchain_id = $1
 				ORDER BY
 					e.log_id DESC
 				LIMIT
 					1;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(address)
 			]
 		}
 	}
-}      
+
+	static getEvents(
+		blockchain_id,
+		address,
+		name,
+		limit,
+		offset,
+		finality = null
+	) {
+		return {
+			text: `
+				SELECT
+					e.*,
+					l.address,
+					l.log_index,
+					l.transaction_hash,
+					b.number AS block_number,
+					b.hash AS block_hash
+				FROM
+					event e
+				JOIN
+					log l ON
+						l.log_id = e.log_id
+				JOIN
+					transaction t ON
+						t.hash = l.transaction_hash
+				JOIN
+					block b ON
+						b.hash = t.block_hash
+				WHERE
+					b.blockchain_id = $1 AND
+					($2::bytea IS NULL OR l.address = $2) AND
+					($3::text IS NULL OR e.name = $3) AND
+					($6::block_finality[] IS NULL OR b.finality = ANY($6))
+				ORDER BY
+					e.log_id DESC
+				LIMIT
+					$4
+				OFFSET
+					$5;
+			`,
+			values: [
+				blockchain_id,
+				hexToBytea(address) || null,
+				name || null,
+				limit,
+				offset,
+				finality
+			]
+		}
+	}
+}
 
 module.exports = EventQueries;
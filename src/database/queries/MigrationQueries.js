@@ -0,0 +1,90 @@
+// Any constant works, it only has to be the same for every migration runner
+const MIGRATION_LOCK_ID = 7346519;
+
+class MigrationQueries {
+	static createMigrationsTable() {
+		return {
+			text: `
+				CREATE TABLE IF NOT EXISTS schema_migrations (
+					"version"      TEXT PRIMARY KEY,
+					"checksum"     TEXT NOT NULL,
+					"applied_time" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+					"execution_ms" INTEGER,
+					"baseline"     BOOLEAN NOT NULL DEFAULT FALSE
+				);
+			`
+		}
+	}
+
+	static getAppliedMigrations() {
+		return {
+			text: `
+				SELECT
+					*
+				FROM
+					schema_migrations
+				ORDER BY
+					version ASC;
+			`
+		}
+	}
+
+	// Whether the schema predates the migration runner, i.e. it has tables but none of them were migrated
+	static getSchemaState() {
+		return {
+			text: `
+				SELECT
+					to_regclass('schema_migrations') IS NOT NULL AS has_migrations_table,
+					to_regclass('blockchain') IS NOT NULL AS has_schema;
+			`
+		}
+	}
+
+	static addMigration(
+		version,
+		checksum,
+		execution_ms,
+		baseline = false
+	) {
+		return {
+			text: `
+				INSERT INTO
+					schema_migrations (
+						version,
+						checksum,
+						execution_ms,
+						baseline
+					)
+				VALUES (
+					$1,
+					$2,
+					$3,
+					$4
+				);
+			`,
+			values: [
+				version,
+				checksum,
+				execution_ms,
+				baseline
+			]
+		}
+	}
+
+	// Held for the whole run so two runners never apply the same migration
+	static lock() {
+		return {
+			text: `SELECT pg_advisory_lock($1);`,
+			values: [MIGRATION_LOCK_ID]
+		}
+	}
+
+	static unlock() {
+		return {
+			text: `SELECT pg_advisory_unlock($1);`,
+			values: [MIGRATION_LOCK_ID]
+		}
+	}
+}
+
+module.exports = MigrationQueries;
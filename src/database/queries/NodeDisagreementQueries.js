@@ -0,0 +1,45 @@
+const hexToBytea = require('../../util/hexToBytea.js');
+
+class NodeDisagreementQueries {
+	static addDisagreements(
+		blockchain_id,
+		disagreements
+	) {
+		let values = [], numbers = [];
+
+		let number = 0;
+		for (let disagreement of disagreements) {
+			values.push(
+				blockchain_id,
+				disagreement.number,
+				disagreement.field,
+				disagreement.expected_endpoint,
+				hexToBytea(disagreement.expected_value),
+				disagreement.endpoint,
+				hexToBytea(disagreement.value)
+			);
+
+			numbers.push(`(\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number})`);
+		}
+
+		return {
+			text: `
+				INSERT INTO
+					node_disagreement (
+						blockchain_id,
+						number,
+						field,
+						expected_endpoint,
+						expected_value,
+						endpoint,
+						value
+					)
+				VALUES ${numbers.join(',')}
+				ON CONFLICT DO NOTHING;
+			`,
+			values: values
+		}
+	}
+}
+
+module.exports = NodeDisagreementQueries;
@@ -0,0 +1,40 @@
+const hexToBytea = require('../../util/hexToBytea.js');
+
+class ReorgQueries {
+	static addReorg(
+		blockchain_id,
+		detected_number,
+		common_ancestor_number,
+		depth,
+		old_head_hash,
+		new_block_hash
+	) {
+		return {
+			text: `
+				INSERT INTO
+					reorg (
+						blockchain_id,
+						detected_number,
+						common_ancestor_number,
+						depth,
+						old_head_hash,
+						new_block_hash
+					)
+				VALUES (
+					$1, $2, $3, $4, $5, $6
+				)
+				RETURNING *;
+			`,
+			values: [
+				blockchain_id,
+				detected_number,
+				common_ancestor_number,
+				depth,
+				hexToBytea(old_head_hash),
+				hexToBytea(new_block_hash)
+			]
+		}
+	}
+}
+
+module.exports = ReorgQueries;
@@ -0,0 +1,116 @@
+const hexToBytea = require('../../util/hexToBytea.js');
+const hexToNumeric = require('../../util/hexToNumeric.js');
+
+class TraceQueries {
+	static addTraces(
+		traces
+	) {
+		let values = [], numbers = [];
+
+		let number = 0;
+		for (let trace of traces) {
+			values.push(
+				hexToBytea(trace.transaction_hash),
+				trace.trace_address,
+				trace.type,
+				hexToBytea(trace.from),
+				hexToBytea(trace.to),
+				hexToNumeric(trace.value),
+				hexToNumeric(trace.gas),
+				hexToNumeric(trace.gas_used),
+				hexToBytea(trace.input),
+				hexToBytea(trace.output),
+				trace.error,
+				trace.subtraces
+			);
+
+			let placeholders = [];
+			for (let idx = 0; idx < 12; idx++) {
+				placeholders.push(`\$${++number}`);
+			}
+
+			numbers.push(`(${placeholders.join(',')})`);
+		}
+
+		return {
+			text: `
+				INSERT INTO
+					trace (
+						transaction_hash,
+						trace_address,
+						type,
+						"from",
+						"to",
+						value,
+						gas,
+						gas_used,
+						input,
+						output,
+						error,
+						subtraces
+					)
+				VALUES ${numbers.join(',')}
+				ON CONFLICT (transaction_hash, trace_address) DO NOTHING;
+			`,
+			values: values
+		}
+	}
+
+	// Traces hang off the transactions, which may have moved in from another block
+	static deleteTracesByBlockHash(
+		block_hash
+	) {
+		return {
+			text: `
+				DELETE FROM
+					trace
+				WHERE
+					transaction_hash IN (
+						SELECT
+							hash
+						FROM
+							transaction
+						WHERE
+							block_hash = $1
+					);
+			`,
+			values: [
+				hexToBytea(block_hash)
+			]
+		}
+	}
+
+	static getTransactionTraces(
+		blockchain_id,
+		transaction_hash,
+		finality = null
+	) {
+		return {
+			text: `
+				SELECT
+					tr.*
+				FROM
+					trace tr
+				JOIN
+					transaction t ON
+						t.hash = tr.transaction_hash
+				JOIN
+					block b ON
+						b.hash = t.block_hash
+				WHERE
+					b.blockchain_id = $1 AND
+					tr.transaction_hash = $2 AND
+					($3::block_finality[] IS NULL OR b.finality = ANY($3))
+				ORDER BY
+					tr.trace_address ASC;
+			`,
+			values: [
+				blockchain_id,
+				hexToBytea(transaction_hash),
+				finality
+			]
+		}
+	}
+}
+
+module.exports = TraceQueries;
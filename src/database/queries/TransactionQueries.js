@@ -1,4 +1,37 @@
 const hexToBytea = require('../../util/hexToBytea.js');
+const hexToNumeric = require('../../util/hexToNumeric.js');
+
+const TRANSACTION_COLUMN_COUNT = 26;
+
+// Every column but the hash is replaced when a transaction is re-stored,
+// receipt_fields takes its default as the receipt was stored along with it
+const TRANSACTION_UPSERT_SET = `
+					block_hash = EXCLUDED.block_hash,
+					nonce = EXCLUDED.nonce,
+					transaction_index = EXCLUDED.transaction_index,
+					"from" = EXCLUDED.from,
+					"to" = EXCLUDED.to,
+					value = EXCLUDED.value,
+					gas_price = EXCLUDED.gas_price,
+					gas = EXCLUDED.gas,
+					input = EXCLUDED.input,
+					status = EXCLUDED.status,
+					contract_address = EXCLUDED.contract_address,
+					v = EXCLUDED.v,
+					r = EXCLUDED.r,
+					s = EXCLUDED.s,
+					type = EXCLUDED.type,
+					chain_id = EXCLUDED.chain_id,
+					max_fee_per_gas = EXCLUDED.max_fee_per_gas,
+					max_priority_fee_per_gas = EXCLUDED.max_priority_fee_per_gas,
+					access_list = EXCLUDED.access_list,
+					effective_gas_price = EXCLUDED.effective_gas_price,
+					gas_used = EXCLUDED.gas_used,
+					cumulative_gas_used = EXCLUDED.cumulative_gas_used,
+					max_fee_per_blob_gas = EXCLUDED.max_fee_per_blob_gas,
+					blob_gas_used = EXCLUDED.blob_gas_used,
+					blob_gas_price = EXCLUDED.blob_gas_price,
+					receipt_fields = EXCLUDED.receipt_fields`;
 
 class TransactionQueries {
 	static addTransaction(
@@ -16,7 +49,18 @@ class TransactionQueries {
 		contract_address,
 		v,
 		r,
-		s
+		s,
+		type,
+		chain_id,
+		max_fee_per_gas,
+		max_priority_fee_per_gas,
+		access_list,
+		effective_gas_price,
+		gas_used,
+		cumulative_gas_used,
+		max_fee_per_blob_gas,
+		blob_gas_used,
+		blob_gas_price
 	) {
 		return {
 			text: `
@@ -36,7 +80,18 @@ class TransactionQueries {
 						contract_address,
 						v,
 						r,
-						s
+						s,
+						type,
+						chain_id,
+						max_fee_per_gas,
+						max_priority_fee_per_gas,
+						access_list,
+						effective_gas_price,
+						gas_used,
+						cumulative_gas_used,
+						max_fee_per_blob_gas,
+						blob_gas_used,
+						blob_gas_price
 					)
 				VALUES (
 					$1,
@@ -53,23 +108,21 @@ class TransactionQueries {
 					$12,
 					$13,
 					$14,
-					$15
+					$15,
+					$16,
+					$17,
+					$18,
+					$19,
+					$20,
+					$21,
+					$22,
+					$23,
+					$24,
+					$25,
+					$26
 				)
 				ON CONFLICT (hash) DO UPDATE SET
-					block_hash = EXCLUDED.block_hash,
-					nonce = EXCLUDED.nonce,
-					transaction_index = EXCLUDED.transaction_index,
-					"from" = EXCLUDED.from,
-					"to" = EXCLUDED.to,
-					value = EXCLUDED.value,
-					gas_price = EXCLUDED.gas_price,
-					gas = EXCLUDED.gas,
-					input = EXCLUDED.input,
-					status = EXCLUDED.status,
-					contract_address = EXCLUDED.contract_address,
-					v = EXCLUDED.v,
-					r = EXCLUDED.r,
-					s = EXCLUDED.s
+					${TRANSACTION_UPSERT_SET}
 				RETURNING *;
 			`,
 			values: [
@@ -87,7 +140,18 @@ class TransactionQueries {
 				hexToBytea(contract_address),
 				hexToBytea(v),
 				hexToBytea(r),
-				hexToBytea(s)
+				hexToBytea(s),
+				hexToNumeric(type),
+				hexToNumeric(chain_id),
+				hexToNumeric(max_fee_per_gas),
+				hexToNumeric(max_priority_fee_per_gas),
+				access_list ? JSON.stringify(access_list) : null,
+				hexToNumeric(effective_gas_price),
+				hexToNumeric(gas_used),
+				hexToNumeric(cumulative_gas_used),
+				hexToNumeric(max_fee_per_blob_gas),
+				hexToNumeric(blob_gas_used),
+				hexToNumeric(blob_gas_price)
 			]
 		}
 	}
@@ -119,9 +183,26 @@ class TransactionQueries {
 				hexToBytea(receipt.contractAddress),
 				hexToBytea(transaction.v),
 				hexToBytea(transaction.r),
-				hexToBytea(transaction.s)
+				hexToBytea(transaction.s),
+				hexToNumeric(transaction.type),
+				hexToNumeric(transaction.chainId),
+				hexToNumeric(transaction.maxFeePerGas),
+				hexToNumeric(transaction.maxPriorityFeePerGas),
+				transaction.accessList ? JSON.stringify(transaction.accessList) : null,
+				hexToNumeric(receipt.effectiveGasPrice),
+				hexToNumeric(receipt.gasUsed),
+				hexToNumeric(receipt.cumulativeGasUsed),
+				hexToNumeric(transaction.maxFeePerBlobGas),
+				hexToNumeric(receipt.blobGasUsed),
+				hexToNumeric(receipt.blobGasPrice)
 			);
-			numbers.push(`(\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number},\$${++number})`);
+
+			let placeholders = [];
+			for (let idx = 0; idx < TRANSACTION_COLUMN_COUNT; idx++) {
+				placeholders.push(`\$${++number}`);
+			}
+
+			numbers.push(`(${placeholders.join(',')})`);
 		}
 
 		return {
@@ -142,24 +223,22 @@ class TransactionQueries {
 						contract_address,
 						v,
 						r,
-						s
+						s,
+						type,
+						chain_id,
+						max_fee_per_gas,
+						max_priority_fee_per_gas,
+						access_list,
+						effective_gas_price,
+						gas_used,
+						cumulative_gas_used,
+						max_fee_per_blob_gas,
+						blob_gas_used,
+						blob_gas_price
 					)
 				VALUES ${numbers.join(',')}
 				ON CONFLICT (hash) DO UPDATE SET
-					block_hash = EXCLUDED.block_hash,
-					nonce = EXCLUDED.nonce,
-					transaction_index = EXCLUDED.transaction_index,
-					"from" = EXCLUDED.from,
-					"to" = EXCLUDED.to,
-					value = EXCLUDED.value,
-					gas_price = EXCLUDED.gas_price,
-					gas = EXCLUDED.gas,
-					input = EXCLUDED.input,
-					status = EXCLUDED.status,
-					contract_address = EXCLUDED.contract_address,
-					v = EXCLUDED.v,
-					r = EXCLUDED.r,
-					s = EXCLUDED.s
+					${TRANSACTION_UPSERT_SET}
 				RETURNING *;
 			`,
 			values: values
@@ -167,6 +246,42 @@ class TransactionQueries {
 	}
 
 
+	static addBlobHashes(
+		transactions
+	) {
+		let values = [], numbers = [];
+
+		let number = 0;
+		for (let transaction of transactions) {
+			let hashes = transaction.blobVersionedHashes || [];
+			for (let idx = 0; idx < hashes.length; idx++) {
+				values.push(
+					hexToBytea(transaction.hash),
+					idx,
+					hexToBytea(hashes[idx])
+				);
+
+				numbers.push(`(\$${++number},\$${++number},\$${++number})`);
+			}
+		}
+
+		return {
+			text: `
+				INSERT INTO
+					blob_hash (
+						transaction_hash,
+						"index",
+						versioned_hash
+					)
+				VALUES ${numbers.join(',')}
+				ON CONFLICT (transaction_hash, "index") DO UPDATE SET
+					versioned_hash = EXCLUDED.versioned_hash;
+			`,
+			values: values
+		}
+	}
+
+
 	static addLog(
 		transaction_hash,
 		block_number,
@@ -380,7 +495,116 @@ class TransactionQueries {
 		}
 	}
 
+	static getBlockchainTransactionByHash(
+		blockchain_id,
+		transaction_hash,
+		finality = null
+	) {
+		return {
+			text: `
+				SELECT
+					t.*,
+					b.number AS block_number
+				FROM
+					transaction t
+				JOIN
+					block b ON
+						b.hash = t.block_hash
+				WHERE
+					b.blockchain_id = $1 AND
+					t.hash = $2 AND
+					($3::block_finality[] IS NULL OR b.finality = ANY($3));
+			`,
+			values: [
+				blockchain_id,
+				hexToBytea(transaction_hash),
+				finality
+			]
+		}
+	}
+
+	static getBlockTransactions(
+		block_hash,
+		limit,
+		offset
+	) {
+		return {
+			text: `
+				SELECT
+					*
+				FROM
+					transaction
+				WHERE
+					block_hash = $1
+				ORDER BY
+					transaction_index ASC
+				LIMIT
+					$2
+				OFFSET
+					$3;
+			`,
+			values: [
+				hexToBytea(block_hash),
+				limit,
+				offset
+			]
+		}
+	}
+
+	static getLogs(
+		blockchain_id,
+		address,
+		topics,
+		limit,
+		offset,
+		finality = null
+	) {
+		topics = topics || [];
+
+		return {
+			text: `
+				SELECT
+					l.*,
+					b.hash AS block_hash
+				FROM
+					log l
+				JOIN
+					transaction t ON
+						t.hash = l.transaction_hash
+				JOIN
+					block b ON
+						b.hash = t.block_hash
+				WHERE
+					b.blockchain_id = $1 AND
+					($2::bytea IS NULL OR l.address = $2) AND
+					($3::bytea IS NULL OR l.topic_0 = $3) AND
+					($4::bytea IS NULL OR l.topic_1 = $4) AND
+					($5::bytea IS NULL OR l.topic_2 = $5) AND
+					($6::bytea IS NULL OR l.topic_3 = $6) AND
+					($9::block_finality[] IS NULL OR b.finality = ANY($9))
+				ORDER BY
+					l.log_id DESC
+				LIMIT
+					$7
+				OFFSET
+					$8;
+			`,
+			values: [
+				blockchain_id,
+				hexToBytea(address) || null,
+				hexToBytea(topics[0]) || null,
+				hexToBytea(topics[1]) || null,
+				hexToBytea(topics[2]) || null,
+				hexToBytea(topics[3]) || null,
+				limit,
+				offset,
+				finality
+			]
+		}
+	}
+
 	static getTransactionLogs(
+		blockchain_id,
 		transaction_hash
 	) {
 		return {
@@ -391,19 +615,126 @@ class TransactionQueries {
 					cm.abi
 				FROM
 					log l
+				JOIN
+					transaction t ON
+						t.hash = l.transaction_hash
+				JOIN
+					block b ON
+						b.hash = t.block_hash
 				LEFT JOIN
 					contract_meta cm ON
+						cm.blockchain_id = b.blockchain_id AND
 						cm.address = l.address
 				WHERE
-					l.transaction_hash = $1
+					b.blockchain_id = $1 AND
+					l.transaction_hash = $2
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(transaction_hash)
 			]
 		}
 	}
 
+	static getTransactionsInBlockRange(
+		blockchain_id,
+		start_number,
+		end_number
+	) {
+		return {
+			text: `
+				SELECT
+					t.*
+				FROM
+					transaction t
+				JOIN
+					block b ON
+						b.hash = t.block_hash
+				WHERE
+					b.blockchain_id = $1 AND
+					b.number >= $2 AND
+					b.number < $3
+				ORDER BY
+					t.block_hash ASC,
+					t.transaction_index ASC;
+			`,
+			values: [
+				blockchain_id,
+				start_number,
+				end_number
+			]
+		}
+	}
+
+	static getLogsInBlockRange(
+		blockchain_id,
+		start_number,
+		end_number
+	) {
+		return {
+			text: `
+				SELECT
+					l.*,
+					t.block_hash
+				FROM
+					log l
+				JOIN
+					transaction t ON
+						t.hash = l.transaction_hash
+				JOIN
+					block b ON
+						b.hash = t.block_hash
+				WHERE
+					b.blockchain_id = $1 AND
+					b.number >= $2 AND
+					b.number < $3
+				ORDER BY
+					t.block_hash ASC,
+					l.log_index ASC;
+			`,
+			values: [
+				blockchain_id,
+				start_number,
+				end_number
+			]
+		}
+	}
+
+	static getBlobHashesInBlockRange(
+		blockchain_id,
+		start_number,
+		end_number
+	) {
+		return {
+			text: `
+				SELECT
+					bh.*
+				FROM
+					blob_hash bh
+				JOIN
+					transaction t ON
+						t.hash = bh.transaction_hash
+				JOIN
+					block b ON
+						b.hash = t.block_hash
+				WHERE
+					b.blockchain_id = $1 AND
+					b.number >= $2 AND
+					b.number < $3
+				ORDER BY
+					bh.transaction_hash ASC,
+					bh.index ASC;
+			`,
+			values: [
+				blockchain_id,
+				start_number,
+				end_number
+			]
+		}
+	}
+
 	static getTransactionLogsByContractInBlockRange(
+		blockchain_id,
 		address,
 		start_block,
 		end_block
@@ -422,15 +753,18 @@ class TransactionQueries {
 				JOIN
 					block b ON
 						b.hash = t.block_hash AND
-						b.number >= $2 AND
-						b.number < $3
+						b.blockchain_id = $1 AND
+						b.number >= $3 AND
+						b.number < $4
 				LEFT JOIN
 					contract_meta cm ON
+						cm.blockchain_id = b.blockchain_id AND
 						cm.address = l.address
 				WHERE
-					l.address = $1
+					l.address = $2
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(address),
 				start_block,
 				end_block
@@ -439,6 +773,7 @@ class TransactionQueries {
 	}
 
 	static getTransactionLogsByContractInLogRange(
+		blockchain_id,
 		address,
 		start_log_id,
 		end_log_id
@@ -451,15 +786,24 @@ class TransactionQueries {
 					cm.abi
 				FROM
 					log l
+				JOIN
+					transaction t ON
+						t.hash = l.transaction_hash
+				JOIN
+					block b ON
+						b.hash = t.block_hash AND
+						b.blockchain_id = $1
 				LEFT JOIN
 					contract_meta cm ON
+						cm.blockchain_id = b.blockchain_id AND
 						cm.address = l.address
 				WHERE
-					l.address = $1 AND
-					l.log_id >= $2 AND
-					l.log_id < $3;
+					l.address = $2 AND
+					l.log_id >= $3 AND
+					l.log_id < $4;
 			`,
 			values: [
+				blockchain_id,
 				hexToBytea(address),
 				start_log_id,
 				end_log_id
@@ -507,6 +851,38 @@ class TransactionQueries {
 		}
 	}
 
+	// Fills in log.block_number for the logs of a block stored before the column existed
+	static setLogBlockNumbers(
+		blockchain_id,
+		block_number
+	) {
+		return {
+			text: `
+				UPDATE log
+				SET block_number = sq.block_number
+				FROM (
+					SELECT
+						l.log_id,
+						b.number AS block_number
+					FROM
+						block b
+					JOIN
+						transaction t ON t.block_hash = b.hash
+					JOIN
+						log l ON l.transaction_hash = t.hash
+					WHERE
+						b.blockchain_id = $1 AND
+						b.number = $2
+				) AS sq
+				WHERE sq.log_id = log.log_id;
+			`,
+			values: [
+				blockchain_id,
+				block_number
+			]
+		}
+	}
+
 	static getMaxLog() {
 		return {
 			text : `
@@ -0,0 +1,143 @@
+const os = require('os');
+
+const BackfillQueries = require('../database/queries/BackfillQueries.js');
+
+const CacheMonitor = require('./CacheMonitor.js');
+const Checkpoint = require('../classes/Checkpoint.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Logger = require('../classes/Logger.js');
+const { IngestError } = require('../classes/Errors.js');
+
+class BackfillWorker {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.evmClient = options.client;
+		this.worker_id = options.worker_id || `${os.hostname()}:${process.pid}`;
+		this.leaseSeconds = options.leaseSeconds || 300;
+		this.Client = null; // Covered in start()
+		this.log = new Logger({ blockchain_id : this.blockchain_id, worker_id : this.worker_id });
+
+		// Tries at a block before the range is given back and the worker stops
+		this.attempts = options.attempts || 5;
+		this.retryDelay = 5000;
+
+		// Reuse the monitor's storage logic for every block
+		this.cm = new CacheMonitor({
+			blockchain_id : this.blockchain_id,
+			client : this.evmClient,
+			startBlockOverride : false,
+			endBlockOverride : false
+		});
+	}
+
+	async start() {
+		this.Client = await this.cm.connect();
+
+		this.log.info('Backfill worker started');
+
+		let range;
+		try {
+			while (!Lifecycle.isStopping() && (range = await this.claimRange())) {
+				await this.backfillRange(range);
+			}
+		} finally {
+			this.Client.release();
+		}
+
+		if (Lifecycle.isStopping()) {
+			this.log.info('Backfill worker shutting down, its lease runs out on its own');
+		} else {
+			this.log.info('Backfill worker found no ranges left to claim');
+		}
+	}
+
+	async claimRange() {
+		let result = await this.Client.query(BackfillQueries.claimRange(
+			this.blockchain_id,
+			this.worker_id,
+			this.leaseSeconds
+		));
+
+		return result && result.rowCount ? result.rows[0] : null;
+	}
+
+	async backfillRange(range) {
+		let start_number = parseInt(range.next_number, 10);
+		let end_number = parseInt(range.end_number, 10);
+
+		// The range records progress when its lease is renewed before a block, the checkpoint after every block
+		let checkpoint = new Checkpoint({
+			blockchain_id : this.blockchain_id,
+			job : Checkpoint.rangeJob('backfill', range.start_number, end_number),
+			end_position : end_number
+		});
+
+		let next_number = await checkpoint.load(this.Client);
+		if (next_number !== null && next_number > start_number) {
+			start_number = Math.min(next_number, end_number);
+		}
+
+		this.log.info('Claimed backfill range', { backfill_range_id : range.backfill_range_id, start_number, end_number });
+
+		for (let block_number = start_number; block_number < end_number; block_number++) {
+			for (let attempt = 1; ; attempt++) {
+				// Every try has to hold the lease, or another worker may have claimed the range since
+				if (!(await this.renewLease(range, block_number))) {
+					this.log.warn('Lost the lease on backfill range', { backfill_range_id : range.backfill_range_id, block_number });
+					return;
+				}
+
+				try {
+					await this.cm.ingestBlock(block_number);
+					break;
+				} catch (ex) {
+					// The checkpoint picks this block up again on the next run
+					if (Lifecycle.isStopping()) {
+						return;
+					}
+
+					if (attempt >= this.attempts) {
+						await this.Client.query(BackfillQueries.releaseRange(
+							range.backfill_range_id,
+							this.worker_id,
+							block_number
+						));
+
+						throw new IngestError(`Worker ${this.worker_id} gave up on block #${block_number} after ${attempt} tries and released range ${range.backfill_range_id}: ${ex.message}`, { cause : ex, block_number });
+					}
+
+					this.log.error('Could not ingest block, retrying:', ex, { block_number, attempt, attempts : this.attempts });
+					await Lifecycle.wait(this.retryDelay);
+				}
+			}
+
+			await checkpoint.save(this.Client, block_number + 1);
+		}
+
+		await this.Client.query(BackfillQueries.completeRange(
+			range.backfill_range_id,
+			this.worker_id
+		));
+
+		this.log.info('Completed backfill range', {
+			backfill_range_id : range.backfill_range_id,
+			start_number      : parseInt(range.start_number, 10),
+			end_number
+		});
+	}
+
+	// Extends the lease and records next_number as the range's progress, resolving to
+	// false when the lease ran out and the range isn't this worker's anymore
+	async renewLease(range, next_number) {
+		let renewed = await this.Client.query(BackfillQueries.renewLease(
+			range.backfill_range_id,
+			this.worker_id,
+			next_number,
+			this.leaseSeconds
+		));
+
+		return !!(renewed && renewed.rowCount);
+	}
+}
+
+module.exports = BackfillWorker;
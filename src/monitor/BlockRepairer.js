@@ -0,0 +1,105 @@
+const CacheMonitor = require('./CacheMonitor.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Logger = require('../classes/Logger.js');
+
+// Re-ingests blocks that failed verification: flushes everything stored at
+// their height the way the monitor does on startup, fetches them from the node
+// again and re-runs the caller's check on them
+class BlockRepairer {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.evmClient = options.client;
+		this.Client = null; // Covered in connect()
+		this.log = new Logger({ blockchain_id : this.blockchain_id });
+
+		// Reuse the monitor's flush and storage logic
+		this.cm = new CacheMonitor({
+			blockchain_id : this.blockchain_id,
+			client : this.evmClient,
+			startBlockOverride : false,
+			endBlockOverride : false
+		});
+
+		this.queue = [];
+		this.report = {
+			fixed   : [], // Passed verification after re-ingesting
+			unfixed : [], // Re-ingested, but still failing verification
+			failed  : []  // Could not be re-ingested
+		};
+	}
+
+	async connect() {
+		this.Client = await this.cm.connect();
+		return this.Client;
+	}
+
+	enqueue(block_number) {
+		if (this.queue.indexOf(block_number) === -1) {
+			this.queue.push(block_number);
+		}
+	}
+
+	// Repairs every queued block, resolving to the running report. verify(block_number)
+	// resolves to whether the block now passes. On shutdown the rest stay queued.
+	async repairQueued(verify) {
+		if (!this.Client) {
+			await this.connect();
+		}
+
+		while (this.queue.length && !Lifecycle.isStopping()) {
+			let block_number = this.queue.shift();
+
+			this.log.info('Repairing block', { block_number });
+
+			try {
+				await this.cm.flushBlock(block_number, false);
+				await this.cm.ingestBlock(block_number);
+			} catch (ex) {
+				this.log.error('Could not re-ingest block:', ex, { block_number });
+				this.report.failed.push(block_number);
+				continue;
+			}
+
+			let passes;
+			try {
+				passes = await verify(block_number);
+			} catch (ex) {
+				this.log.error('Could not re-verify block:', ex, { block_number });
+				passes = false;
+			}
+
+			if (passes) {
+				this.log.info('Block repaired', { block_number });
+				this.report.fixed.push(block_number);
+			} else {
+				this.log.warn('Block still fails verification after re-ingesting', { block_number });
+				this.report.unfixed.push(block_number);
+			}
+		}
+
+		return this.report;
+	}
+
+	logReport() {
+		this.log.info('Repair complete', {
+			fixed   : this.report.fixed.length,
+			unfixed : this.report.unfixed.length,
+			failed  : this.report.failed.length
+		});
+
+		for (let status of ['fixed', 'unfixed', 'failed']) {
+			if (this.report[status].length) {
+				this.log.info(`Blocks ${status}`, { block_numbers : this.report[status] });
+			}
+		}
+	}
+
+	release() {
+		if (this.Client) {
+			this.Client.release();
+			this.Client = null;
+		}
+	}
+}
+
+module.exports = BlockRepairer;
@@ -0,0 +1,344 @@
+const hexToBytea = require('../util/hexToBytea.js');
+const hexToNumeric = require('../util/hexToNumeric.js');
+
+const BulkQueries = require('../database/queries/BulkQueries.js');
+const DeleteQueries = require('../database/queries/DeleteQueries.js');
+
+const ContractController = require('../controller/ContractController.js');
+const LogParser = require('../classes/LogParser.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Metrics = require('../classes/Metrics.js');
+const Logger = require('../classes/Logger.js');
+const { IngestError } = require('../classes/Errors.js');
+
+const { performance } = require('perf_hooks');
+
+const STAGING_TABLES = ['block', 'ommer', 'withdrawal', 'transaction', 'blob_hash', 'trace', 'log'];
+
+class BulkIngestor {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.evmClient = options.client;
+		this.quorumVerifier = options.quorumVerifier || null;
+		this.cc = new ContractController(this.evmClient, this.blockchain_id);
+		this.stagingClients = new WeakSet();
+		this.log = new Logger({ blockchain_id : this.blockchain_id });
+	}
+
+	// Ingests blocks [start_number, end_number) in a single database transaction
+	async ingestRange(Client, start_number, end_number) {
+		let perf = performance.now();
+
+		let numbers = [];
+		for (let number = start_number; number < end_number; number++) {
+			numbers.push(number);
+		}
+
+		let blocks = await this.evmClient.getBlocks(numbers);
+		for (let idx = 0; idx < blocks.length; idx++) {
+			if (!blocks[idx]) {
+				throw new IngestError(`Block #${numbers[idx]} is not available from the node yet`, { block_number : numbers[idx] });
+			}
+		}
+
+		let receipts = await Promise.all(blocks.map((block) => {
+			return this.evmClient.getBlockReceipts(block.hash, block.transactions);
+		}));
+
+		if (this.quorumVerifier) {
+			let unconfirmed = await this.quorumVerifier.verify(Client, blocks, receipts);
+			if (unconfirmed.length) {
+				throw new IngestError(`${unconfirmed.length} blocks, first #${unconfirmed[0].number}, were not confirmed by a quorum of nodes`, { block_number : unconfirmed[0].number });
+			}
+		}
+
+		// Null for every block when none of the nodes has a trace API
+		let traces = await Promise.all(blocks.map((block) => {
+			return this.evmClient.getBlockTraces(block.number, block.transactions);
+		}));
+		let tracing = traces.some((blockTraces) => blockTraces !== null);
+
+		let rows = this.buildRows(blocks, receipts, traces);
+
+		this.log.debug('Bulk fetched blocks', { start_number, end_number, duration_ms : Math.round(performance.now() - perf) });
+
+		await this.createStagingTables(Client);
+
+		// Shutdown waits for the batch to commit or roll back before exiting
+		await Lifecycle.track(async () => {
+			try {
+				await Client.query('BEGIN;');
+
+				for (let table of STAGING_TABLES) {
+					await this.copyRows(Client, table, rows[table]);
+				}
+
+				// Clear out whatever is already stored at these heights while the
+				// triggers are still active, so asset ownership is unwound correctly
+				await Client.query(DeleteQueries.deleteOmmers(this.blockchain_id, start_number, end_number));
+				await Client.query(DeleteQueries.deleteLogsAndDependents(this.blockchain_id, start_number, end_number));
+				await Client.query(BulkQueries.deleteStagedTransactionLogs());
+				if (tracing) {
+					await Client.query(BulkQueries.deleteStagedTransactionTraces());
+				}
+				await Client.query(DeleteQueries.deleteTransactions(this.blockchain_id, start_number, end_number));
+				await Client.query(DeleteQueries.deleteBlocks(this.blockchain_id, start_number, end_number));
+
+				await Client.query(BulkQueries.disableTriggers());
+
+				await Client.query(BulkQueries.mergeBlocks());
+				await Client.query(BulkQueries.mergeOmmers());
+				await Client.query(BulkQueries.mergeWithdrawals());
+				await Client.query(BulkQueries.mergeTransactions());
+				await Client.query(BulkQueries.mergeBlobHashes());
+				await Client.query(BulkQueries.mergeTraces());
+				await Client.query(BulkQueries.mergeLogs());
+				await Client.query(BulkQueries.reconcileAddresses());
+
+				await this.decodeStagedLogs(Client);
+
+				await Client.query(BulkQueries.reconcileEventTransferAddresses());
+				await Client.query(BulkQueries.deleteAssetOwners());
+				await Client.query(BulkQueries.rebuildAssetOwners());
+
+				await Client.query(BulkQueries.enableTriggers());
+				await Client.query('COMMIT;');
+			} catch (ex) {
+				await Client.query('ROLLBACK;');
+				throw ex;
+			}
+		});
+
+		Metrics.blocksIngested.inc({ blockchain_id : this.blockchain_id, mode : 'bulk' }, blocks.length);
+
+		this.log.info('Bulk ingested blocks', {
+			start_number,
+			end_number,
+			transactions : rows.transaction.length,
+			logs         : rows.log.length,
+			duration_ms  : Math.round(performance.now() - perf)
+		});
+	}
+
+	async createStagingTables(Client) {
+		if (this.stagingClients.has(Client.client)) {
+			return;
+		}
+
+		for (let table of STAGING_TABLES) {
+			await Client.query(BulkQueries.createStagingTable(table));
+		}
+
+		this.stagingClients.add(Client.client);
+	}
+
+	buildRows(blocks, receipts, traces) {
+		let rows = {
+			'block'       : [],
+			'ommer'       : [],
+			'withdrawal'  : [],
+			'transaction' : [],
+			'blob_hash'   : [],
+			'trace'       : [],
+			'log'         : []
+		};
+
+		for (let idx = 0; idx < blocks.length; idx++) {
+			let block = blocks[idx];
+
+			rows.block.push({
+				'blockchain_id'            : this.blockchain_id,
+				'number'                   : block.number,
+				'hash'                     : hexToBytea(block.hash),
+				'parent_hash'              : hexToBytea(block.parentHash),
+				'created_time'             : new Date(block.timestamp * 1000).toISOString(),
+				'nonce'                    : hexToBytea(block.nonce),
+				'gas_limit'                : block.gasLimit,
+				'gas_used'                 : block.gasUsed,
+				'sha3_uncles'              : hexToBytea(block.sha3Uncles),
+				'logs_bloom'               : hexToBytea(block.logsBloom),
+				'transactions_root'        : hexToBytea(block.transactionsRoot),
+				'receipts_root'            : hexToBytea(block.receiptsRoot),
+				'state_root'               : hexToBytea(block.stateRoot),
+				'mix_hash'                 : hexToBytea(block.mixHash),
+				'miner'                    : hexToBytea(block.miner),
+				'difficulty'               : block.difficulty,
+				'extra_data'               : hexToBytea(block.extraData),
+				'size'                     : block.size,
+				'base_fee_per_gas'         : hexToNumeric(block.baseFeePerGas),
+				'withdrawals_root'         : hexToBytea(block.withdrawalsRoot),
+				'blob_gas_used'            : hexToNumeric(block.blobGasUsed),
+				'excess_blob_gas'          : hexToNumeric(block.excessBlobGas),
+				'parent_beacon_block_root' : hexToBytea(block.parentBeaconBlockRoot)
+			});
+
+			for (let ommer of (block.uncles || [])) {
+				rows.ommer.push({
+					'blockchain_id'      : this.blockchain_id,
+					'hash'               : hexToBytea(ommer),
+					'nibling_block_hash' : hexToBytea(block.hash)
+				});
+			}
+
+			for (let withdrawal of (block.withdrawals || [])) {
+				rows.withdrawal.push({
+					'block_hash'      : hexToBytea(block.hash),
+					'index'           : hexToNumeric(withdrawal.index),
+					'validator_index' : hexToNumeric(withdrawal.validatorIndex),
+					'address'         : hexToBytea(withdrawal.address),
+					'amount'          : hexToNumeric(withdrawal.amount)
+				});
+			}
+
+			for (let txIdx = 0; txIdx < block.transactions.length; txIdx++) {
+				let transaction = block.transactions[txIdx];
+				let receipt = receipts[idx][txIdx];
+
+				if (!receipt) {
+					throw new Error(`Transaction receipt not found for ${transaction.hash} in block #${block.number}`);
+				}
+
+				rows.transaction.push({
+					'block_hash'               : hexToBytea(block.hash),
+					'hash'                     : hexToBytea(transaction.hash),
+					'nonce'                    : transaction.nonce,
+					'transaction_index'        : transaction.transactionIndex,
+					'from'                     : hexToBytea(transaction.from),
+					'to'                       : hexToBytea(transaction.to),
+					'value'                    : transaction.value,
+					'gas_price'                : transaction.gasPrice,
+					'gas'                      : transaction.gas,
+					'input'                    : hexToBytea(transaction.input),
+					'status'                   : receipt.status,
+					'contract_address'         : hexToBytea(receipt.contractAddress),
+					'v'                        : hexToBytea(transaction.v),
+					'r'                        : hexToBytea(transaction.r),
+					's'                        : hexToBytea(transaction.s),
+					'type'                     : hexToNumeric(transaction.type),
+					'chain_id'                 : hexToNumeric(transaction.chainId),
+					'max_fee_per_gas'          : hexToNumeric(transaction.maxFeePerGas),
+					'max_priority_fee_per_gas' : hexToNumeric(transaction.maxPriorityFeePerGas),
+					'access_list'              : transaction.accessList ? JSON.stringify(transaction.accessList) : null,
+					'effective_gas_price'      : hexToNumeric(receipt.effectiveGasPrice),
+					'gas_used'                 : hexToNumeric(receipt.gasUsed),
+					'cumulative_gas_used'      : hexToNumeric(receipt.cumulativeGasUsed),
+					'max_fee_per_blob_gas'     : hexToNumeric(transaction.maxFeePerBlobGas),
+					'blob_gas_used'            : hexToNumeric(receipt.blobGasUsed),
+					'blob_gas_price'           : hexToNumeric(receipt.blobGasPrice)
+				});
+
+				let hashes = transaction.blobVersionedHashes || [];
+				for (let hashIdx = 0; hashIdx < hashes.length; hashIdx++) {
+					rows.blob_hash.push({
+						'transaction_hash' : hexToBytea(transaction.hash),
+						'index'            : hashIdx,
+						'versioned_hash'   : hexToBytea(hashes[hashIdx])
+					});
+				}
+
+				for (let logEntry of receipt.logs) {
+					rows.log.push({
+						'transaction_hash' : hexToBytea(receipt.transactionHash),
+						'block_number'     : logEntry.blockNumber,
+						'log_index'        : logEntry.logIndex,
+						'address'          : hexToBytea(logEntry.address),
+						'data'             : hexToBytea(logEntry.data),
+						'topic_0'          : hexToBytea(logEntry.topics[0]),
+						'topic_1'          : hexToBytea(logEntry.topics[1]),
+						'topic_2'          : hexToBytea(logEntry.topics[2]),
+						'topic_3'          : hexToBytea(logEntry.topics[3])
+					});
+				}
+			}
+
+			// A reorg between fetching the block and tracing it would trace other transactions, which the merge's foreign keys reject
+			let hashes = new Set(block.transactions.map((transaction) => transaction.hash.toLowerCase()));
+			for (let trace of (traces[idx] || [])) {
+				if (!hashes.has(trace.transaction_hash.toLowerCase())) {
+					continue;
+				}
+
+				rows.trace.push({
+					'transaction_hash' : hexToBytea(trace.transaction_hash),
+					'trace_address'    : `{${trace.trace_address.join(',')}}`,
+					'type'             : trace.type,
+					'from'             : hexToBytea(trace.from),
+					'to'               : hexToBytea(trace.to),
+					'value'            : hexToNumeric(trace.value),
+					'gas'              : hexToNumeric(trace.gas),
+					'gas_used'         : hexToNumeric(trace.gas_used),
+					'input'            : hexToBytea(trace.input),
+					'output'           : hexToBytea(trace.output),
+					'error'            : trace.error,
+					'subtraces'        : trace.subtraces
+				});
+			}
+		}
+
+		return rows;
+	}
+
+	copyRows(Client, table, rows) {
+		return new Promise((resolve, reject) => {
+			const columns = BulkQueries.columns[table];
+			const stream = Client.copyFrom(BulkQueries.copyStagingTable(table));
+
+			stream.on('error', reject);
+			stream.on('finish', resolve);
+
+			let idx = 0;
+			const write = () => {
+				while (idx < rows.length) {
+					let line = columns.map((column) => toCsvValue(rows[idx][column])).join(',') + '\n';
+					idx++;
+
+					if (!stream.write(line)) {
+						return stream.once('drain', write);
+					}
+				}
+
+				stream.end();
+			};
+
+			write();
+		});
+	}
+
+	// Decode the freshly merged logs of any known contracts into events
+	async decodeStagedLogs(Client) {
+		let result = await Client.query(BulkQueries.getStagedContractLogs(this.blockchain_id));
+		if (!result || !result.rowCount) {
+			return;
+		}
+
+		const lp = new LogParser();
+		let events = lp.decodeLogs(result.rows);
+
+		for (let log_id in events) {
+			if (!events.hasOwnProperty(log_id)) continue;
+
+			await this.cc.insertEvent(
+				Client,
+				log_id,
+				events[log_id].contract_address,
+				events[log_id].name,
+				events[log_id].result
+			);
+		}
+	}
+}
+
+// CSV for COPY: an unquoted empty field is NULL, everything else is quoted
+function toCsvValue(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+
+	if (typeof value === 'boolean') {
+		return value ? 't' : 'f';
+	}
+
+	return '"' + String(value).replace(/"/g, '""') + '"';
+}
+
+module.exports = BulkIngestor;
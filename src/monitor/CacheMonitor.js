@@ -1,12 +1,22 @@
-const log = require('loglevel');
 const Database = require('../database/Database.js');
 const sleep = require('../util/sleep.js');
 const byteaBufferToHex = require('../util/byteaBufferToHex.js');
 
 const BlockQueries = require('../database/queries/BlockQueries.js');
 const TransactionQueries = require('../database/queries/TransactionQueries.js');
+const DeleteQueries = require('../database/queries/DeleteQueries.js');
+const ReorgQueries = require('../database/queries/ReorgQueries.js');
+const TraceQueries = require('../database/queries/TraceQueries.js');
 
 const ContractController = require('../controller/ContractController.js');
+const QuorumVerifier = require('../classes/QuorumVerifier.js');
+const Checkpoint = require('../classes/Checkpoint.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Metrics = require('../classes/Metrics.js');
+const Health = require('../classes/Health.js');
+const Logger = require('../classes/Logger.js');
+const { NodeError, IngestError, ReorgError, ShutdownError } = require('../classes/Errors.js');
+const BulkIngestor = require('./BulkIngestor.js');
 
 const { performance } = require('perf_hooks');
 
@@ -16,46 +26,165 @@ class CacheMonitor {
 		this.evmClient = options.client;
 		this.startBlockOverride = options.startBlockOverride;
 		this.endBlockOverride = options.endBlockOverride;
+		this.startNumber = options.startNumber || 0; // The blockchain's start_number, with nothing stored yet
 		this.rewriteBlocks = options.rewriteBlocks === true;
+
+		// Every line logged by this monitor carries its blockchain_id
+		this.log = new Logger({ blockchain_id : this.blockchain_id });
+
+		// Saved by the main loop after every stored block, runs with a start
+		// override are tracked apart from the one following the head
+		this.checkpoint = new Checkpoint({
+			blockchain_id : this.blockchain_id,
+			job : this.startBlockOverride !== false ? Checkpoint.rangeJob('blocks', this.startBlockOverride, this.endBlockOverride) : 'head',
+			end_position : this.endBlockOverride
+		});
+
+		// When set, this many nodes have to agree on a block before it's stored
+		this.quorumVerifier = options.quorum ? new QuorumVerifier({
+			blockchain_id : this.blockchain_id,
+			client : this.evmClient,
+			quorum : options.quorum,
+			checkReceipts : options.quorumReceipts === true
+		}) : null;
+
+		// When more than bulkThreshold blocks behind the head, ingest in batches via COPY
+		this.bulkThreshold = options.bulkThreshold || false;
+		this.bulkBatchSize = options.bulkBatchSize || 100;
+		this.bulkIngestor = this.bulkThreshold ? new BulkIngestor({
+			blockchain_id : this.blockchain_id,
+			client : this.evmClient,
+			quorumVerifier : this.quorumVerifier
+		}) : null;
+		this.chainHead = null;
 		this.Client = null; // Covered in start()
+		this.stopped = null; // Covered in start()
 
 		this.reviewBlockLimit = 65;
 		this.comprehensiveReviewBlockLimit = 200;
 		this.comprehensiveReviewCounter = 0;
 		this.comprehensiveReviewCountMod = 250;
 
-		this.cc = new ContractController(this.evmClient);
+		// How far back we'll walk looking for a common ancestor during a reorg
+		this.maxReorgDepth = 128;
+
+		// Keeps each trace and transaction insert well under the bind parameter limit
+		this.traceInsertSize = 1000;
+		this.transactionInsertSize = 1000;
+
+		this.cc = new ContractController(this.evmClient, this.blockchain_id);
 	}
 
+	// Resolves once the main loop stops, at the end block override or on
+	// shutdown, and rejects with the error that stopped it otherwise
 	async start() {
-		Database.connect((Client) => {
-			Client.query(BlockQueries.getLatestBlock(this.blockchain_id), async (result) => {
-				this.Client = Client;
-
-				let latest_number;
-				if (this.startBlockOverride !== false) {
-					latest_number = this.startBlockOverride;
-					log.info("Using start block number override:", latest_number);
-				} else if (!result || !result.rowCount) {
-					latest_number = 0;
-					log.info("No latest block, starting at 0");
-				} else {
-					// Rerun the current latest number - see truncate below
-					latest_number = parseInt(result.rows[0].number, 10);
-					log.info("Retrieved latest block:", latest_number);
-				}
+		let stopped = new Promise((resolve, reject) => {
+			this.stopped = { resolve, reject };
+		});
+
+		this.Client = await Database.connect();
+
+		// The liveness stall window starts now
+		Health.watchChain(this.blockchain_id);
+
+		let result = await this.Client.query(BlockQueries.getLatestBlock(this.blockchain_id));
+		if (result && result.rowCount) {
+			Metrics.cachedHead.set({ blockchain_id : this.blockchain_id }, parseInt(result.rows[0].number, 10));
+		}
 
-				// First we're going to truncate everything related to the current block
-				// so we can stop and start without missing data in-between
-				await this.flushBlock(latest_number);
+		// Everything below a checkpoint was committed, so there's nothing to flush
+		let next_number = await this.checkpoint.load(this.Client);
+		if (next_number !== null) {
+			this.log.info('Resuming from checkpoint', { job : this.checkpoint.job, block_number : next_number });
+			this.mainLoop(next_number);
+			return stopped;
+		}
+
+		let latest_number;
+		if (this.startBlockOverride !== false) {
+			latest_number = this.startBlockOverride;
+			this.log.info('Using start block number override', { block_number : latest_number });
+		} else if (!result || !result.rowCount) {
+			latest_number = this.startNumber;
+			this.log.info('No latest block, starting at the start block', { block_number : latest_number });
+		} else {
+			// Rerun the current latest number - see truncate below
+			latest_number = parseInt(result.rows[0].number, 10);
+			this.log.info('Retrieved latest block', { block_number : latest_number });
+		}
+
+		// First we're going to truncate everything related to the current block
+		// so we can stop and start without missing data in-between
+		await this.flushBlock(latest_number);
 
-				this.mainLoop(latest_number);
+		this.mainLoop(latest_number);
+		return stopped;
+	}
+
+	stop() {
+		if (this.Client) {
+			this.Client.release();
+		}
+
+		if (this.stopped) {
+			this.stopped.resolve();
+		}
+	}
+
+	// Stops the main loop with an error, a refused block during shutdown is a regular stop
+	fail(error) {
+		if (error instanceof ShutdownError) {
+			return this.stop();
+		}
+
+		this.log.error('CacheMonitor stopped:', error);
+
+		if (this.Client) {
+			this.Client.release();
+		}
+
+		if (this.stopped) {
+			this.stopped.reject(error);
+		}
+	}
+
+	async connect() {
+		if (!this.Client) {
+			this.Client = await Database.connect();
+		}
+
+		return this.Client;
+	}
+
+	// Ingests a single block outside of the main loop, resolving to true if the
+	// block was stored or false if it was already in the database
+	ingestBlock(block_number) {
+		return new Promise((resolve, reject) => {
+			this.getBlock(block_number, {
+				'atBlockchainHead' : async (block_number) => {
+					reject(new Error(`Block #${block_number} is not available from the node yet`));
+				},
+				'blockAlreadyExists' : async () => {
+					resolve(false);
+				},
+				'blockFailed' : async (error) => {
+					reject(error);
+				},
+				'quorumNotReached' : async (block_number) => {
+					reject(new Error(`Block #${block_number} was not confirmed by a quorum of nodes`));
+				},
+				'moveToNextBlock' : async () => {
+					resolve(true);
+				},
+				'retryBlock' : async (block_number) => {
+					this.ingestBlock(block_number).then(resolve, reject);
+				}
 			});
 		});
 	}
 
 	async flushBlock(block_number, verbose = true) {
-		log.info("Flushing", block_number);
+		this.log.info('Flushing', { block_number });
 
 		await this.Client.query(TransactionQueries.deleteLogs(
 			this.blockchain_id,
@@ -63,7 +192,7 @@ class CacheMonitor {
 		));
 
 		if (verbose) {
-			log.info("Logs deleted, cascading to events and related tables");
+			this.log.info('Logs deleted, cascading to events and related tables', { block_number });
 		}
 
 		await this.Client.query(TransactionQueries.deleteTransactions(
@@ -72,7 +201,7 @@ class CacheMonitor {
 		));
 
 		if (verbose) {
-			log.info("Transactions deleted");
+			this.log.info('Transactions deleted', { block_number });
 		}
 
 		await this.Client.query(BlockQueries.deleteOmmers(
@@ -81,7 +210,7 @@ class CacheMonitor {
 		));
 
 		if (verbose) {
-			log.info("Ommers deleted");
+			this.log.info('Ommers deleted', { block_number });
 		}
 
 		await this.Client.query(BlockQueries.deleteBlock(
@@ -89,15 +218,45 @@ class CacheMonitor {
 			block_number
 		));
 
-		log.info("Completed flushing", block_number);
+		this.log.info('Completed flushing', { block_number });
 	}
 
-	async mainLoop(block_number) {
+	mainLoop(block_number) {
+		// Nothing awaits the main loop, so whatever it throws stops the monitor
+		return this.nextBlock(block_number).catch((ex) => this.fail(ex));
+	}
+
+	async nextBlock(block_number) {
 		let ml_a_perf = performance.now();
 
+		if (Lifecycle.isStopping()) {
+			this.log.info('Shutting down, stopped before block', { block_number });
+			return this.stop();
+		}
+
 		if (this.endBlockOverride !== false && block_number >= this.endBlockOverride) {
-			log.info("Reached endBlockOverride:", this.endBlockOverride);
-			process.exit();
+			this.log.info('Reached endBlockOverride', { block_number : this.endBlockOverride });
+			return this.stop();
+		}
+
+		if (this.bulkIngestor) {
+			let bulk_end_number = await this.getBulkEndNumber(block_number);
+
+			if (bulk_end_number !== false) {
+				try {
+					await this.bulkIngestor.ingestRange(this.Client, block_number, bulk_end_number);
+					await this.checkpoint.save(this.Client, bulk_end_number);
+					Metrics.cachedHead.set({ blockchain_id : this.blockchain_id }, bulk_end_number - 1);
+					Health.blockCommitted(this.blockchain_id, bulk_end_number - 1);
+					return this.mainLoop(bulk_end_number);
+				} catch (ex) {
+					if (ex instanceof ShutdownError) {
+						return this.stop();
+					}
+
+					this.log.error('Bulk ingest failed, continuing block by block:', ex, { block_number });
+				}
+			}
 		}
 
 		if (this.rewriteBlocks === true) {
@@ -106,11 +265,11 @@ class CacheMonitor {
 
 		this.getBlock(block_number, {
 			'atBlockchainHead' : async (block_number) => {
-				//log.debug("No block found:", block_number);
+				//this.log.debug('No block found', { block_number });
 
 				// Go back and review the last N blocks
 				if (++this.comprehensiveReviewCounter % this.comprehensiveReviewCountMod === 0) {
-					log.info(`Performing a comprehensive review of the last ${this.comprehensiveReviewBlockLimit} blocks.`);
+					this.log.info(`Performing a comprehensive review of the last ${this.comprehensiveReviewBlockLimit} blocks`, { block_number });
 
 					for (
 						let prior_block_number = block_number - this.comprehensiveReviewBlockLimit;
@@ -120,8 +279,8 @@ class CacheMonitor {
 						this.getBlock.call(this, prior_block_number);
 					}
 
-					// Wait before checking for the next block
-					await sleep(15000);
+					// Wait for the next head before checking for the next block
+					await this.evmClient.waitForNewHead(block_number, 15000);
 				} else {
 					for (
 						let prior_block_number = block_number - this.reviewBlockLimit;
@@ -130,68 +289,180 @@ class CacheMonitor {
 					) {
 						this.getBlock.call(this, prior_block_number, {
 							'foundDuringReviewBlock' : async (block_number, block_hash) => {
-								log.info(`* Found new previous block at number ${block_number}: ${block_hash}`);
+								this.log.info('Found new previous block during review', { block_number, block_hash });
 							}
 						});
 					}
 
-					// Wait before checking for the next block
-					await sleep(2500);
+					// Wait for the next head, or poll again without a subscription
+					await this.evmClient.waitForNewHead(block_number, 2500);
 				}
 
 				// Try this block again
 				return this.mainLoop(parseInt(block_number, 10));
 			},
+			'quorumNotReached' : async (block_number) => {
+				// Give lagging nodes time to catch up, then fetch the block again
+				await this.evmClient.waitForNewHead(parseInt(block_number, 10) + 1, 2500);
+				return this.mainLoop(parseInt(block_number, 10));
+			},
+			'reorgDetected' : async (common_ancestor_number) => {
+				// Re-ingest the canonical branch from the first orphaned height
+				await this.checkpoint.save(this.Client, parseInt(common_ancestor_number, 10) + 1);
+				Metrics.cachedHead.set({ blockchain_id : this.blockchain_id }, parseInt(common_ancestor_number, 10));
+				Health.blockCommitted(this.blockchain_id, parseInt(common_ancestor_number, 10));
+				this.mainLoop(parseInt(common_ancestor_number, 10) + 1);
+			},
 			'blockAlreadyExists' : async (block_number, block_hash) => {
 				// Move to the next block
-				log.info(`Block with hash ${block_hash} found, skipping.`);
+				this.log.info('Block already stored, skipping', { block_number : parseInt(block_number, 10), block_hash });
+				await this.checkpoint.save(this.Client, parseInt(block_number, 10) + 1);
+				Metrics.cachedHead.set({ blockchain_id : this.blockchain_id }, parseInt(block_number, 10));
+				Health.blockCommitted(this.blockchain_id, parseInt(block_number, 10));
 				this.mainLoop(parseInt(block_number, 10) + 1);
 			},
 			'moveToNextBlock' : async (block_number) => {
-				log.debug("mainLoop:", performance.now() - ml_a_perf, "ms");
+				this.log.debug('mainLoop', { block_number : parseInt(block_number, 10), duration_ms : Math.round(performance.now() - ml_a_perf) });
 
 				// Move to the next block
+				await this.checkpoint.save(this.Client, parseInt(block_number, 10) + 1);
+				Metrics.cachedHead.set({ blockchain_id : this.blockchain_id }, parseInt(block_number, 10));
+				Health.blockCommitted(this.blockchain_id, parseInt(block_number, 10));
 				this.mainLoop(parseInt(block_number, 10) + 1);
 			}
 		});
 	}
 
+	// Returns the end of the next bulk batch, or false if we're close enough to the head
+	async getBulkEndNumber(block_number) {
+		try {
+			// Only ask the node for the head again once we've caught up to the last one we saw
+			if (this.chainHead === null || this.chainHead - block_number <= this.bulkThreshold) {
+				this.chainHead = await this.evmClient.getWeb3().eth.getBlockNumber();
+				Metrics.chainHead.set({ blockchain_id : this.blockchain_id }, this.chainHead);
+				Health.chainHead(this.blockchain_id, this.chainHead);
+			}
+		} catch (ex) {
+			this.log.error('Could not retrieve the chain head:', ex, { endpoint : this.evmClient.getEndpointHost() });
+			return false;
+		}
+
+		if (this.chainHead - block_number <= this.bulkThreshold) {
+			return false;
+		}
+
+		let end_number = Math.min(
+			block_number + this.bulkBatchSize,
+			this.chainHead - this.bulkThreshold + 1
+		);
+
+		if (this.endBlockOverride !== false) {
+			end_number = Math.min(end_number, this.endBlockOverride);
+		}
+
+		return end_number;
+	}
+
+	// Resolves to whether enough nodes agree on the block to store it, cycling
+	// away from the current node when the others outvote it
+	async isConfirmedByQuorum(block) {
+		let unconfirmed;
+		try {
+			unconfirmed = await this.quorumVerifier.verify(this.Client, [block]);
+		} catch (ex) {
+			this.blockLog(block).error('Could not verify block against other nodes:', ex);
+			return false;
+		}
+
+		if (!unconfirmed.length) {
+			return true;
+		}
+
+		this.blockLog(block).warn('Block not confirmed by a quorum of nodes, not storing it yet', {
+			confirmations : unconfirmed[0].confirmations,
+			quorum        : this.quorumVerifier.quorum
+		});
+
+		if (unconfirmed[0].outvoted) {
+			this.evmClient.cycleNodes();
+		}
+
+		return false;
+	}
+
 	async getBlock(block_number, callbacks = {}) {
 		// Lock and key to prevent multiple callback hell
 		let localErrorRecovered = false;
 
-		this.evmClient.getBlock(block_number, async (err, block, t1, t2, t3) => {
+		// Ingesting outside of the main loop hands the error back, otherwise it stops the monitor
+		const fail = (error) => {
+			if (callbacks.hasOwnProperty('blockFailed')) {
+				return callbacks.blockFailed.call(this, error);
+			}
+
+			this.fail(error);
+		};
+
+		// Checked right before anything is written, so blocks already stored aren't re-verified
+		const confirmedByQuorum = async (block) => {
+			if (!this.quorumVerifier || await this.isConfirmedByQuorum(block)) {
+				return true;
+			}
+
+			if (callbacks.hasOwnProperty('quorumNotReached')) {
+				callbacks.quorumNotReached.call(this, block_number);
+			}
+
+			return false;
+		};
+
+		this.evmClient.getBlock(block_number, (err, block) => {
+			handleBlock.call(this, err, block).catch(fail);
+		});
+
+		async function handleBlock(err, block) {
 			if (err) {
 				// If we get an invalid JSON RPC response, the node is down, cycle to the next one
 				if (
 					String(err).indexOf('Invalid JSON RPC response') !== -1 ||
-					String(err).toUpperCase().indexOf('CONNECTION TIMEOUT') !== -1
+					String(err).toUpperCase().indexOf('CONNECTION TIMEOUT') !== -1 ||
+					String(err).toLowerCase().indexOf('connection not open on send()') !== -1
 				) {
 					if (!localErrorRecovered) {
 						// Gate the cycle & mainloop from happening a second time
 						localErrorRecovered = true;
 
-						log.error("** JSON RPC or connection timeout failure in CacheMonitor::getBlock, cycling to next node **");
+						this.log.error('JSON RPC or connection timeout failure in CacheMonitor::getBlock, cycling to next node:', err, {
+							block_number : parseInt(block_number, 10),
+							endpoint     : this.evmClient.getEndpointHost()
+						});
 
 						// Cycle to the next node...
 						this.evmClient.cycleNodes();
 
 						// And try again
+						if (callbacks.hasOwnProperty('retryBlock')) {
+							return callbacks.retryBlock.call(this, block_number);
+						}
+
 						return this.mainLoop(parseInt(block_number, 10));
 					} else {
 
 						// For debugging
-						log.error("** Received duplicate local timeout or JSON RPC error, already cycled **");
+						this.log.error('Received duplicate local timeout or JSON RPC error, already cycled', { block_number : parseInt(block_number, 10) });
 
 						return;
 					}
 				} else {
 					// Print the error
-					log.error("Unknown error:", err);
+					this.log.error('Unknown error retrieving block:', err, {
+						block_number : parseInt(block_number, 10),
+						endpoint     : this.evmClient.getEndpointHost()
+					});
 
 					// Sleep a bit before we fail out, because this can cause a death spiral of removing blocks
 					await sleep(2500);
-					process.exit(1);
+					throw new NodeError(`Could not retrieve block #${block_number}: ${err}`, { cause : err });
 				}
 			} else if (!block) {
 				if (callbacks.hasOwnProperty('atBlockchainHead')) {
@@ -220,10 +491,17 @@ class CacheMonitor {
 							callbacks.blockAlreadyExists.call(this, block_number, block.hash);
 						}
 					} else {
-						log.info(`At block #${block_number}, found stale transactions. Previous transaction count: ${numCheckRes.rows[0].count}, expected: ${block.transactions.length}`);
+						this.blockLog(block).info('Found stale transactions', {
+							transaction_count          : parseInt(numCheckRes.rows[0].count, 10),
+							expected_transaction_count : block.transactions.length
+						});
+
+						if (!(await confirmedByQuorum(block))) {
+							return;
+						}
 
 						// There are stale blocks at this height, let's start fresh
-						storeBlockAssocData.call(this, block);
+						return storeBlockAssocData.call(this, block);
 					}
 				} else {
 					// Maybe delete any ommer that mentions this?
@@ -231,122 +509,293 @@ class CacheMonitor {
 					// Alternatively, just taking whatever the current head is in the database
 					// should give us all the information we need, unless we have an attack that
 					// reorgs beyond the regular number of blocks within a given timeframe
-					log.info(`At a re-instated block, #${block_number}, restoring data. Previous transaction count: ${checkRes.rows[0].transaction_count}, expected: ${block.transactions.length}`);
+					this.blockLog(block).info('At a re-instated block, restoring data', {
+						transaction_count          : parseInt(checkRes.rows[0].transaction_count, 10),
+						expected_transaction_count : block.transactions.length
+					});
+
+					if (!(await confirmedByQuorum(block))) {
+						return;
+					}
 
 					// Go ahead and store all of the data all over again, which
 					// migrates any moved data back to the de-facto block
-					storeBlockAssocData.call(this, block);
+					return storeBlockAssocData.call(this, block);
 				}
 
 				// Stop here.
 				return;
 
 			} else {
+				// A forked node's blocks would otherwise look like a reorg
+				if (!(await confirmedByQuorum(block))) {
+					return;
+				}
+
+				// Only the main loop follows the chain tip, so only it checks for reorgs
+				if (callbacks.hasOwnProperty('reorgDetected') && !(await this.isParentStored(block))) {
+					this.blockLog(block).info('Parent hash mismatch', { parent_hash : block.parentHash });
+
+					let common_ancestor_number = await this.handleReorg(block);
+					callbacks.reorgDetected.call(this, common_ancestor_number);
+
+					return;
+				}
+
 				if (callbacks.hasOwnProperty('foundDuringReviewBlock')) {
 					callbacks.foundDuringReviewBlock.call(this, block_number, block.hash);
 				} else {
-					log.info(`Found new block at #${block.number}`);
+					this.blockLog(block).info('Found new block');
 				}
 			}
 
-			// Save the block
-			this.Client.query(BlockQueries.addBlock(
-				this.blockchain_id,
-				block.number,
-				block.hash,
-				block.parentHash,
-				block.nonce,
-				block.gasLimit,
-				block.gasUsed,
-				block.timestamp,
-				block.sha3Uncles,
-				block.logsBloom,
-				block.transactionsRoot,
-				block.receiptsRoot,
-				block.stateRoot,
-				block.mixHash,
-				block.miner,
-				block.difficulty,
-				block.extraData,
-				block.size
-			), async (result) => {
-				if (!result || !result.rowCount) {
-					this.Client.release();
-					log.error('No result returned for');
-					log.error(block);
-					log.error('^^ No result returned ^^');
-					process.exit(1);
+			// Save the block along with everything in it
+			return storeBlockAssocData.call(this, block, true);
+		}
+
+		async function storeBlockAssocData(block, addBlock = false) {
+			let st_a_perf = performance.now();
+			const blockLog = this.blockLog(block);
+
+			// Shutdown waits for the transaction to commit or roll back before exiting,
+			// once the block itself is saved it doesn't start without the rest
+			let error = await Lifecycle.track(async () => {
+				if (addBlock) {
+					let result = await this.Client.query(BlockQueries.addBlock(
+						this.blockchain_id,
+						block.number,
+						block.hash,
+						block.parentHash,
+						block.nonce,
+						block.gasLimit,
+						block.gasUsed,
+						block.timestamp,
+						block.sha3Uncles,
+						block.logsBloom,
+						block.transactionsRoot,
+						block.receiptsRoot,
+						block.stateRoot,
+						block.mixHash,
+						block.miner,
+						block.difficulty,
+						block.extraData,
+						block.size,
+						block.baseFeePerGas,
+						block.withdrawalsRoot,
+						block.blobGasUsed,
+						block.excessBlobGas,
+						block.parentBeaconBlockRoot
+					));
+
+					if (!result || !result.rowCount) {
+						blockLog.error('No result returned adding block');
+						throw new IngestError(`Block #${block.number} was not stored`, { block_number : block.number });
+					}
 				}
 
-				storeBlockAssocData.call(this, block);
-			});
-		});
+				// Queue up all of the tasks
+				let promises = [];
 
-		async function storeBlockAssocData(block) {
-			let st_a_perf = performance.now();
+				// Use a transaction for all of the promises
+				await this.Client.query('BEGIN;');
 
-			// Queue up all of the tasks
-			let promises = [];
+				try {
+					// Delete all associated data at this number prior to adding data
+					// We do this because some transactions are replaced by new transactions with
+					// the same nonce, but higher gas prices -- so they aren't replaced automatically
+					await this.Client.query(TransactionQueries.deleteLogs(
+						this.blockchain_id,
+						block.number
+					));
 
-			// Use a transaction for all of the promises
-			await this.Client.query('BEGIN;');
+					await this.Client.query(TransactionQueries.deleteTransactions(
+						this.blockchain_id,
+						block.number
+					));
 
-			// Delete all associated data at this number prior to adding data
-			// We do this because some transactions are replaced by new transactions with
-			// the same nonce, but higher gas prices -- so they aren't replaced automatically
-			await this.Client.query(TransactionQueries.deleteLogs(
-				this.blockchain_id,
-				block.number
-			));
+					// Insert any ommers
+					if (block.uncles && block.uncles.length) {
+						promises.push(this.addOmmers(block.hash, block.uncles));
+					}
 
-			await this.Client.query(TransactionQueries.deleteTransactions(
-				this.blockchain_id,
-				block.number
-			));
+					if (block.withdrawals && block.withdrawals.length) {
+						promises.push(this.addWithdrawals(block.hash, block.withdrawals));
+					}
 
-			// Insert any ommers
-			if (block.uncles && block.uncles.length) {
-				promises.push(this.addOmmers(block.hash, block.uncles));
-			}
+					if (block.transactions && block.transactions.length) {
+						promises.push(this.addTransactions(block.hash, block.transactions).then(() => {
+							return this.addTraces(block);
+						}));
+					}
 
-			if (block.transactions && block.transactions.length) {
-				promises.push(this.addTransactions(block.hash, block.transactions));
-			}
+					await Promise.all(promises);
 
-			Promise.all(promises).then(async values => {
-				// Commit the transaction for all of the promises
-				await this.Client.query('COMMIT;');
+					// A block the contracts-only mode stored is now complete
+					if (!addBlock) {
+						await this.Client.query(BlockQueries.setBlockPartial(block.hash, false));
+					}
 
-				log.debug("storeBlockAssocData:", performance.now() - st_a_perf, "ms");
+					// Commit the transaction for all of the promises
+					await this.Client.query('COMMIT;');
+				} catch (error) {
+					// Rollback the transaction for all of the promises
+					await this.Client.query('ROLLBACK;');
+					return error;
+				}
+			});
+
+			if (!error) {
+				blockLog.debug('storeBlockAssocData', { duration_ms : Math.round(performance.now() - st_a_perf) });
+
+				Metrics.blocksIngested.inc({ blockchain_id : this.blockchain_id, mode : 'block' });
+				Metrics.blockStoreDuration.observe({ blockchain_id : this.blockchain_id }, (performance.now() - st_a_perf) / 1000);
 
 				if (callbacks.hasOwnProperty('moveToNextBlock')) {
 					callbacks.moveToNextBlock.call(this, block.number);
 				}
 
 				return;
-			}).catch(async error => {
-				// Rollback the transaction for all of the promises
-				await this.Client.query('ROLLBACK;');
+			}
 
-				// If we get an invalid JSON RPC response, the node is down, cycle to the next one
-				if (
-					String(error).indexOf('Invalid JSON RPC response') !== -1 ||
-					String(error).toUpperCase().indexOf('CONNECTION TIMEOUT') !== -1
-				) {
-					log.error("** JSON RPC or connection timeout failure in CacheMonitor::storeBlockAssocData, cycling to next node **");
+			// If we get an invalid JSON RPC response, the node is down, cycle to the next one
+			if (
+				String(error).indexOf('Invalid JSON RPC response') !== -1 ||
+				String(error).toUpperCase().indexOf('CONNECTION TIMEOUT') !== -1 ||
+				String(error).toLowerCase().indexOf('connection not open on send()') !== -1
+			) {
+				blockLog.error('JSON RPC or connection timeout failure in CacheMonitor::storeBlockAssocData, cycling to next node:', error, { endpoint : this.evmClient.getEndpointHost() });
 
-					// Cycle to the next node...
-					this.evmClient.cycleNodes();
+				// Cycle to the next node...
+				this.evmClient.cycleNodes();
 
-					// And try again
-					return this.mainLoop(parseInt(block_number, 10));
+				// And try again
+				if (callbacks.hasOwnProperty('retryBlock')) {
+					return callbacks.retryBlock.call(this, block_number);
 				}
 
-				await sleep(1000);
-				log.error('Promises failed for retrieving all block data');
-				log.error(`Error: ${error}`);
-				process.exit(1);
+				return this.mainLoop(parseInt(block_number, 10));
+			}
+
+			await sleep(1000);
+			blockLog.error('Promises failed for retrieving all block data:', error, { duration_ms : Math.round(performance.now() - st_a_perf) });
+			throw new IngestError(`Could not store block #${block.number}: ${error}`, { cause : error, block_number : block.number });
+		}
+	}
+
+	// Ties everything logged about a block to its number and hash
+	blockLog(block) {
+		return this.log.child({
+			block_number : parseInt(block.number, 10),
+			block_hash   : block.hash
+		});
+	}
+
+	async isParentStored(block) {
+		let number = parseInt(block.number, 10);
+
+		// Nothing stored below this block, so there's nothing to compare against
+		let numberRes = await this.Client.query(BlockQueries.getBlockByNumber(
+			this.blockchain_id, number - 1
+		));
+
+		if (!numberRes || !numberRes.rowCount) {
+			return true;
+		}
+
+		let parentRes = await this.Client.query(BlockQueries.getBlockByHash(
+			this.blockchain_id, block.parentHash
+		));
+
+		return !!(parentRes && parentRes.rowCount && parseInt(parentRes.rows[0].number, 10) === number - 1);
+	}
+
+	async findCommonAncestor(block) {
+		let number = parseInt(block.number, 10);
+
+		for (
+			let ancestor_number = number - 1;
+			ancestor_number >= 0 && ancestor_number >= number - 1 - this.maxReorgDepth;
+			ancestor_number--
+		) {
+			let canonical = await this.evmClient.getBlockHeader(ancestor_number);
+			if (!canonical) {
+				continue;
+			}
+
+			let res = await this.Client.query(BlockQueries.getBlockByHash(
+				this.blockchain_id, canonical.hash
+			));
+
+			if (res && res.rowCount) {
+				return ancestor_number;
+			}
+		}
+
+		return null;
+	}
+
+	async handleReorg(block) {
+		let Client;
+
+		try {
+			let common_ancestor_number = await this.findCommonAncestor(block);
+			if (common_ancestor_number === null) {
+				throw new Error(`No common ancestor found within ${this.maxReorgDepth} blocks of #${block.number}`);
+			}
+
+			let latestRes = await this.Client.query(BlockQueries.getLatestBlock(this.blockchain_id));
+			let latest_number = parseInt(latestRes.rows[0].number, 10);
+			let old_head_hash = byteaBufferToHex(latestRes.rows[0].hash);
+			let depth = latest_number - common_ancestor_number;
+
+			this.blockLog(block).info('Reorg, rolling back to the common ancestor', { common_ancestor_number, depth });
+
+			// Roll back every orphaned height in one transaction; deleting the logs
+			// cascades to events and event transfers, which reverts asset_owner
+			await Lifecycle.track(async () => {
+				Client = await Database.connect();
+				await Client.query('BEGIN;');
+
+				let start_number = common_ancestor_number + 1, end_number = latest_number + 1;
+				await Client.query(DeleteQueries.deleteOmmers(this.blockchain_id, start_number, end_number));
+				await Client.query(DeleteQueries.deleteLogsAndDependents(this.blockchain_id, start_number, end_number));
+				await Client.query(DeleteQueries.deleteTransactions(this.blockchain_id, start_number, end_number));
+				await Client.query(DeleteQueries.deleteBlocks(this.blockchain_id, start_number, end_number));
+
+				await Client.query(ReorgQueries.addReorg(
+					this.blockchain_id,
+					block.number,
+					common_ancestor_number,
+					depth,
+					old_head_hash,
+					block.hash
+				));
+
+				await Client.query('COMMIT;');
 			});
+
+			Metrics.reorgs.inc({ blockchain_id : this.blockchain_id });
+			Metrics.reorgDepth.observe({ blockchain_id : this.blockchain_id }, depth);
+
+			return common_ancestor_number;
+		} catch (ex) {
+			if (Client) {
+				await Client.query('ROLLBACK;');
+			}
+
+			if (ex instanceof ShutdownError) {
+				throw ex;
+			}
+
+			this.blockLog(block).error('Failed to handle reorg:', ex);
+
+			// Sleep a bit before we fail out, same as an unknown error in getBlock
+			await sleep(2500);
+			throw new ReorgError(`Failed to handle reorg at #${block.number}: ${ex.message}`, { cause : ex, block_number : block.number });
+		} finally {
+			if (Client) {
+				Client.release();
+			}
 		}
 	}
 
@@ -366,24 +815,34 @@ class CacheMonitor {
 		return Promise.all(promises);
 	}
 
+	async addWithdrawals(block_hash, withdrawals) {
+		return this.Client.query(BlockQueries.addWithdrawals(
+			block_hash,
+			withdrawals
+		));
+	}
+
 	async addTransactions(block_hash, transactions) {
 		let promises = [];
 
-		// Get all receipts
-		for (let idx = 0; idx < transactions.length; idx++) {
-			promises.push(
-				this.getTransactionReceipt(block_hash, transactions[idx])
-			);
-		}
+		// Get all receipts in as few requests as the node allows
+		let receipts = await this.getBlockReceipts(block_hash, transactions);
 
-		let receipts = await Promise.all(promises);
+		// Add the transactions in as few inserts as the bind parameter limit allows
+		for (let idx = 0; idx < transactions.length; idx += this.transactionInsertSize) {
+			await this.Client.query(TransactionQueries.addTransactions(
+				block_hash,
+				transactions.slice(idx, idx + this.transactionInsertSize),
+				receipts.slice(idx, idx + this.transactionInsertSize)
+			));
+		}
 
-		// Add all transactions at once
-		let results = await this.Client.query(TransactionQueries.addTransactions(
-			block_hash,
-			transactions,
-			receipts
-		));
+		// Blob transactions reference their blobs by versioned hash
+		if (transactions.some((transaction) => transaction.blobVersionedHashes && transaction.blobVersionedHashes.length)) {
+			await this.Client.query(TransactionQueries.addBlobHashes(
+				transactions
+			));
+		}
 
 		// First we delete the logs in case we have to update them
 		// There's no easier way for us to identify logs that have to be "updated"
@@ -394,7 +853,7 @@ class CacheMonitor {
 		await this.Client.query(TransactionQueries.deleteLogsByBlockHash(block_hash));
 
 		// Add the logs & any events
-		results = await this.Client.query(TransactionQueries.addLogs(
+		let results = await this.Client.query(TransactionQueries.addLogs(
 			receipts
 		));
 
@@ -409,7 +868,7 @@ class CacheMonitor {
 				}
 
 				if (!matchingResult) {
-					log.error("Could not find matching log index for log receipt");
+					this.log.error('Could not find matching log index for log receipt', { block_hash, log_index : receipt.logs[idx].logIndex });
 					continue;
 				}
 
@@ -420,16 +879,52 @@ class CacheMonitor {
 			}
 		}
 
-		promises = [this.cc.setDecodedLogs(this.Client, logSets)];
+		// Every event insert has to land before the block's transaction commits
+		promises = await this.cc.setDecodedLogs(this.Client, logSets);
 
 		return Promise.all(promises);
 	}
 
+	// Only stored when some node has a trace API, the block fails when none of them could trace it
+	async addTraces(block) {
+		let traces = await this.evmClient.getBlockTraces(block.number, block.transactions);
+		if (!traces) {
+			return;
+		}
+
+		// A reorg between fetching the block and tracing it would trace other transactions
+		let hashes = new Set(block.transactions.map((transaction) => transaction.hash.toLowerCase()));
+		let blockTraces = traces.filter((trace) => hashes.has(trace.transaction_hash.toLowerCase()));
+		if (blockTraces.length !== traces.length) {
+			this.blockLog(block).info('Dropped traces for transactions no longer in block', { dropped : traces.length - blockTraces.length });
+		}
+
+		await this.Client.query(TraceQueries.deleteTracesByBlockHash(block.hash));
+
+		for (let idx = 0; idx < blockTraces.length; idx += this.traceInsertSize) {
+			await this.Client.query(TraceQueries.addTraces(
+				blockTraces.slice(idx, idx + this.traceInsertSize)
+			));
+		}
+	}
+
+	async getBlockReceipts(block_hash, transactions) {
+		let receipts = await this.evmClient.getBlockReceipts(block_hash, transactions);
+
+		for (let idx = 0; idx < transactions.length; idx++) {
+			if (!receipts[idx]) {
+				this.log.info('Transaction receipt not found for block, dropping out to be re-inserted at a later iteration', { block_hash, transaction_hash : transactions[idx].hash });
+			}
+		}
+
+		return receipts;
+	}
+
 	async getTransactionReceipt(block_hash, transaction) {
 		let receipt = await this.evmClient.getTransactionReceipt(transaction.hash);
 
 		if (!receipt) {
-			log.info(`Transaction receipt not found for block. Dropping out to be re-inserted at a later iteration.\n\tBlock hash: ${block_hash}\n\tTX hash: ${transaction.hash}`);
+			this.log.info('Transaction receipt not found for block, dropping out to be re-inserted at a later iteration', { block_hash, transaction_hash : transaction.hash });
 			return;
 		}
 
@@ -446,7 +941,7 @@ class CacheMonitor {
 		let receipt = await this.evmClient.getTransactionReceipt(transaction.hash);
 
 		if (!receipt) {
-			log.info(`Transaction receipt not found for block. Dropping out to be re-inserted at a later iteration.\n\tBlock hash: ${block_hash}\n\tTX hash: ${transaction.hash}`);
+			this.log.info('Transaction receipt not found for block, dropping out to be re-inserted at a later iteration', { block_hash, transaction_hash : transaction.hash });
 			return;
 		}
 
@@ -466,15 +961,23 @@ class CacheMonitor {
 			receipt.contractAddress || null,
 			transaction.v,
 			transaction.r,
-			transaction.s
+			transaction.s,
+			transaction.type,
+			transaction.chainId,
+			transaction.maxFeePerGas,
+			transaction.maxPriorityFeePerGas,
+			transaction.accessList,
+			receipt.effectiveGasPrice,
+			receipt.gasUsed,
+			receipt.cumulativeGasUsed,
+			transaction.maxFeePerBlobGas,
+			receipt.blobGasUsed,
+			receipt.blobGasPrice
 		));
 
 		if (!result || !result.rowCount) {
-			this.Client.release();
-			log.error('No result returned for');
-			log.error(transaction);
-			log.error('^^ No result returned in block ' + block_hash + ' ^^');
-			process.exit(1);
+			this.log.error('No result returned adding transaction', { block_hash, transaction_hash : transaction.hash });
+			throw new IngestError(`Transaction ${transaction.hash} was not stored`);
 		}
 
 		if (!receipt.logs || !receipt.logs.length) {
@@ -501,7 +1004,7 @@ class CacheMonitor {
 			));
 
 			if (!logResult || !logResult.rowCount) {
-				log.error(`** Could not store log with index ${receipt.logs[idx].logIndex} for transaction ${transaction.hash}`);
+				this.log.error('Could not store log', { block_hash, transaction_hash : transaction.hash, log_index : receipt.logs[idx].logIndex });
 				continue;
 			}
 
@@ -0,0 +1,313 @@
+const Database = require('../database/Database.js');
+const sleep = require('../util/sleep.js');
+const byteaBufferToHex = require('../util/byteaBufferToHex.js');
+
+const BlockQueries = require('../database/queries/BlockQueries.js');
+const TransactionQueries = require('../database/queries/TransactionQueries.js');
+const ContractQueries = require('../database/queries/ContractQueries.js');
+
+const ContractController = require('../controller/ContractController.js');
+const Checkpoint = require('../classes/Checkpoint.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Metrics = require('../classes/Metrics.js');
+const Health = require('../classes/Health.js');
+const Logger = require('../classes/Logger.js');
+
+// Follows only the contracts registered in contract_meta, storing their logs
+// along with the transactions and block headers they belong to
+class ContractLogMonitor {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.evmClient = options.client;
+		this.startBlockOverride = options.startBlockOverride;
+		this.endBlockOverride = options.endBlockOverride;
+		this.startNumber = options.startNumber || 0; // The blockchain's start_number, with nothing stored yet
+		this.Client = null; // Covered in start()
+		this.log = new Logger({ blockchain_id : this.blockchain_id });
+
+		// Blocks per eth_getLogs call, halved when the node refuses a window
+		// and doubled again while responses stay small
+		this.windowSize = options.windowSize || 1000;
+		this.maxWindowSize = options.maxWindowSize || 10000;
+		this.targetLogCount = 1000;
+
+		// Keeps each transaction insert well under the bind parameter limit
+		this.transactionInsertSize = 1000;
+
+		// Only some blocks are stored, so reorgs can't be caught by parent hash;
+		// stay far enough behind the head instead
+		this.confirmations = options.confirmations !== undefined && options.confirmations !== null ? options.confirmations : 12;
+
+		this.cc = new ContractController(this.evmClient, this.blockchain_id);
+
+		this.checkpoint = new Checkpoint({
+			blockchain_id : this.blockchain_id,
+			job : this.startBlockOverride !== false ? Checkpoint.rangeJob('contract_logs', this.startBlockOverride, this.endBlockOverride) : 'contract_logs',
+			end_position : this.endBlockOverride
+		});
+	}
+
+	// Resolves once the end block override is reached or on shutdown
+	async start() {
+		this.Client = await Database.connect();
+
+		// The liveness stall window starts now
+		Health.watchChain(this.blockchain_id);
+
+		let block_number = await this.checkpoint.load(this.Client);
+		if (block_number !== null) {
+			this.log.info('Resuming from checkpoint', { job : this.checkpoint.job, block_number });
+		} else if (this.startBlockOverride !== false) {
+			block_number = this.startBlockOverride;
+			this.log.info('Using start block number override', { block_number });
+		} else {
+			let result = await this.Client.query(BlockQueries.getLatestBlock(this.blockchain_id));
+
+			// Rescan the latest stored block, storing logs is idempotent
+			block_number = result && result.rowCount ? parseInt(result.rows[0].number, 10) : this.startNumber;
+			this.log.info('Scanning for contract logs', { block_number });
+		}
+
+		try {
+			await this.mainLoop(block_number);
+		} finally {
+			this.Client.release();
+		}
+	}
+
+	async mainLoop(block_number) {
+		while (!Lifecycle.isStopping()) {
+			if (this.endBlockOverride !== false && block_number >= this.endBlockOverride) {
+				this.log.info('Reached endBlockOverride', { block_number : this.endBlockOverride });
+				return;
+			}
+
+			let safe_number;
+			try {
+				let head_number = await this.evmClient.getWeb3().eth.getBlockNumber();
+				Metrics.chainHead.set({ blockchain_id : this.blockchain_id }, head_number);
+				Health.chainHead(this.blockchain_id, head_number);
+
+				safe_number = head_number - this.confirmations;
+			} catch (ex) {
+				this.log.error('Could not retrieve the chain head, cycling to next node:', ex, { endpoint : this.evmClient.getEndpointHost() });
+				this.evmClient.cycleNodes();
+				await sleep(1000);
+				continue;
+			}
+
+			if (block_number > safe_number) {
+				await this.evmClient.waitForNewHead(block_number + this.confirmations, 2500);
+				continue;
+			}
+
+			let addresses = await this.getAddresses();
+			if (!addresses.length) {
+				this.log.warn('No contracts in contract_meta to watch, waiting');
+				await Lifecycle.wait(15000);
+				continue;
+			}
+
+			let end_number = Math.min(block_number + this.windowSize - 1, safe_number);
+			if (this.endBlockOverride !== false) {
+				end_number = Math.min(end_number, this.endBlockOverride - 1);
+			}
+
+			let logs;
+			try {
+				logs = await this.evmClient.getLogs({
+					fromBlock : block_number,
+					toBlock   : end_number,
+					address   : addresses
+				});
+			} catch (ex) {
+				if (end_number > block_number && this.evmClient.isLogLimitError(ex)) {
+					this.windowSize = Math.max(1, Math.floor((end_number - block_number + 1) / 2));
+					this.log.debug('eth_getLogs refused the window, shrinking it', { start_number : block_number, end_number, window_size : this.windowSize });
+					continue;
+				}
+
+				this.log.error('eth_getLogs failed, cycling to next node:', ex, {
+					start_number : block_number,
+					end_number,
+					endpoint     : this.evmClient.getEndpointHost()
+				});
+				this.evmClient.cycleNodes();
+				await sleep(1000);
+				continue;
+			}
+
+			try {
+				// Shutdown waits for the window to commit or roll back before exiting
+				await Lifecycle.track(() => this.storeLogs(logs));
+			} catch (ex) {
+				if (Lifecycle.isStopping()) {
+					break;
+				}
+
+				this.log.error('Could not store logs, retrying:', ex, { start_number : block_number, end_number });
+				await sleep(5000);
+				continue;
+			}
+
+			this.log.info('Scanned blocks for contract logs', {
+				start_number : block_number,
+				end_number,
+				logs         : logs.length,
+				contracts    : addresses.length
+			});
+
+			await this.checkpoint.save(this.Client, end_number + 1);
+			Metrics.cachedHead.set({ blockchain_id : this.blockchain_id }, end_number);
+			Health.blockCommitted(this.blockchain_id, end_number);
+
+			if (logs.length < this.targetLogCount && end_number - block_number + 1 === this.windowSize) {
+				this.windowSize = Math.min(this.windowSize * 2, this.maxWindowSize);
+			}
+
+			block_number = end_number + 1;
+		}
+
+		this.log.info('Shutting down, stopped before block', { block_number });
+	}
+
+	// Re-read every window so newly registered contracts are picked up
+	async getAddresses() {
+		let result = await this.Client.query(ContractQueries.getContractMetaAddresses(this.blockchain_id));
+		return result.rows.map((row) => byteaBufferToHex(row.address));
+	}
+
+	async storeLogs(logs) {
+		logs = logs.filter((logEntry) => !logEntry.removed);
+		if (!logs.length) {
+			return;
+		}
+
+		// Group the logs by block, then by transaction, in the order the node returned them
+		let blockHashes = [], txHashes = [], logsByTx = {};
+		for (let logEntry of logs) {
+			if (blockHashes.indexOf(logEntry.blockHash) === -1) {
+				blockHashes.push(logEntry.blockHash);
+			}
+
+			if (!logsByTx.hasOwnProperty(logEntry.transactionHash)) {
+				txHashes.push(logEntry.transactionHash);
+				logsByTx[logEntry.transactionHash] = [];
+			}
+
+			logsByTx[logEntry.transactionHash].push(logEntry);
+		}
+
+		let blocks = await this.evmClient.getBlockHeaders(blockHashes);
+		let transactions = await this.evmClient.getTransactions(txHashes);
+		let receipts = await this.evmClient.getTransactionReceipts(txHashes);
+
+		for (let idx = 0; idx < blockHashes.length; idx++) {
+			if (!blocks[idx]) {
+				throw new Error(`Block ${blockHashes[idx]} not found, it may have been reorged out`);
+			}
+		}
+
+		for (let idx = 0; idx < txHashes.length; idx++) {
+			if (!transactions[idx] || !receipts[idx]) {
+				throw new Error(`Transaction or receipt not found for ${txHashes[idx]}`);
+			}
+		}
+
+		try {
+			await this.Client.query('BEGIN;');
+
+			for (let block of blocks) {
+				await this.storeBlock(block, transactions, receipts, logsByTx);
+			}
+
+			await this.Client.query('COMMIT;');
+		} catch (ex) {
+			await this.Client.query('ROLLBACK;');
+			throw ex;
+		}
+
+		Metrics.blocksIngested.inc({ blockchain_id : this.blockchain_id, mode : 'contract_logs' }, blocks.length);
+	}
+
+	async storeBlock(block, transactions, receipts, logsByTx) {
+		let result = await this.Client.query(BlockQueries.addBlock(
+			this.blockchain_id,
+			block.number,
+			block.hash,
+			block.parentHash,
+			block.nonce,
+			block.gasLimit,
+			block.gasUsed,
+			block.timestamp,
+			block.sha3Uncles,
+			block.logsBloom,
+			block.transactionsRoot,
+			block.receiptsRoot,
+			block.stateRoot,
+			block.mixHash,
+			block.miner,
+			block.difficulty,
+			block.extraData,
+			block.size,
+			block.baseFeePerGas,
+			block.withdrawalsRoot,
+			block.blobGasUsed,
+			block.excessBlobGas,
+			block.parentBeaconBlockRoot
+		));
+
+		// Only marked when this stored the block, a fully stored one stays complete
+		if (result.rowCount) {
+			await this.Client.query(BlockQueries.setBlockPartial(block.hash, true));
+		}
+
+		let blockTransactions = [], blockReceipts = [];
+		for (let idx = 0; idx < transactions.length; idx++) {
+			if (transactions[idx].blockHash === block.hash) {
+				blockTransactions.push(transactions[idx]);
+				blockReceipts.push(receipts[idx]);
+			}
+		}
+
+		for (let idx = 0; idx < blockTransactions.length; idx += this.transactionInsertSize) {
+			await this.Client.query(TransactionQueries.addTransactions(
+				block.hash,
+				blockTransactions.slice(idx, idx + this.transactionInsertSize),
+				blockReceipts.slice(idx, idx + this.transactionInsertSize)
+			));
+		}
+
+		// Only the matching logs are kept, in place of the full receipt logs
+		let logReceipts = blockTransactions.map((transaction) => {
+			return {
+				transactionHash : transaction.hash,
+				logs            : logsByTx[transaction.hash]
+			};
+		});
+
+		for (let transaction of blockTransactions) {
+			await this.Client.query(TransactionQueries.deleteLogsByTransactionHash(transaction.hash));
+		}
+
+		let results = await this.Client.query(TransactionQueries.addLogs(logReceipts));
+
+		let logSets = [];
+		for (let row of results.rows) {
+			for (let receipt of logReceipts) {
+				for (let logEntry of receipt.logs) {
+					if (parseInt(row.log_index, 10) === logEntry.logIndex) {
+						logSets.push({
+							log_id : row.log_id,
+							logs   : logEntry
+						});
+					}
+				}
+			}
+		}
+
+		await Promise.all(await this.cc.setDecodedLogs(this.Client, logSets));
+	}
+}
+
+module.exports = ContractLogMonitor;
@@ -0,0 +1,149 @@
+const Database = require('../database/Database.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Metrics = require('../classes/Metrics.js');
+const Health = require('../classes/Health.js');
+const Logger = require('../classes/Logger.js');
+const byteaBufferToHex = require('../util/byteaBufferToHex.js');
+
+const BlockchainQueries = require('../database/queries/BlockchainQueries.js');
+const BlockQueries = require('../database/queries/BlockQueries.js');
+
+// Tracks the latest, safe and finalized watermarks of a blockchain and marks
+// the stored blocks at or below them
+class FinalityTracker {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.evmClient = options.client;
+		this.interval = options.interval || 12000;
+		this.batchSize = options.batchSize || 10000; // Blocks marked per statement
+		this.Client = null; // Covered in start()
+		this.log = new Logger({ blockchain_id : this.blockchain_id });
+
+		// Confirmation depths for chains without the safe/finalized block tags,
+		// unless overridden by the blockchain's safe_depth and finalized_depth
+		this.defaultSafeDepth = 32;
+		this.defaultFinalizedDepth = 64;
+	}
+
+	// Runs until shutdown
+	async start() {
+		this.Client = await Database.connect();
+
+		while (!Lifecycle.isStopping()) {
+			try {
+				await this.update();
+			} catch (ex) {
+				this.log.error('Could not update finality:', ex);
+			}
+
+			await Lifecycle.wait(this.interval);
+		}
+
+		this.Client.release();
+	}
+
+	async update() {
+		let result = await this.Client.query(BlockchainQueries.getBlockchain(this.blockchain_id));
+		let blockchain = result.rows[0];
+
+		let latest_number = await this.evmClient.getWeb3().eth.getBlockNumber();
+		Metrics.chainHead.set({ blockchain_id : this.blockchain_id }, latest_number);
+		Health.chainHead(this.blockchain_id, latest_number);
+		let watermarks = blockchain.features.finality_tags !== false ? await this.getTaggedWatermarks() : null;
+
+		if (!watermarks) {
+			let safe_depth = blockchain.safe_depth !== null ? blockchain.safe_depth : this.defaultSafeDepth;
+			let finalized_depth = blockchain.finalized_depth !== null ? blockchain.finalized_depth : this.defaultFinalizedDepth;
+
+			let finalized_number = Math.max(0, latest_number - finalized_depth);
+
+			watermarks = {
+				safe_number      : Math.max(finalized_number, latest_number - safe_depth),
+				finalized_number : finalized_number
+			};
+		}
+
+		result = await this.Client.query(BlockchainQueries.updateWatermarks(
+			this.blockchain_id,
+			latest_number,
+			watermarks.safe_number,
+			watermarks.finalized_number
+		));
+
+		let finalized_number = parseInt(result.rows[0].finalized_number, 10);
+
+		let finalized = await this.mark('finalized', finalized_number);
+		let safe = await this.mark('safe', watermarks.safe_number);
+
+		this.log.debug('Updated finality', {
+			latest_number,
+			safe_number      : watermarks.safe_number,
+			finalized_number,
+			marked_finalized : finalized,
+			marked_safe      : safe
+		});
+	}
+
+	// Marks the stored blocks up to the highest one at or below the watermark, once
+	// its hash matches the node's block at that height. Stored blocks off the node's
+	// chain are left for the reorg handling to replace instead. Resolves to the count.
+	async mark(finality, number) {
+		let result = await this.Client.query(BlockQueries.getLatestBlockAtOrBelow(this.blockchain_id, number));
+		if (!result.rowCount) {
+			return 0;
+		}
+
+		let block_number = parseInt(result.rows[0].number, 10);
+		let hash = byteaBufferToHex(result.rows[0].hash);
+
+		let header = await this.evmClient.getBlockHeader(block_number);
+		if (!header || header.hash !== hash) {
+			this.log.warn(`Stored block isn't on the node's chain, not marking blocks ${finality}`, {
+				block_number,
+				hash,
+				node_hash : header ? header.hash : null
+			});
+
+			return 0;
+		}
+
+		let query = finality === 'finalized' ? BlockQueries.markFinalized : BlockQueries.markSafe;
+
+		let marked = 0;
+		while (!Lifecycle.isStopping()) {
+			result = await this.Client.query(query(this.blockchain_id, block_number, this.batchSize));
+			marked += result.rowCount;
+
+			if (result.rowCount < this.batchSize) {
+				break;
+			}
+		}
+
+		return marked;
+	}
+
+	// Returns null when the node doesn't know the safe/finalized tags (pre-merge and most sidechains)
+	async getTaggedWatermarks() {
+		let safe, finalized;
+		try {
+			[safe, finalized] = await Promise.all([
+				this.evmClient.getBlockHeader('safe'),
+				this.evmClient.getBlockHeader('finalized')
+			]);
+		} catch (ex) {
+			this.log.debug('Block tags not available from the node, using confirmation depths:', ex);
+			return null;
+		}
+
+		if (!safe || !finalized) {
+			return null;
+		}
+
+		return {
+			safe_number      : safe.number,
+			finalized_number : finalized.number
+		};
+	}
+}
+
+module.exports = FinalityTracker;
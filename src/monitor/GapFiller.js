@@ -0,0 +1,96 @@
+const Database = require('../database/Database.js');
+const Lifecycle = require('../classes/Lifecycle.js');
+const Logger = require('../classes/Logger.js');
+
+const BlockQueries = require('../database/queries/BlockQueries.js');
+
+const GapScanner = require('../classes/GapScanner.js');
+const BlockRepairer = require('./BlockRepairer.js');
+
+// Periodically scans for missing and incomplete blocks below the head and
+// re-ingests them, since the monitor only ever resumes from the latest block
+class GapFiller {
+	constructor(options) {
+		this.blockchain_id = options.blockchain_id;
+		this.evmClient = options.client;
+		this.interval = options.interval || 600000;
+		this.Client = null; // Covered in start()
+		this.log = new Logger({ blockchain_id : this.blockchain_id });
+
+		// Leave the blocks near the head to the monitor, which may be mid-way through them
+		this.headMargin = options.hasOwnProperty('headMargin') ? options.headMargin : 128;
+
+		// Blocks re-ingested per pass, the rest wait for the next one
+		this.maxBlocksPerPass = options.maxBlocksPerPass || 1000;
+
+		this.scanner = new GapScanner({
+			blockchain_id : this.blockchain_id
+		});
+	}
+
+	// Runs until shutdown
+	async start() {
+		this.Client = await Database.connect();
+
+		while (!Lifecycle.isStopping()) {
+			try {
+				await this.fill();
+			} catch (ex) {
+				this.log.error('Could not fill gaps:', ex);
+			}
+
+			await Lifecycle.wait(this.interval);
+		}
+
+		this.Client.release();
+	}
+
+	async fill() {
+		let result = await this.Client.query(BlockQueries.getLatestBlock(this.blockchain_id));
+		if (!result.rowCount) {
+			return;
+		}
+
+		let gaps = await this.scanner.scan(
+			this.Client,
+			null,
+			parseInt(result.rows[0].number, 10) - this.headMargin
+		);
+
+		let numbers = gaps.incomplete.map((block) => block.number);
+		for (let gap of gaps.missing) {
+			for (let number = gap.start_number; number < gap.end_number && numbers.length < this.maxBlocksPerPass; number++) {
+				numbers.push(number);
+			}
+		}
+
+		if (!numbers.length) {
+			this.log.debug('No gaps found');
+			return;
+		}
+
+		let missing = gaps.missing.reduce((total, gap) => total + gap.end_number - gap.start_number, 0);
+		numbers = numbers.sort((a, b) => a - b).slice(0, this.maxBlocksPerPass);
+
+		this.log.info('Found gaps, filling', {
+			missing    : missing,
+			incomplete : gaps.incomplete.length,
+			filling    : numbers.length
+		});
+
+		let repairer = new BlockRepairer({
+			blockchain_id : this.blockchain_id,
+			client : this.evmClient
+		});
+
+		for (let number of numbers) {
+			repairer.enqueue(number);
+		}
+
+		await repairer.repairQueued((block_number) => this.scanner.isComplete(this.Client, block_number));
+		repairer.logReport();
+		repairer.release();
+	}
+}
+
+module.exports = GapFiller;
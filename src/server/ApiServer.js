@@ -0,0 +1,282 @@
+const log = require('loglevel');
+const express = require('express');
+const Database = require('../database/Database.js');
+const formatRows = require('../util/formatRows.js');
+
+const BlockchainQueries = require('../database/queries/BlockchainQueries.js');
+const BlockQueries = require('../database/queries/BlockQueries.js');
+const TransactionQueries = require('../database/queries/TransactionQueries.js');
+const TraceQueries = require('../database/queries/TraceQueries.js');
+const EventQueries = require('../database/queries/EventQueries.js');
+const AssetOwnerQueries = require('../database/queries/AssetOwnerQueries.js');
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 500;
+
+// Block statuses accepted by each ?finality= value
+const FINALITY_FILTERS = {
+	'latest'    : null,
+	'safe'      : ['safe', 'finalized'],
+	'finalized' : ['finalized']
+};
+
+class ApiServer {
+	constructor(options = {}) {
+		this.port = options.port;
+		this.app = express();
+		this.server = null; // Covered in start()
+
+		this.setRoutes();
+	}
+
+	setRoutes() {
+		const app = this.app;
+
+		app.get('/blockchains/:blockchain_id/finality', this.handle(async (Client, req) => {
+			return Client.query(BlockchainQueries.getWatermarks(req.params.blockchain_id));
+		}, true));
+
+		app.get('/blockchains/:blockchain_id/blocks', this.handle(async (Client, req, page) => {
+			return Client.query(BlockQueries.getBlocks(
+				req.params.blockchain_id,
+				page.limit,
+				page.offset,
+				this.getFinality(req.query)
+			));
+		}));
+
+		app.get('/blockchains/:blockchain_id/blocks/:block', this.handle(async (Client, req) => {
+			return Client.query(this.getBlockQuery(
+				req.params.blockchain_id,
+				req.params.block,
+				this.getFinality(req.query)
+			));
+		}, true));
+
+		app.get('/blockchains/:blockchain_id/blocks/:block/transactions', this.handle(async (Client, req, page) => {
+			let result = await Client.query(this.getBlockQuery(
+				req.params.blockchain_id,
+				req.params.block,
+				this.getFinality(req.query)
+			));
+			if (!result || !result.rowCount) {
+				return result;
+			}
+
+			return Client.query(TransactionQueries.getBlockTransactions(
+				result.rows[0].hash,
+				page.limit,
+				page.offset
+			));
+		}));
+
+		app.get('/blockchains/:blockchain_id/transactions/:hash', this.handle(async (Client, req) => {
+			this.requireHex(req.params.hash, 32, 'hash');
+
+			return Client.query(TransactionQueries.getBlockchainTransactionByHash(
+				req.params.blockchain_id,
+				req.params.hash,
+				this.getFinality(req.query)
+			));
+		}, true));
+
+		app.get('/blockchains/:blockchain_id/transactions/:hash/logs', this.handle(async (Client, req) => {
+			this.requireHex(req.params.hash, 32, 'hash');
+
+			return Client.query(TransactionQueries.getTransactionLogs(req.params.blockchain_id, req.params.hash));
+		}));
+
+		app.get('/blockchains/:blockchain_id/transactions/:hash/traces', this.handle(async (Client, req) => {
+			this.requireHex(req.params.hash, 32, 'hash');
+
+			return Client.query(TraceQueries.getTransactionTraces(
+				req.params.blockchain_id,
+				req.params.hash,
+				this.getFinality(req.query)
+			));
+		}));
+
+		app.get('/blockchains/:blockchain_id/logs', this.handle(async (Client, req, page) => {
+			let topics = [];
+			for (let idx = 0; idx < 4; idx++) {
+				topics.push(this.optionalHex(req.query[`topic${idx}`], 32, `topic${idx}`));
+			}
+
+			return Client.query(TransactionQueries.getLogs(
+				req.params.blockchain_id,
+				this.optionalHex(req.query.address, 20, 'address'),
+				topics,
+				page.limit,
+				page.offset,
+				this.getFinality(req.query)
+			));
+		}));
+
+		app.get('/blockchains/:blockchain_id/events', this.handle(async (Client, req, page) => {
+			return Client.query(EventQueries.getEvents(
+				req.params.blockchain_id,
+				this.optionalHex(req.query.address, 20, 'address'),
+				req.query.name,
+				page.limit,
+				page.offset,
+				this.getFinality(req.query)
+			));
+		}));
+
+		app.get('/blockchains/:blockchain_id/owners/:owner/assets', this.handle(async (Client, req, page) => {
+			this.requireHex(req.params.owner, 20, 'owner');
+
+			return Client.query(AssetOwnerQueries.getOwnerAssets(
+				req.params.blockchain_id,
+				req.params.owner,
+				this.optionalHex(req.query.contract_address, 20, 'contract_address'),
+				page.limit,
+				page.offset
+			));
+		}));
+
+		// The owner's assets on every blockchain, each row carries its blockchain_id
+		app.get('/owners/:owner/assets', this.handle(async (Client, req, page) => {
+			this.requireHex(req.params.owner, 20, 'owner');
+
+			return Client.query(AssetOwnerQueries.getOwnerAssets(
+				null,
+				req.params.owner,
+				this.optionalHex(req.query.contract_address, 20, 'contract_address'),
+				page.limit,
+				page.offset
+			));
+		}));
+
+		app.use((req, res) => {
+			res.status(404).json({ error : 'Not found' });
+		});
+	}
+
+	// Wraps a route so that it gets a database client, pagination and hex-formatted output
+	handle(fn, single = false) {
+		return async (req, res) => {
+			let page, Client;
+			try {
+				page = this.getPagination(req.query);
+
+				if (req.params.hasOwnProperty('blockchain_id') && !/^\d+$/.test(req.params.blockchain_id)) {
+					throw new ApiError(400, 'Invalid blockchain_id');
+				}
+
+				Client = await Database.connect();
+				let result = await fn(Client, req, page);
+				let rows = formatRows((result && result.rows) || []);
+
+				if (single) {
+					if (!rows.length) {
+						throw new ApiError(404, 'Not found');
+					}
+
+					return res.json({ data : rows[0] });
+				}
+
+				res.json({
+					data : rows,
+					pagination : {
+						limit  : page.limit,
+						offset : page.offset,
+						count  : rows.length
+					}
+				});
+			} catch (ex) {
+				if (ex instanceof ApiError) {
+					return res.status(ex.status).json({ error : ex.message });
+				}
+
+				log.error(`Error handling ${req.method} ${req.originalUrl}`, ex);
+				res.status(500).json({ error : 'Internal server error' });
+			} finally {
+				if (Client) {
+					Client.release();
+				}
+			}
+		};
+	}
+
+	getBlockQuery(blockchain_id, block, finality = null) {
+		if (/^\d+$/.test(block)) {
+			return BlockQueries.getBlockByNumber(blockchain_id, block, finality);
+		}
+
+		this.requireHex(block, 32, 'block');
+		return BlockQueries.getBlockByHash(blockchain_id, block, finality);
+	}
+
+	getFinality(query) {
+		if (query.finality === undefined || query.finality === '') {
+			return null;
+		}
+
+		if (!FINALITY_FILTERS.hasOwnProperty(query.finality)) {
+			throw new ApiError(400, `finality must be one of ${Object.keys(FINALITY_FILTERS).join(', ')}`);
+		}
+
+		return FINALITY_FILTERS[query.finality];
+	}
+
+	getPagination(query) {
+		let limit = query.hasOwnProperty('limit') ? parseInt(query.limit, 10) : DEFAULT_PAGE_LIMIT;
+		let offset = query.hasOwnProperty('offset') ? parseInt(query.offset, 10) : 0;
+
+		if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+			throw new ApiError(400, `limit must be between 1 and ${MAX_PAGE_LIMIT}`);
+		}
+
+		if (isNaN(offset) || offset < 0) {
+			throw new ApiError(400, 'offset must be a non-negative integer');
+		}
+
+		return { limit, offset };
+	}
+
+	requireHex(value, bytes, name) {
+		if (typeof value !== 'string' || !new RegExp(`^0x[0-9a-fA-F]{${bytes * 2}}$`).test(value)) {
+			throw new ApiError(400, `Invalid ${name}, expected ${bytes} byte hex string`);
+		}
+
+		return value;
+	}
+
+	optionalHex(value, bytes, name) {
+		if (value === undefined || value === '') {
+			return null;
+		}
+
+		return this.requireHex(value, bytes, name);
+	}
+
+	start() {
+		this.server = this.app.listen(this.port, () => {
+			log.info(`API server listening on port ${this.port}`);
+		});
+
+		return this.server;
+	}
+
+	// Resolves once the requests in progress have been answered
+	stop() {
+		return new Promise((resolve) => {
+			if (!this.server) {
+				return resolve();
+			}
+
+			this.server.close(() => resolve());
+			this.server.closeIdleConnections();
+		});
+	}
+}
+
+class ApiError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,75 @@
+const log = require('loglevel');
+const express = require('express');
+const Metrics = require('../classes/Metrics.js');
+const Health = require('../classes/Health.js');
+
+// Serves what an orchestrator or scraper asks a worker process: Prometheus
+// metrics on /metrics and health checks on /health/live and /health/ready,
+// answering 503 when a check fails
+class StatusServer {
+	constructor(options = {}) {
+		this.port = options.port;
+		this.app = express();
+		this.server = null; // Covered in start()
+
+		this.setRoutes();
+	}
+
+	setRoutes() {
+		const app = this.app;
+
+		app.get('/metrics', async (req, res) => {
+			try {
+				res.set('Content-Type', Metrics.registry.contentType);
+				res.end(await Metrics.registry.metrics());
+			} catch (ex) {
+				log.error('Error collecting metrics:', ex);
+				res.status(500).end();
+			}
+		});
+
+		app.get('/health/live', async (req, res) => {
+			try {
+				this.respond(res, await Health.getLiveness());
+			} catch (ex) {
+				log.error('Error checking liveness:', ex);
+				this.respond(res, { ok : false, problems : [String(ex.message || ex)] });
+			}
+		});
+
+		app.get('/health/ready', async (req, res) => {
+			try {
+				this.respond(res, await Health.getReadiness());
+			} catch (ex) {
+				log.error('Error checking readiness:', ex);
+				this.respond(res, { ok : false, problems : [String(ex.message || ex)] });
+			}
+		});
+	}
+
+	respond(res, status) {
+		res.status(status.ok ? 200 : 503).json(status);
+	}
+
+	start() {
+		this.server = this.app.listen(this.port, () => {
+			log.info('Status server listening', { port : this.port });
+		});
+
+		return this.server;
+	}
+
+	// Resolves once the requests in progress have been answered
+	stop() {
+		return new Promise((resolve) => {
+			if (!this.server) {
+				return resolve();
+			}
+
+			this.server.close(() => resolve());
+			this.server.closeIdleConnections();
+		});
+	}
+}
+
+module.exports = StatusServer;
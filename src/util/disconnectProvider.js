@@ -0,0 +1,14 @@
+// Closes a web3 provider's connection, websockets otherwise stay open after it's replaced
+function disconnectProvider(provider) {
+	if (!provider || typeof provider.disconnect !== 'function') {
+		return;
+	}
+
+	try {
+		provider.disconnect();
+	} catch (ex) {
+		// The connection is already gone
+	}
+}
+
+module.exports = disconnectProvider;
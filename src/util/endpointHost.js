@@ -0,0 +1,10 @@
+// Only the host of a node URL, the path or query often carries an API key
+function endpointHost(endpoint) {
+	try {
+		return new URL(endpoint).host;
+	} catch (ex) {
+		return 'unknown';
+	}
+}
+
+module.exports = endpointHost;
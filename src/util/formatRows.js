@@ -0,0 +1,14 @@
+const byteaBufferToHex = require('./byteaBufferToHex.js');
+
+// Converts every BYTEA buffer in a set of result rows into a hex string
+module.exports = function(rows) {
+	return rows.map((row) => {
+		let formatted = {};
+		for (let key in row) {
+			if (!row.hasOwnProperty(key)) continue;
+			formatted[key] = byteaBufferToHex(row[key]);
+		}
+
+		return formatted;
+	});
+};
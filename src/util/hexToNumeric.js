@@ -0,0 +1,12 @@
+// Converts hex quantities from the node into decimal strings for NUMERIC / BIGINT columns
+module.exports = function(value) {
+	if (value === null || value === undefined) {
+		return null;
+	}
+
+	if (typeof value === 'string' && value.indexOf('0x') === 0) {
+		return BigInt(value).toString();
+	}
+
+	return String(value);
+};
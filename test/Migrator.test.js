@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pg = require('pg');
+
+const config = require('../src/config/config.js');
+const Client = require('../src/database/Client.js');
+const Migrator = require('../src/classes/Migrator.js');
+const MigrationQueries = require('../src/database/queries/MigrationQueries.js');
+const { ConfigurationError } = require('../src/classes/Errors.js');
+
+// Each test migrates a throwaway database next to the configured one, so it
+// needs the DB_* settings of a user that may create databases
+const SCHEMA_DIRECTORY = path.join(__dirname, '..', 'sql', 'schema');
+
+function connect(database) {
+	return new pg.Client({
+		host     : config.DB_HOST,
+		database : database,
+		user     : config.DB_USER,
+		password : config.DB_PASS,
+		port     : config.DB_PORT
+	});
+}
+
+// Runs fn(Client) against a new, empty database and drops it afterwards.
+// Skips the test when there's no database server to create it on.
+async function withDatabase(t, fn) {
+	let admin = connect(config.DB_NAME);
+	try {
+		await admin.connect();
+	} catch (ex) {
+		t.skip(`No database to migrate: ${ex.message}`);
+		return;
+	}
+
+	let name = `evm_cache_test_${process.pid}_${Date.now()}`;
+	await admin.query(`CREATE DATABASE "${name}";`);
+
+	let client = connect(name);
+	try {
+		await client.connect();
+		await fn(new Client(client, () => {}));
+	} finally {
+		await client.end();
+		await admin.query(`DROP DATABASE IF EXISTS "${name}";`);
+		await admin.end();
+	}
+}
+
+// A directory of migration files, removed once the test ends
+function migrationDirectory(t, files) {
+	let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evm-cache-migrations-'));
+	t.after(() => fs.rmSync(directory, { recursive : true, force : true }));
+
+	for (let file in files) {
+		fs.writeFileSync(path.join(directory, file), files[file]);
+	}
+
+	return directory;
+}
+
+// Answers the migrator's schema queries from state and applied, and records
+// the text of every query it's sent
+function stubClient(state, applied = []) {
+	let sent = [];
+
+	return {
+		sent,
+		query : async (query) => {
+			let text = typeof query === 'string' ? query : query.text;
+			sent.push(text);
+
+			if (text === MigrationQueries.getSchemaState().text) {
+				return { rowCount : 1, rows : [state] };
+			}
+
+			if (text === MigrationQueries.getAppliedMigrations().text) {
+				return { rowCount : applied.length, rows : applied };
+			}
+
+			return { rowCount : 0, rows : [] };
+		}
+	};
+}
+
+async function hasColumn(Client, table, column) {
+	let result = await Client.query({
+		text   : `SELECT 1 FROM information_schema.columns WHERE table_name = $1 AND column_name = $2;`,
+		values : [table, column]
+	});
+
+	return result.rowCount === 1;
+}
+
+test('loads the numbered .sql files in filename order', (t) => {
+	let directory = migrationDirectory(t, {
+		'010_tenth.sql'      : 'SELECT 10;',
+		'002_second.sql'     : 'SELECT 2;',
+		'004_b.sql'          : 'SELECT 4;',
+		'004_a.sql'          : 'SELECT 4;',
+		'001_first.sql'      : 'SELECT 1;',
+		'README.md'          : 'Not a migration',
+		'notes.sql'          : 'SELECT 0;',
+		'003_draft.sql.orig' : 'SELECT 3;'
+	});
+
+	let migrations = new Migrator({ directory }).load();
+
+	assert.deepStrictEqual(migrations.map((migration) => migration.version), ['001_first', '002_second', '004_a', '004_b', '010_tenth']);
+	assert.strictEqual(migrations[0].file, '001_first.sql');
+	assert.strictEqual(migrations[0].sql, 'SELECT 1;');
+	assert.strictEqual(migrations[0].checksum, Migrator.checksum('SELECT 1;'));
+});
+
+test('the schema files have unique numbers past the released 004 pair, without holes', () => {
+	let numbers = new Migrator().load().map((migration) => parseInt(migration.version, 10));
+	let unique = [...new Set(numbers)];
+
+	assert.strictEqual(numbers.filter((number) => number === 4).length, 2);
+	assert.strictEqual(numbers.length, unique.length + 1);
+	assert.deepStrictEqual(unique, unique.map((number, idx) => idx + 1));
+});
+
+test('checksums ignore CRLF line endings', () => {
+	assert.strictEqual(Migrator.checksum('SELECT 1;\r\nSELECT 2;\r\n'), Migrator.checksum('SELECT 1;\nSELECT 2;\n'));
+	assert.notStrictEqual(Migrator.checksum('SELECT 1;\nSELECT 2;\n'), Migrator.checksum('SELECT 1; SELECT 2;'));
+});
+
+test('refuses to migrate when an applied migration was modified', async (t) => {
+	let directory = migrationDirectory(t, {
+		'001_first.sql'  : 'SELECT 1;',
+		'002_second.sql' : 'SELECT 2;'
+	});
+
+	let Client = stubClient({ has_migrations_table : true, has_schema : true }, [
+		{ version : '001_first', checksum : Migrator.checksum('SELECT 0;') }
+	]);
+
+	await assert.rejects(new Migrator({ directory }).migrate(Client), (ex) => {
+		return ex instanceof ConfigurationError && /001_first\.sql/.test(ex.message);
+	});
+
+	assert.ok(!Client.sent.includes('SELECT 2;'));
+	assert.strictEqual(Client.sent[Client.sent.length - 1], MigrationQueries.unlock().text);
+});
+
+test('refuses to migrate a schema without schema_migrations unless given a baseline', async (t) => {
+	let directory = migrationDirectory(t, {
+		'001_first.sql' : 'SELECT 1;'
+	});
+
+	let Client = stubClient({ has_migrations_table : false, has_schema : true });
+
+	await assert.rejects(new Migrator({ directory }).migrate(Client), (ex) => {
+		return ex instanceof ConfigurationError && /baseline/.test(ex.message);
+	});
+
+	assert.ok(!Client.sent.includes('SELECT 1;'));
+});
+
+test('refuses a baseline that is not a pending migration', async (t) => {
+	let directory = migrationDirectory(t, {
+		'001_first.sql'  : 'SELECT 1;',
+		'002_second.sql' : 'SELECT 2;'
+	});
+
+	let Client = stubClient({ has_migrations_table : false, has_schema : true });
+
+	await assert.rejects(new Migrator({ directory }).migrate(Client, { baseline : '003_third' }), (ex) => {
+		return ex instanceof ConfigurationError && /003_third/.test(ex.message);
+	});
+
+	assert.ok(!Client.sent.includes(MigrationQueries.createMigrationsTable().text));
+	assert.ok(!Client.sent.includes('SELECT 1;'));
+});
+
+test('migrates an empty database to the latest schema', async (t) => {
+	await withDatabase(t, async (Client) => {
+		let migrator = new Migrator();
+		let applied = await migrator.migrate(Client);
+
+		assert.deepStrictEqual(applied.map((migration) => migration.version), migrator.load().map((migration) => migration.version));
+
+		let status = await migrator.status(Client);
+		assert.strictEqual(status.pending.length, 0);
+		assert.strictEqual(status.changed.length, 0);
+
+		// Nothing left to do the second time around
+		assert.strictEqual((await migrator.migrate(Client)).length, 0);
+	});
+});
+
+test('migrates a database released at 008_asset_metadata from a baseline', async (t) => {
+	await withDatabase(t, async (Client) => {
+		// The schema as released, before the columns 009_legacy_columns adds
+		for (let file of fs.readdirSync(SCHEMA_DIRECTORY).sort()) {
+			if (file <= '008_asset_metadata.sql') {
+				await Client.query(fs.readFileSync(path.join(SCHEMA_DIRECTORY, file), 'utf8'));
+			}
+		}
+
+		await Client.query(`
+			ALTER TABLE "blockchain_node" DROP COLUMN "skip";
+			ALTER TABLE "contract_meta" DROP COLUMN "token_uri_json_interface", DROP COLUMN "token_uri_json_interface_parameters", DROP COLUMN "custom_token_uri", DROP COLUMN "custom_token_uri_headers";
+			ALTER TABLE "asset_metadata" DROP COLUMN "needs_update";
+		`);
+
+		let migrator = new Migrator();
+		assert.strictEqual((await migrator.status(Client)).untracked, true);
+		await assert.rejects(migrator.migrate(Client), /baseline/);
+
+		let applied = await migrator.migrate(Client, { baseline : '008_asset_metadata' });
+		assert.strictEqual(applied[0].version, '009_legacy_columns');
+
+		let status = await migrator.status(Client);
+		assert.strictEqual(status.pending.length, 0);
+
+		assert.ok(await hasColumn(Client, 'asset_metadata', 'needs_update'));
+		assert.ok(await hasColumn(Client, 'blockchain_node', 'skip'));
+		assert.ok(await hasColumn(Client, 'contract_meta', 'custom_token_uri'));
+	});
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RootVerifier = require('../src/classes/RootVerifier.js');
+
+// Fixtures hold the block, transaction, log and blob hash rows as the queries
+// return them, with the bytea columns written as hex:
+//   block-2924874.json => mainnet block 2924874 (pre-Byzantium, EIP-155 and unprotected legacy transactions)
+//   block-london.json  => legacy, EIP-2930 and EIP-1559 transactions with logs, a failed call and a contract creation
+//   block-cancun.json  => an EIP-4844 transaction with two versioned hashes next to EIP-1559 and legacy ones
+// The London and Cancun blocks were sealed by @ethereumjs/vm, so their roots
+// come from an independent encoder
+const BYTEA_COLUMNS = [
+	'hash', 'block_hash', 'transaction_hash', 'to', 'input', 'v', 'r', 's', 'address',
+	'topic_0', 'topic_1', 'topic_2', 'topic_3', 'data', 'versioned_hash',
+	'transactions_root', 'receipts_root', 'logs_bloom'
+];
+
+function toRow(fixture) {
+	let row = { ...fixture };
+
+	for (let column of BYTEA_COLUMNS) {
+		if (typeof row[column] === 'string') {
+			row[column] = Buffer.from(row[column].replace(/^0x/, ''), 'hex');
+		}
+	}
+
+	return row;
+}
+
+function load(name) {
+	let fixture = require(`./fixtures/block-${name}.json`);
+	let verifier = new RootVerifier({ blockchain_id : 1 });
+
+	let blobHashes = fixture.blob_hashes.map(toRow);
+
+	return {
+		verifier,
+		block          : toRow(fixture.block),
+		transactions   : fixture.transactions.map(toRow),
+		logs           : fixture.logs.map(toRow),
+		blobHashesByTx : verifier.groupBy(blobHashes, 'transaction_hash')
+	};
+}
+
+async function verify(fixture) {
+	return fixture.verifier.verifyBlock(fixture.block, fixture.transactions, fixture.logs, fixture.blobHashesByTx);
+}
+
+test('rebuilds the transactions root of a pre-Byzantium block and reports its receipts as unverifiable', async () => {
+	let fixture = load('2924874');
+
+	// The RPC dump has no receipts; pre-Byzantium receipts roots aren't
+	// rebuilt, so any cumulative gas keeps the block from looking incomplete
+	for (let transaction of fixture.transactions) {
+		transaction.cumulative_gas_used = '0';
+	}
+
+	let result = await verify(fixture);
+
+	assert.deepStrictEqual(result, {
+		status   : 'unverifiable',
+		problems : ['4 receipts without a status']
+	});
+});
+
+test('rebuilds both roots of a block with legacy, EIP-2930 and EIP-1559 transactions', async () => {
+	let result = await verify(load('london'));
+
+	assert.deepStrictEqual(result, { status : 'ok', problems : [] });
+});
+
+test('rebuilds both roots of a block with an EIP-4844 transaction', async () => {
+	let result = await verify(load('cancun'));
+
+	assert.deepStrictEqual(result, { status : 'ok', problems : [] });
+});
+
+test('reports a block whose stored rows differ from its roots as corrupt', async () => {
+	let fixture = load('london');
+	fixture.transactions[1].value = '1';
+	fixture.logs[0].data = Buffer.from('00', 'hex');
+
+	let result = await verify(fixture);
+
+	assert.strictEqual(result.status, 'corrupt');
+	assert.strictEqual(result.problems.length, 2);
+	assert.match(result.problems[0], /^transactions_root mismatch/);
+	assert.match(result.problems[1], /^receipts_root mismatch/);
+});
+
+test('reports a block with a missing log as incomplete', async () => {
+	let fixture = load('cancun');
+	fixture.logs.shift();
+
+	let result = await verify(fixture);
+
+	assert.deepStrictEqual(result, { status : 'incomplete', problems : ['log index 0 missing'] });
+});
+
+test('rebuilds the logs bloom in the block header', async () => {
+	for (let name of ['london', 'cancun']) {
+		let fixture = load(name);
+
+		assert.deepStrictEqual(fixture.verifier.getLogsBloom(fixture.logs), fixture.block.logs_bloom);
+	}
+
+	assert.deepStrictEqual(new RootVerifier({ blockchain_id : 1 }).getLogsBloom([]), Buffer.alloc(256));
+});
+
+test('encodes integers as minimal big-endian quantities', () => {
+	let verifier = new RootVerifier({ blockchain_id : 1 });
+
+	assert.deepStrictEqual(verifier.toQuantity(null), Buffer.alloc(0));
+	assert.deepStrictEqual(verifier.toQuantity('0'), Buffer.alloc(0));
+	assert.deepStrictEqual(verifier.toQuantity('255'), Buffer.from('ff', 'hex'));
+	assert.deepStrictEqual(verifier.toQuantity('4096'), Buffer.from('1000', 'hex'));
+	assert.deepStrictEqual(verifier.toQuantity(Buffer.from('000025', 'hex')), Buffer.from('25', 'hex'));
+});